@@ -0,0 +1,172 @@
+const express = require('express');
+
+const { applyConfig, validateConfig } = require('./config');
+const { createSwaggerDocs } = require('./config/swagger');
+const { validateRequest } = require('./middleware/validate');
+const { apiVersion } = require('./middleware/apiVersion');
+const rateLimitConfig = require('./config/rateLimit');
+const metricsConfig = require('./config/metrics');
+const User = require('./models/User');
+const { loadKeys, unloadKeys } = require('./utils/jwtKeys');
+const { setClock } = require('./utils/clock');
+const { logger } = require('./utils/logger');
+const { ERROR_CODES, NotFoundError, toAppError, sendProblem } = require('./utils/errors');
+const { isShuttingDown } = require('./utils/shutdown');
+const { trackRoute, requestLogger } = require('./middleware/requestLogger');
+const { httpMetrics } = require('./middleware/metrics');
+const {
+  CSP_POLICIES,
+  CSP_REPORT_PATH,
+  securityHeaders,
+  contentSecurityPolicy,
+  corsPolicy
+} = require('./middleware/securityPolicy');
+
+// Import routes
+const { API_VERSIONS, UNVERSIONED_VERSION } = require('./routes/versions');
+const { createDocsRouter } = require('./routes/docs');
+const wellKnownRoutes = require('./routes/wellKnown');
+const metricsRoutes = require('./routes/metrics');
+const healthRoutes = require('./routes/health');
+const cspReportRoutes = require('./routes/cspReport');
+
+// Answer requests no route matched with 404
+const routeNotFound = (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: ERROR_CODES.ROUTE_NOT_FOUND }));
+};
+
+/**
+ * Build the Express app, without starting a server
+ * The user store, clock and config overrides given here replace those of
+ * the whole process, as the models and middleware share them. Call
+ * app.locals.restore() when done with the app to put back what it replaced,
+ * e.g. before building the next one in tests.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Settings overrides per section, see config/index.js
+ * @param {Object} [options.store] - User store, defaults to the one for DB_DRIVER
+ * @param {Object} [options.clock] - Clock with a now() method returning milliseconds
+ * @returns {express.Application}
+ * @throws {ConfigError} If the effective settings are invalid
+ */
+const createApp = ({ config = {}, store, clock } = {}) => {
+  const restoreConfig = applyConfig(config);
+  const previousStore = store ? User.setStore(store) : null;
+  const previousClock = clock ? setClock(clock) : null;
+
+  // Put back the settings, store and clock this app replaced
+  const restore = () => {
+    restoreConfig();
+    if (store) {
+      User.setStore(previousStore);
+    }
+    if (clock) {
+      setClock(previousClock);
+    }
+    unloadKeys();
+  };
+
+  try {
+    validateConfig();
+
+    // Fail at startup if the JWT secret or signing keys are misconfigured
+    loadKeys();
+  } catch (error) {
+    restore();
+    throw error;
+  }
+
+  // Initialize express app
+  const app = express();
+  app.locals.restore = restore;
+
+  // Use the client IP from X-Forwarded-For when running behind a proxy
+  app.set('trust proxy', rateLimitConfig.trustProxy);
+
+  // Middleware
+  app.use(trackRoute);
+  app.use(requestLogger);
+  if (metricsConfig.enabled) {
+    app.use(httpMetrics);
+  }
+
+  // Ask keep-alive clients to reconnect elsewhere once shutdown has begun
+  app.use((req, res, next) => {
+    if (isShuttingDown()) {
+      res.setHeader('Connection', 'close');
+    }
+    next();
+  });
+
+  // Security headers and CORS apply to every response, the docs included
+  app.use(securityHeaders);
+  app.use(corsPolicy);
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+
+  // One spec per API version, for its docs and request validation
+  const specs = Object.fromEntries(API_VERSIONS.map(version => [version.name, createSwaggerDocs(version)]));
+
+  // Swagger UI, with a policy that lets it run and a nonce on its scripts
+  app.use('/api-docs', contentSecurityPolicy(CSP_POLICIES.docs), createDocsRouter(specs));
+
+  // Everything else only answers with data
+  app.use(contentSecurityPolicy(CSP_POLICIES.api));
+
+  // Home route
+  app.get('/', (req, res) => {
+    res.send('Welcome to the API! Go to /api-docs for the Swagger documentation');
+  });
+
+  // Liveness and readiness probes
+  app.use('/', healthRoutes);
+
+  // Content Security Policy violations reported by browsers
+  app.use(CSP_REPORT_PATH, cspReportRoutes);
+
+  // Each API version under /api/<version>, validating requests against the
+  // schemas declared in its Swagger docs
+  const versionStacks = Object.fromEntries(API_VERSIONS.map(version => [version.name, [
+    apiVersion(version),
+    validateRequest(specs[version.name], { basePath: `/api/${version.name}` }),
+    version.router
+  ]]));
+
+  // Paths under a version that its router does not serve end there, rather
+  // than falling through to the unversioned aliases below
+  API_VERSIONS.forEach((version) => {
+    app.use(`/api/${version.name}`, versionStacks[version.name], routeNotFound);
+  });
+
+  // The unversioned paths clients used before versioning, e.g. /api/users
+  app.use('/api', versionStacks[UNVERSIONED_VERSION]);
+
+  // Base paths the API is served at, for cookies that must reach every mount
+  app.locals.apiBasePaths = [...API_VERSIONS.map(version => `/api/${version.name}`), '/api'];
+
+  if (metricsConfig.enabled) {
+    app.use('/metrics', metricsRoutes);
+  }
+  app.use('/.well-known', wellKnownRoutes);
+
+  // 404 handler
+  app.use(routeNotFound);
+
+  // Error handler: every error is answered as RFC 7807 problem details
+  app.use((err, req, res, next) => {
+    const error = toAppError(err);
+
+    if (error.status >= 500) {
+      logger.error('Unhandled error', { err });
+    } else {
+      // Messages of client errors can quote the request body, e.g. for invalid JSON
+      logger.warn('Request failed', { err: { name: error.name, code: error.code, status: error.status } });
+    }
+
+    sendProblem(req, res, error);
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
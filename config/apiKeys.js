@@ -0,0 +1,14 @@
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+// Scopes that can be granted to an API key. A key can only call the
+// endpoints that require one of its scopes
+const SCOPES = {
+  USERS_READ: 'users:read',
+  USERS_WRITE: 'users:write'
+};
+
+module.exports = Object.assign(defineSettings({
+  // Maximum number of API keys a user can have
+  maxPerUser: setting(types.integer({ min: 0 }), { env: 'API_KEYS_MAX_PER_USER', default: 10 })
+}), { SCOPES });
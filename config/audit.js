@@ -0,0 +1,9 @@
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+module.exports = defineSettings({
+  sink: setting(types.oneOf('file', 'memory'), { env: 'AUDIT_SINK', default: 'file' }),
+  file: {
+    path: setting(types.string, { env: 'AUDIT_FILE_PATH', default: './data/audit.jsonl' })
+  }
+});
@@ -0,0 +1,40 @@
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+module.exports = defineSettings({
+  // Refuse to log in users who have not verified their email address
+  requireEmailVerification: setting(types.boolean, { env: 'REQUIRE_EMAIL_VERIFICATION', default: false }),
+  emailVerificationToken: {
+    expiresIn: setting(types.duration, { env: 'EMAIL_VERIFICATION_TOKEN_EXPIRES_IN', default: '24h' })
+  },
+  passwordResetToken: {
+    expiresIn: setting(types.duration, { env: 'PASSWORD_RESET_TOKEN_EXPIRES_IN', default: '1h' })
+  },
+  // Lock an account after this many consecutive failed password checks
+  lockout: {
+    maxAttempts: setting(types.integer({ min: 1 }), { env: 'LOCKOUT_MAX_ATTEMPTS', default: 5 }),
+    duration: setting(types.duration, { env: 'LOCKOUT_DURATION', default: '15m' })
+  },
+  twoFactor: {
+    // Name authenticator apps show next to the account
+    issuer: setting(types.string, { env: 'TOTP_ISSUER', default: 'Simple Swagger Backend' }),
+    // Time allowed between the password check and the TOTP code
+    challengeExpiresIn: setting(types.duration, { env: 'TWO_FACTOR_CHALLENGE_EXPIRES_IN', default: '5m' }),
+    recoveryCodes: setting(types.integer({ min: 1 }), { env: 'TWO_FACTOR_RECOVERY_CODES', default: 10 })
+  },
+  // Cookie mode, where browser clients logging in with useCookies get the
+  // refresh token as an HttpOnly cookie rather than in the response body
+  cookies: {
+    enabled: setting(types.boolean, { env: 'AUTH_COOKIES_ENABLED', default: false }),
+    // Only turn off for local HTTP servers browsers do not treat as secure
+    secure: setting(types.boolean, { env: 'AUTH_COOKIES_SECURE', default: true }),
+    sameSite: setting(types.oneOf('strict', 'lax', 'none'), {
+      env: 'AUTH_COOKIES_SAME_SITE',
+      default: 'strict',
+      check: (value, cookies) => (value === 'none' && !cookies.secure ? 'cannot be none unless AUTH_COOKIES_SECURE is true' : null)
+    }),
+    // Parent domain to share the cookies with, e.g. example.com for an app
+    // on app.example.com calling api.example.com; unset for the API's host only
+    domain: setting(types.string, { env: 'AUTH_COOKIES_DOMAIN' })
+  }
+});
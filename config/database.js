@@ -0,0 +1,10 @@
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+module.exports = defineSettings({
+  // Storage driver used by the User model
+  driver: setting(types.oneOf('memory', 'sqlite'), { env: 'DB_DRIVER', default: 'memory' }),
+  sqlite: {
+    filename: setting(types.string, { env: 'SQLITE_FILENAME', default: './data/database.sqlite' })
+  }
+});
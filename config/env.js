@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Environment the server runs in, e.g. development, test or production
+const NODE_ENV = process.env.NODE_ENV || 'development';
+
+// Files read for the environment, most specific first. dotenv never
+// overwrites a variable that is already set, so real environment variables
+// win over every file, and .env.production over .env
+const ENV_FILES = [`.env.${NODE_ENV}.local`, `.env.${NODE_ENV}`, '.env']
+  .map(name => path.resolve(process.cwd(), name));
+
+// Files that were found and loaded
+const loadedFiles = ENV_FILES.filter(file => fs.existsSync(file));
+
+loadedFiles.forEach(file => dotenv.config({ path: file }));
+
+module.exports = { NODE_ENV, ENV_FILES, loadedFiles };
@@ -0,0 +1,109 @@
+const { NODE_ENV, loadedFiles } = require('./env');
+const schema = require('./schema');
+
+// Settings modules, by the name their overrides are given under
+const sections = {
+  apiKeys: require('./apiKeys'),
+  audit: require('./audit'),
+  auth: require('./auth'),
+  database: require('./database'),
+  jwt: require('./jwt'),
+  logging: require('./logging'),
+  mail: require('./mail'),
+  metrics: require('./metrics'),
+  oauth: require('./oauth'),
+  rateLimit: require('./rateLimit'),
+  roles: require('./roles'),
+  security: require('./security'),
+  server: require('./server')
+};
+
+const isPlainObject = (value) => {
+  return Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+// Copy a settings object, nested objects included, so that merging into
+// the original leaves the copy as it was
+const snapshot = (values) => Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [key, isPlainObject(value) ? snapshot(value) : value])
+);
+
+// Put the values of a snapshot back into a settings object. Done in place,
+// as modules hold on to the settings objects they required
+const restore = (target, saved) => {
+  Object.keys(target)
+    .filter(key => !(key in saved))
+    .forEach((key) => {
+      delete target[key];
+    });
+
+  Object.entries(saved).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      restore(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+};
+
+// Copy overrides into a settings object, merging nested objects and
+// replacing everything else, arrays included
+const merge = (target, overrides) => {
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      merge(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  });
+};
+
+/**
+ * Override settings loaded from the environment
+ * Takes an object of overrides per section, e.g.
+ * { jwt: { accessToken: { expiresIn: '1m' } }, roles: { adminEmails: [] } }.
+ * Settings are shared by the whole process and read when they are used,
+ * except for those read as modules load (the rate limit windows and
+ * limits, and the metric latency buckets), which can only be set through
+ * the environment.
+ * Returns a function that puts the overridden sections back as they were.
+ */
+const applyConfig = (overrides = {}) => {
+  Object.keys(overrides).forEach((name) => {
+    if (!sections[name]) {
+      throw new Error(`Unknown config section: ${name}`);
+    }
+  });
+
+  const saved = Object.fromEntries(Object.keys(overrides).map(name => [name, snapshot(sections[name])]));
+
+  Object.entries(overrides).forEach(([name, values]) => {
+    merge(sections[name], values);
+  });
+
+  return () => {
+    Object.entries(saved).forEach(([name, values]) => restore(sections[name], values));
+  };
+};
+
+/**
+ * Check the effective settings
+ * Throws a ConfigError listing every invalid or missing setting, so the
+ * server can refuse to start with one report rather than fail on first use.
+ */
+const validateConfig = () => schema.validateConfig(sections);
+
+// The effective settings with secrets redacted, e.g. for printing
+const describeConfig = () => ({
+  env: NODE_ENV,
+  envFiles: loadedFiles,
+  ...schema.redactConfig(sections)
+});
+
+module.exports = {
+  ...sections,
+  applyConfig,
+  validateConfig,
+  describeConfig,
+  ConfigError: schema.ConfigError
+};
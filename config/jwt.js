@@ -1,13 +1,34 @@
-const dotenv = require('dotenv');
-dotenv.config();
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
 
-module.exports = {
+module.exports = defineSettings({
   accessToken: {
-    secret: process.env.ACCESS_TOKEN_SECRET,
-    expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
+    // HS256 signs with the shared secret below; RS256 and ES256 sign with
+    // the private key named by keys.activeKid
+    algorithm: setting(types.oneOf('HS256', 'RS256', 'ES256'), { env: 'JWT_ALGORITHM', default: 'HS256' }),
+    secret: setting(types.secret, {
+      env: 'ACCESS_TOKEN_SECRET',
+      required: accessToken => accessToken.algorithm === 'HS256'
+    }),
+    expiresIn: setting(types.duration, { env: 'ACCESS_TOKEN_EXPIRES_IN', default: '15m' })
   },
   refreshToken: {
-    secret: process.env.REFRESH_TOKEN_SECRET,
-    expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d'
+    secret: setting(types.secret, { env: 'REFRESH_TOKEN_SECRET', required: true }),
+    expiresIn: setting(types.duration, { env: 'REFRESH_TOKEN_EXPIRES_IN', default: '7d' })
+  },
+  // Claims every token is issued with and checked against
+  issuer: setting(types.string, { env: 'JWT_ISSUER', default: 'simple-swagger-backend' }),
+  audience: setting(types.string, { env: 'JWT_AUDIENCE', default: 'simple-swagger-backend-api' }),
+  keys: {
+    // Directory of <kid>.pem files for RS256/ES256. Only private keys can
+    // sign, but every key in it is published and accepted for verification,
+    // so a retired key keeps working until the tokens it signed expire
+    dir: setting(types.string, { env: 'JWT_KEYS_DIR', default: './keys' }),
+    activeKid: setting(types.string, { env: 'JWT_ACTIVE_KID' })
+  },
+  sessions: {
+    // Maximum number of sessions per user; the least recently used one is
+    // revoked when a new login goes over it. 0 means unlimited
+    max: setting(types.integer({ min: 0 }), { env: 'MAX_SESSIONS_PER_USER', default: 5 })
   }
-}; 
\ No newline at end of file
+});
@@ -0,0 +1,9 @@
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+module.exports = defineSettings({
+  // Lowest level that is written
+  level: setting(types.oneOf('debug', 'info', 'warn', 'error', 'silent'), { env: 'LOG_LEVEL', default: 'info' }),
+  // Header carrying the correlation ID of a request, in both directions
+  requestIdHeader: 'X-Request-Id'
+});
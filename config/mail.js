@@ -0,0 +1,13 @@
+require('./env');
+const server = require('./server');
+const { types, setting, defineSettings } = require('./schema');
+
+module.exports = defineSettings({
+  transport: setting(types.oneOf('console', 'file'), { env: 'MAIL_TRANSPORT', default: 'console' }),
+  from: setting(types.string, { env: 'MAIL_FROM', default: 'no-reply@example.com' }),
+  file: {
+    path: setting(types.string, { env: 'MAIL_FILE_PATH', default: './data/mail.jsonl' })
+  },
+  // Base URL used to build links in emails
+  appUrl: setting(types.url, { env: 'APP_URL', default: server.publicUrl })
+});
@@ -0,0 +1,11 @@
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+module.exports = defineSettings({
+  // Serve GET /metrics
+  enabled: setting(types.boolean, { env: 'METRICS_ENABLED', default: true }),
+  // When set, scrapers must send it as a Bearer token
+  token: setting(types.secret, { env: 'METRICS_TOKEN', default: null }),
+  // Upper bounds in seconds of the request latency histogram buckets
+  latencyBuckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+});
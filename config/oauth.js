@@ -0,0 +1,43 @@
+require('./env');
+const ms = require('ms');
+const server = require('./server');
+const mail = require('./mail');
+const { types, setting, defineSettings } = require('./schema');
+
+// Declare one OpenID Connect provider, read from OAUTH_<NAME>_* variables,
+// e.g. OAUTH_GOOGLE_ISSUER=https://accounts.google.com
+const providerSettings = (name) => {
+  const prefix = `OAUTH_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+
+  return {
+    name,
+    // Endpoints are discovered from <issuer>/.well-known/openid-configuration
+    issuer: setting(types.url, { env: `${prefix}_ISSUER`, required: true }),
+    clientId: setting(types.string, { env: `${prefix}_CLIENT_ID`, required: true }),
+    // Leave empty for public clients, which rely on PKCE alone
+    clientSecret: setting(types.string, { env: `${prefix}_CLIENT_SECRET`, sensitive: true }),
+    scopes: setting(types.string, { env: `${prefix}_SCOPES`, default: 'openid email profile' })
+  };
+};
+
+// Names of the enabled providers, comma-separated, e.g. OAUTH_PROVIDERS=google,gitlab
+const providerNames = types.list.parse(process.env.OAUTH_PROVIDERS || '').map(name => name.toLowerCase());
+
+module.exports = defineSettings({
+  providers: Object.fromEntries(providerNames.map(name => [name, providerSettings(name)])),
+  // Base URL of this API as registered with the providers; the redirect URI
+  // is <callbackBaseUrl>/api/auth/oauth/<provider>/callback
+  callbackBaseUrl: setting(types.url, { env: 'OAUTH_CALLBACK_BASE_URL', default: server.publicUrl }),
+  // Page of the client app the callback sends the browser back to, with a
+  // one-time login code, or with the name of the provider once it is linked
+  redirectUrl: setting(types.url, { env: 'OAUTH_REDIRECT_URL', default: `${mail.appUrl}/oauth/callback` }),
+  // Time allowed to complete the login at the provider
+  stateExpiresIn: setting(types.duration, { env: 'OAUTH_STATE_EXPIRES_IN', default: '10m' }),
+  // Time allowed to exchange a one-time login code for tokens
+  loginCodeExpiresIn: setting(types.duration, { env: 'OAUTH_LOGIN_CODE_EXPIRES_IN', default: '1m' }),
+  // Time to wait for a provider to answer
+  requestTimeout: setting(types.milliseconds, { env: 'OAUTH_REQUEST_TIMEOUT', default: ms('5s') }),
+  // How long discovery documents and signing keys of providers are reused
+  // before they are fetched again
+  discoveryCacheTtl: setting(types.milliseconds, { env: 'OAUTH_DISCOVERY_CACHE_TTL', default: ms('1h') })
+});
@@ -0,0 +1,54 @@
+const ms = require('ms');
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+// Express' `trust proxy` setting: true, false, a number of hops, or
+// addresses and subnets as a string
+const trustProxy = {
+  parse: (raw) => {
+    if (/^\d+$/.test(raw)) {
+      return Number(raw);
+    }
+    return types.boolean.parse(raw);
+  },
+  check: value => (['boolean', 'number', 'string'].includes(typeof value) ? null : 'must be true, false, a number or addresses')
+};
+
+// Declare the window and limit of one rate limit, e.g. RATE_LIMIT_LOGIN_IP_WINDOW=15m
+// and RATE_LIMIT_LOGIN_IP_MAX=20, falling back to the given defaults
+const limit = (prefix, defaults) => ({
+  windowMs: setting(types.milliseconds, { env: `${prefix}_WINDOW`, default: ms(defaults.window) }),
+  max: setting(types.integer({ min: 1 }), { env: `${prefix}_MAX`, default: defaults.max })
+});
+
+module.exports = defineSettings({
+  enabled: setting(types.boolean, { env: 'RATE_LIMIT_ENABLED', default: true }),
+  // Counter store: only 'memory' is built in
+  store: setting(types.oneOf('memory'), { env: 'RATE_LIMIT_STORE', default: 'memory' }),
+  // Value for Express' `trust proxy` setting, needed for correct client IPs behind a proxy
+  trustProxy: setting(trustProxy, { env: 'TRUST_PROXY', default: false }),
+  routes: {
+    login: {
+      ip: limit('RATE_LIMIT_LOGIN_IP', { window: '15m', max: 20 }),
+      account: limit('RATE_LIMIT_LOGIN_ACCOUNT', { window: '15m', max: 10 })
+    },
+    register: {
+      ip: limit('RATE_LIMIT_REGISTER_IP', { window: '1h', max: 10 })
+    },
+    twoFactor: {
+      ip: limit('RATE_LIMIT_TWO_FACTOR_IP', { window: '15m', max: 20 })
+    },
+    oauth: {
+      ip: limit('RATE_LIMIT_OAUTH_IP', { window: '15m', max: 60 })
+    },
+    refreshToken: {
+      ip: limit('RATE_LIMIT_REFRESH_TOKEN_IP', { window: '15m', max: 60 })
+    },
+    forgotPassword: {
+      ip: limit('RATE_LIMIT_FORGOT_PASSWORD_IP', { window: '1h', max: 5 })
+    },
+    cspReport: {
+      ip: limit('RATE_LIMIT_CSP_REPORT_IP', { window: '1m', max: 30 })
+    }
+  }
+});
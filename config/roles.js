@@ -0,0 +1,15 @@
+require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+// Available roles
+const ROLES = {
+  USER: 'user',
+  ADMIN: 'admin'
+};
+
+module.exports = Object.assign(defineSettings({
+  // Role given to every newly registered user
+  defaultRole: ROLES.USER,
+  // Users registering with one of these emails are also made admins
+  adminEmails: setting(types.list, { env: 'ADMIN_EMAILS', default: [] })
+}), { ROLES });
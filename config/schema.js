@@ -0,0 +1,239 @@
+const ms = require('ms');
+
+// Shown in place of sensitive settings when the config is printed
+const REDACTED = '[REDACTED]';
+
+// Secrets shorter than this are refused
+const MIN_SECRET_LENGTH = 32;
+
+/**
+ * Setting types
+ * `parse` turns an environment variable into a value, leaving it as is when
+ * it cannot, and `check` returns why a value is invalid, or null. Values
+ * set with applyConfig() are only checked, not parsed.
+ */
+const types = {
+  string: {
+    parse: raw => raw,
+    check: value => (typeof value === 'string' ? null : 'must be a string')
+  },
+  // Random keys only known to this server; never printed
+  secret: {
+    sensitive: true,
+    parse: raw => raw,
+    check: (value) => {
+      if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) {
+        return `must be at least ${MIN_SECRET_LENGTH} characters long`;
+      }
+      if (new Set(value).size < 8) {
+        return 'is too repetitive to be a random secret';
+      }
+      return null;
+    }
+  },
+  boolean: {
+    parse: raw => ({ true: true, false: false })[raw.toLowerCase()] ?? raw,
+    check: value => (typeof value === 'boolean' ? null : 'must be true or false')
+  },
+  // Durations as ms() strings such as 15m, 1h or 7d, kept as strings
+  duration: {
+    parse: raw => raw,
+    check: value => (typeof value === 'string' && ms(value) > 0 ? null : 'must be a duration such as 15m, 1h or 7d')
+  },
+  // Durations given like `duration` and converted to milliseconds
+  milliseconds: {
+    parse: raw => ms(raw) ?? raw,
+    check: value => (Number.isInteger(value) && value > 0 ? null : 'must be a duration such as 15m, 1h or 7d')
+  },
+  // http(s) URLs, without trailing slashes
+  url: {
+    parse: raw => raw.replace(/\/+$/, ''),
+    check: (value) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http or https URL';
+      } catch (error) {
+        return 'must be an http or https URL';
+      }
+    }
+  },
+  // Comma-separated values
+  list: {
+    parse: raw => raw.split(',').map(item => item.trim()).filter(Boolean),
+    check: value => (Array.isArray(value) ? null : 'must be a list')
+  },
+  integer: ({ min = -Infinity, max = Infinity } = {}) => ({
+    parse: raw => (/^-?\d+$/.test(raw.trim()) ? Number(raw) : raw),
+    check: (value) => {
+      if (!Number.isInteger(value)) {
+        return 'must be an integer';
+      }
+      if (value < min || value > max) {
+        return max === Infinity ? `must be at least ${min}` : `must be between ${min} and ${max}`;
+      }
+      return null;
+    }
+  }),
+  oneOf: (...values) => ({
+    parse: raw => raw,
+    check: value => (values.includes(value) ? null : `must be one of: ${values.join(', ')}`)
+  })
+};
+
+/**
+ * Declaration of one setting
+ * `env` names the environment variable it is read from. `default` is used
+ * when the variable is unset or empty; a function is called with the
+ * settings of its group read so far. `required` may be a function of the
+ * group's settings, for settings only needed in some setups. `check` adds
+ * a rule to that of the type, called with the value and the group's
+ * settings.
+ */
+class Setting {
+  constructor(type, { env, default: defaultValue, required = false, sensitive = false, check = null } = {}) {
+    this.type = type;
+    this.env = env;
+    this.defaultValue = defaultValue;
+    this.required = required;
+    this.sensitive = sensitive || Boolean(type.sensitive);
+    this.check = check;
+  }
+
+  read(env, values) {
+    const raw = this.env ? env[this.env] : undefined;
+
+    if (raw !== undefined && raw !== '') {
+      return this.type.parse(raw);
+    }
+    return typeof this.defaultValue === 'function' ? this.defaultValue(values) : this.defaultValue;
+  }
+
+  isRequired(values) {
+    return typeof this.required === 'function' ? this.required(values) : this.required;
+  }
+}
+
+const setting = (type, options) => new Setting(type, options);
+
+const isGroup = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// Declarations of each section, by the object holding its values
+const schemas = new WeakMap();
+
+/**
+ * Read the settings of a config section from the environment
+ * `spec` nests groups (plain objects) and settings; anything else is taken
+ * as a constant. Returns the values, which are validated by validateConfig()
+ * rather than here, so that every problem is reported at once.
+ */
+const defineSettings = (spec, env = process.env) => {
+  const read = (group, values) => {
+    Object.entries(group).forEach(([key, entry]) => {
+      if (entry instanceof Setting) {
+        values[key] = entry.read(env, values);
+      } else if (isGroup(entry)) {
+        values[key] = read(entry, {});
+      } else {
+        values[key] = entry;
+      }
+    });
+    return values;
+  };
+
+  const values = read(spec, {});
+  schemas.set(values, spec);
+  return values;
+};
+
+// Call `fn` with each setting of a section, its value and its dotted path
+const forEachSetting = (spec, values, fn, prefix = '') => {
+  Object.entries(spec).forEach(([key, entry]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (entry instanceof Setting) {
+      fn(entry, values ? values[key] : undefined, path, values || {});
+    } else if (isGroup(entry)) {
+      forEachSetting(entry, values ? values[key] : undefined, fn, path);
+    }
+  });
+};
+
+// Thrown when settings are invalid; `problems` lists them as
+// { path, env, message }
+class ConfigError extends Error {
+  constructor(problems) {
+    super([
+      'Invalid configuration:',
+      ...problems.map(({ path, env, message }) => `  - ${path}${env ? ` (${env})` : ''} ${message}`)
+    ].join('\n'));
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Check every setting of the given sections, by section name
+ * Throws a ConfigError listing every invalid or missing setting.
+ */
+const validateConfig = (sections) => {
+  const problems = [];
+
+  Object.entries(sections).forEach(([name, values]) => {
+    const spec = schemas.get(values);
+
+    if (!spec) {
+      return;
+    }
+
+    forEachSetting(spec, values, (entry, value, path, groupValues) => {
+      const report = message => problems.push({ path: `${name}.${path}`, env: entry.env || null, message });
+
+      if (value === undefined || value === null || value === '') {
+        if (entry.isRequired(groupValues)) {
+          report('is required');
+        }
+        return;
+      }
+
+      const message = entry.type.check(value) || (entry.check && entry.check(value, groupValues));
+
+      if (message) {
+        report(message);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+};
+
+// Copy the settings of the given sections, with sensitive ones redacted and
+// unset ones as null
+const redactConfig = (sections) => Object.fromEntries(
+  Object.entries(sections)
+    .filter(([, values]) => schemas.has(values))
+    .map(([name, values]) => {
+      const copy = {};
+
+      forEachSetting(schemas.get(values), values, (entry, value, path) => {
+        const keys = path.split('.');
+        const group = keys.slice(0, -1).reduce((target, key) => (target[key] = target[key] || {}), copy);
+        const isSet = value !== undefined && value !== null && value !== '';
+
+        group[keys[keys.length - 1]] = entry.sensitive && isSet ? REDACTED : value ?? null;
+      });
+
+      return [name, copy];
+    })
+);
+
+module.exports = {
+  REDACTED,
+  MIN_SECRET_LENGTH,
+  types,
+  setting,
+  defineSettings,
+  validateConfig,
+  redactConfig,
+  ConfigError
+};
@@ -0,0 +1,60 @@
+const { NODE_ENV } = require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+// Environments where the API is only used locally, and any origin may call it
+const LOCAL_ENVIRONMENTS = ['development', 'test'];
+
+// Origins such as https://app.example.com, or * for any origin
+const origins = {
+  parse: types.list.parse,
+  check: (value) => {
+    if (!Array.isArray(value)) {
+      return 'must be a list';
+    }
+
+    const invalid = value.find((origin) => {
+      if (origin === '*') {
+        return false;
+      }
+      try {
+        return new URL(origin).origin !== origin;
+      } catch (error) {
+        return true;
+      }
+    });
+
+    return invalid ? `must list origins such as https://app.example.com, or *; got ${invalid}` : null;
+  }
+};
+
+module.exports = defineSettings({
+  cors: {
+    // Origins allowed to call the API from a browser. Empty allows none but
+    // the API's own
+    origins: setting(origins, {
+      env: 'CORS_ORIGINS',
+      default: () => (LOCAL_ENVIRONMENTS.includes(NODE_ENV) ? ['*'] : [])
+    }),
+    // Let allowed origins send cookies and Authorization headers
+    credentials: setting(types.boolean, {
+      env: 'CORS_CREDENTIALS',
+      default: false,
+      check: (value, cors) => (value && cors.origins.includes('*') ? 'cannot be used with CORS_ORIGINS=*' : null)
+    }),
+    // How long browsers may cache preflight responses, in seconds
+    maxAge: setting(types.integer({ min: 0 }), { env: 'CORS_MAX_AGE', default: 600 })
+  },
+  csp: {
+    // Only report violations of the Content Security Policy, without
+    // enforcing it, e.g. while trying out a stricter policy
+    reportOnly: setting(types.boolean, { env: 'CSP_REPORT_ONLY', default: false })
+  },
+  hsts: {
+    // How long browsers only use HTTPS for the API, in seconds; 0 sends no
+    // Strict-Transport-Security header, as for local HTTP servers
+    maxAge: setting(types.integer({ min: 0 }), {
+      env: 'HSTS_MAX_AGE',
+      default: () => (LOCAL_ENVIRONMENTS.includes(NODE_ENV) ? 0 : 31536000)
+    })
+  }
+});
@@ -0,0 +1,13 @@
+const { NODE_ENV } = require('./env');
+const { types, setting, defineSettings } = require('./schema');
+
+module.exports = defineSettings({
+  env: NODE_ENV,
+  port: setting(types.integer({ min: 0, max: 65535 }), { env: 'PORT', default: 3000 }),
+  // URL clients reach the API at, as shown in the Swagger docs and used as
+  // the default base of links in emails and of OAuth callbacks
+  publicUrl: setting(types.url, { env: 'PUBLIC_URL', default: server => `http://localhost:${server.port}` }),
+  // How long to wait for in-flight requests on SIGTERM/SIGINT before
+  // closing their connections
+  shutdownTimeout: setting(types.duration, { env: 'SHUTDOWN_TIMEOUT', default: '10s' })
+});
@@ -0,0 +1,160 @@
+const path = require('path');
+const swaggerJsDoc = require('swagger-jsdoc');
+const serverConfig = require('./server');
+const { ERROR_CODES } = require('../utils/errors');
+
+// Swagger configuration
+const swaggerOptions = {
+  definition: {
+    openapi: '3.0.0',
+    info: {
+      title: 'Simple API with Swagger',
+      version: '1.0.0',
+      description: 'A simple Express API with Swagger documentation and JWT authentication',
+      contact: {
+        name: 'API Support',
+      },
+    },
+    servers: [
+      {
+        url: serverConfig.publicUrl,
+        description: `${serverConfig.env} server`,
+      },
+    ],
+    components: {
+      schemas: {
+        // Body of every error response (RFC 7807)
+        Problem: {
+          type: 'object',
+          required: ['type', 'title', 'status', 'detail', 'code'],
+          properties: {
+            type: {
+              type: 'string',
+              example: 'about:blank'
+            },
+            title: {
+              type: 'string',
+              description: 'The standard phrase of the HTTP status',
+              example: 'Bad Request'
+            },
+            status: {
+              type: 'integer',
+              example: 400
+            },
+            detail: {
+              type: 'string',
+              description: 'What went wrong, for humans; may change between releases',
+              example: 'Validation error'
+            },
+            instance: {
+              type: 'string',
+              description: 'The path of the request',
+              example: '/api/auth/register'
+            },
+            code: {
+              type: 'string',
+              description: 'What went wrong, for programs; stable across releases',
+              enum: Object.values(ERROR_CODES),
+              example: ERROR_CODES.VALIDATION_FAILED
+            },
+            requestId: {
+              type: 'string',
+              nullable: true,
+              description: 'The X-Request-Id of the request, to find it in the logs',
+              example: '3f0c8a2e-9b1d-4c61-a0e4-5d2f7b8c9e10'
+            },
+            errors: {
+              type: 'array',
+              description: 'One entry per failing field, for validation errors only',
+              items: {
+                type: 'object',
+                properties: {
+                  in: {
+                    type: 'string',
+                    enum: ['body', 'params', 'query']
+                  },
+                  field: {
+                    type: 'string',
+                    nullable: true,
+                    example: 'username'
+                  },
+                  message: {
+                    type: 'string',
+                    example: 'must NOT have more than 30 characters'
+                  }
+                }
+              },
+              example: [{ in: 'body', field: 'username', message: 'must NOT have more than 30 characters' }]
+            }
+          }
+        }
+      },
+      securitySchemes: {
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token, or an API key'
+        },
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key; it can only call operations listing one of its scopes in x-required-scopes'
+        }
+      }
+    }
+  },
+  // Route files documented in every version, for the endpoints outside /api
+  apis: [
+    path.join(__dirname, '../routes/health.js'),
+    path.join(__dirname, '../routes/wellKnown.js')
+  ],
+};
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Routes deliberately left out of the specs, as `METHOD path` patterns: the
+// home page and the docs themselves, endpoints called by browsers and
+// scrapers rather than API clients, and the unversioned aliases of /api/v1
+const UNDOCUMENTED_ROUTES = [
+  /^GET \/$/,
+  /^GET \/api-docs\//,
+  /^GET \/metrics$/,
+  /^POST \/csp-report$/,
+  /^\w+ \/api\/(?!v\d+\/)/
+];
+
+/**
+ * Generate the spec of an API version (see routes/versions.js)
+ * Paths documented as /api/... are served as /api/<version>/..., and every
+ * operation of a deprecated version is marked deprecated.
+ */
+const createSwaggerDocs = (version) => {
+  const spec = swaggerJsDoc({
+    ...swaggerOptions,
+    definition: {
+      ...swaggerOptions.definition,
+      info: { ...swaggerOptions.definition.info, version: version.name }
+    },
+    apis: [...swaggerOptions.apis, ...version.apis]
+  });
+
+  spec.paths = Object.fromEntries(Object.entries(spec.paths).map(([specPath, pathItem]) => {
+    if (!specPath.startsWith('/api/')) {
+      return [specPath, pathItem];
+    }
+
+    if (version.deprecatedAt) {
+      HTTP_METHODS.filter(method => pathItem[method]).forEach((method) => {
+        pathItem[method].deprecated = true;
+      });
+    }
+
+    return [specPath.replace(/^\/api\//, `/api/${version.name}/`), pathItem];
+  }));
+
+  return spec;
+};
+
+module.exports = { swaggerOptions, UNDOCUMENTED_ROUTES, createSwaggerDocs };
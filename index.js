@@ -1,113 +1,38 @@
-const express = require('express');
-const cors = require('cors');
-const swaggerJsDoc = require('swagger-jsdoc');
-const swaggerUi = require('swagger-ui-express');
-const dotenv = require('dotenv');
+const { createApp } = require('./app');
+const { ConfigError } = require('./config');
+const serverConfig = require('./config/server');
+const User = require('./models/User');
+const { logger } = require('./utils/logger');
+const { closeStore: closeRateLimitStore } = require('./middleware/rateLimit');
+const { closeSink: closeAuditSink } = require('./utils/audit');
+const { handleShutdownSignals } = require('./utils/shutdown');
+
+let app;
+
+try {
+  app = createApp();
+} catch (error) {
+  // Refuse to start, listing every setting to fix
+  if (error instanceof ConfigError) {
+    process.stderr.write(`${error.message}\n`);
+    process.exit(1);
+  }
+  throw error;
+}
 
-// Load environment variables
-dotenv.config();
-
-// Import routes
-const helloRoutes = require('./routes/hello');
-const userRoutes = require('./routes/users');
-const authRoutes = require('./routes/auth');
-
-// Initialize express app
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-// Swagger configuration
-const swaggerOptions = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'Simple API with Swagger',
-      version: '1.0.0',
-      description: 'A simple Express API with Swagger documentation and JWT authentication',
-      contact: {
-        name: 'API Support',
-      },
-    },
-    servers: [
-      {
-        url: `http://localhost:${PORT}`,
-        description: 'Development server',
-      },
-    ],
-    components: {
-      securitySchemes: {
-        BearerAuth: {
-          type: 'http',
-          scheme: 'bearer',
-          bearerFormat: 'JWT'
-        }
-      }
-    }
-  },
-  apis: ['./routes/*.js', './routes/auth/*.js'], // Path to the API docs
-};
-
-const swaggerDocs = swaggerJsDoc(swaggerOptions);
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
-
-// Security headers middleware
-app.use((req, res, next) => {
-  // Protect against XSS attacks
-  res.setHeader('X-XSS-Protection', '1; mode=block');
-  
-  // Prevent MIME type sniffing
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  
-  // Clickjacking protection
-  res.setHeader('X-Frame-Options', 'DENY');
-  
-  // HSTS (HTTP Strict Transport Security)
-  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
-  
-  // Content Security Policy
-  res.setHeader(
-    'Content-Security-Policy',
-    "default-src 'self'; script-src 'self'; style-src 'self'; img-src 'self'; font-src 'self'"
-  );
-  
-  next();
-});
-
-// Home route
-app.get('/', (req, res) => {
-  res.send('Welcome to the API! Go to /api-docs for the Swagger documentation');
-});
-
-// Use routes
-app.use('/api/hello', helloRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/auth', authRoutes);
+// Start server
+const server = app.listen(serverConfig.port, () => {
+  const { port } = server.address();
 
-// 404 handler
-app.use((req, res, next) => {
-  res.status(404).json({
-    status: 'error',
-    message: 'Route not found'
-  });
+  logger.info(`Server is running on port ${port}`, { port, env: serverConfig.env });
+  logger.info(`Swagger documentation available at ${serverConfig.publicUrl}/api-docs`);
 });
 
-// Error handler
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  
-  res.status(err.statusCode || 500).json({
-    status: 'error',
-    message: err.message || 'Internal server error'
-  });
+// Drain requests on SIGTERM/SIGINT, then close the stores
+handleShutdownSignals(server, {
+  cleanup: async () => {
+    await User.closeStore();
+    await closeRateLimitStore();
+    await closeAuditSink();
+  }
 });
-
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Swagger documentation available at http://localhost:${PORT}/api-docs`);
-}); 
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { getSuccessor } = require('../routes/versions');
+
+/**
+ * Middleware factory to mark the requests of an API version
+ * Sets req.apiVersion to the version's name and the path it was reached
+ * through (/api/v1, or /api for the unversioned aliases). Deprecated
+ * versions answer with a Deprecation header (RFC 9745), a Sunset header
+ * (RFC 8594) once a removal date is set, and links to their docs and
+ * successor.
+ */
+const apiVersion = (version) => {
+  const successor = getSuccessor(version);
+
+  return (req, res, next) => {
+    req.apiVersion = { name: version.name, basePath: req.baseUrl };
+
+    if (version.deprecatedAt) {
+      res.setHeader('Deprecation', `@${Math.floor(Date.parse(version.deprecatedAt) / 1000)}`);
+      res.append('Link', `</api-docs/${version.name}/>; rel="deprecation"`);
+
+      if (successor) {
+        res.append('Link', `</api/${successor.name}>; rel="successor-version"`);
+      }
+    }
+
+    if (version.sunsetAt) {
+      res.setHeader('Sunset', new Date(version.sunsetAt).toUTCString());
+    }
+
+    next();
+  };
+};
+
+module.exports = { apiVersion };
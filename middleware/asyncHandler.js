@@ -0,0 +1,10 @@
+/**
+ * Wrap an async route handler or middleware
+ * Express 4 does not catch rejected promises, so errors thrown by the
+ * handler are passed to next() and answered by the error handler.
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = { asyncHandler };
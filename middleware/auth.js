@@ -1,59 +1,189 @@
 const { verifyAccessToken } = require('../utils/tokenUtils');
+const { AUDIT_EVENTS, AUDIT_OUTCOMES, recordAuditEvent } = require('../utils/audit');
 const User = require('../models/User');
+const { ERROR_CODES, AuthenticationError, ForbiddenError } = require('../utils/errors');
+const { asyncHandler } = require('./asyncHandler');
+
+// Fields of the authenticated user attached to the request. Roles come from
+// the store rather than the token so that revoked roles take effect immediately
+const toRequestUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.totpEnabled,
+  roles: user.roles
+});
+
+// Audit a rejected request and return the error to answer it with. The
+// reason is also the error code. The response does not wait for the audit
+// write, so a flood of bad credentials is not held up by the audit log
+const rejectAuthentication = (req, { reason, message, userId = null }) => {
+  recordAuditEvent(req, {
+    event: AUDIT_EVENTS.AUTHENTICATION_REJECTED,
+    outcome: AUDIT_OUTCOMES.FAILURE,
+    userId,
+    reason,
+    details: { method: req.method, path: req.originalUrl.split('?')[0] }
+  });
+
+  return new AuthenticationError(message, { code: reason });
+};
+
+// Authenticate a request with an API key instead of an access token
+const authenticateApiKey = async (req, key) => {
+  const apiKey = await User.findApiKey(key);
+  const user = apiKey && await User.findById(apiKey.userId);
+
+  if (!user) {
+    throw rejectAuthentication(req, {
+      reason: ERROR_CODES.INVALID_API_KEY,
+      message: 'Invalid or expired API key.'
+    });
+  }
+
+  req.user = toRequestUser(user);
+
+  // API keys do not belong to a login session, and only grant their scopes
+  req.sessionId = null;
+  req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+};
 
 /**
  * Middleware to authenticate users
- * Extracts the token from the Authorization header, verifies it,
+ * Extracts the access token from the Authorization header, or an API key
+ * from the X-API-Key header or the Authorization header, verifies it,
  * and attaches the user to the request object if valid
  */
-const authenticate = (req, res, next) => {
+const authenticate = asyncHandler(async (req, res, next) => {
   // Get the token from the authorization header
   const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ 
-      status: 'error', 
-      message: 'Authentication required. No token provided.' 
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+  const apiKeyHeader = req.get('X-API-Key');
+
+  if (!token && !apiKeyHeader) {
+    throw rejectAuthentication(req, {
+      reason: ERROR_CODES.MISSING_CREDENTIALS,
+      message: 'Authentication required. No token provided.'
     });
   }
 
-  // Extract the token
-  const token = authHeader.split(' ')[1];
+  // API keys are told apart from JWTs by their prefix
+  if (apiKeyHeader || token.startsWith(User.API_KEY_PREFIX)) {
+    await authenticateApiKey(req, apiKeyHeader || token);
+    return next();
+  }
 
   // Verify the token
-  const { valid, expired, userId } = verifyAccessToken(token);
+  const { valid, expired, revoked, userId, sessionId, issuedAt } = await verifyAccessToken(token);
 
   if (!valid) {
     if (expired) {
-      return res.status(401).json({
-        status: 'error',
+      throw rejectAuthentication(req, {
+        reason: ERROR_CODES.TOKEN_EXPIRED,
         message: 'Token has expired. Please refresh your token.'
       });
     }
-    return res.status(401).json({
-      status: 'error',
+    if (revoked) {
+      throw rejectAuthentication(req, {
+        reason: ERROR_CODES.TOKEN_REVOKED,
+        message: 'Token has been revoked.'
+      });
+    }
+    throw rejectAuthentication(req, {
+      reason: ERROR_CODES.INVALID_TOKEN,
       message: 'Invalid token.'
     });
   }
 
   // Get the user from the database
-  const user = User.findById(userId);
+  const user = await User.findById(userId);
 
   if (!user) {
-    return res.status(401).json({
-      status: 'error',
+    throw rejectAuthentication(req, {
+      reason: ERROR_CODES.USER_NOT_FOUND,
+      userId,
       message: 'User not found.'
     });
   }
 
+  // Tokens issued before a password change or an admin revocation
+  if (User.isTokenRevokedForUser(user, issuedAt)) {
+    throw rejectAuthentication(req, {
+      reason: ERROR_CODES.TOKEN_REVOKED,
+      userId: user.id,
+      message: 'Token has been revoked.'
+    });
+  }
+
+  // Tokens of a session that was revoked, logged out everywhere else, or
+  // ended because its refresh token was reused
+  const session = sessionId ? await User.findSession(sessionId) : null;
+
+  if (sessionId && (!session || session.userId !== user.id)) {
+    throw rejectAuthentication(req, {
+      reason: ERROR_CODES.TOKEN_REVOKED,
+      userId: user.id,
+      message: 'Token has been revoked.'
+    });
+  }
+
   // Attach the user to the request object
-  req.user = {
-    id: user.id,
-    username: user.username,
-    email: user.email
-  };
+  req.user = toRequestUser(user);
+
+  // Login session the access token was issued for
+  req.sessionId = sessionId;
+
+  next();
+});
+
+/**
+ * Middleware to authorize users by role
+ * Must be used after authenticate. Allows the request through if the
+ * user has at least one of the given roles
+ */
+const authorize = (...roles) => (req, res, next) => {
+  const userRoles = (req.user && req.user.roles) || [];
+
+  if (!roles.some(role => userRoles.includes(role))) {
+    return next(new ForbiddenError('You do not have permission to perform this action.', {
+      code: ERROR_CODES.INSUFFICIENT_ROLE
+    }));
+  }
+
+  next();
+};
+
+/**
+ * Middleware to limit what API keys can do
+ * Must be used after authenticate. Requests made with an API key are allowed
+ * through only if the key has every given scope; requests made with an
+ * access token are not affected
+ */
+const requireScopes = (...scopes) => (req, res, next) => {
+  if (req.apiKey && !scopes.every(scope => req.apiKey.scopes.includes(scope))) {
+    return next(new ForbiddenError('This API key does not have the scope required for this action.', {
+      code: ERROR_CODES.INSUFFICIENT_SCOPE
+    }));
+  }
+
+  next();
+};
+
+/**
+ * Middleware to refuse API keys
+ * Must be used after authenticate. For account security endpoints that need
+ * a user who logged in, so that a leaked key cannot be used to take over
+ * the account or to create more keys
+ */
+const rejectApiKeys = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new ForbiddenError('API keys cannot be used for this action. Please login.', {
+      code: ERROR_CODES.API_KEY_NOT_ALLOWED
+    }));
+  }
 
   next();
 };
 
-module.exports = { authenticate }; 
\ No newline at end of file
+module.exports = { authenticate, authorize, requireScopes, rejectApiKeys }; 
\ No newline at end of file
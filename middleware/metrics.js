@@ -0,0 +1,24 @@
+const { observeHttpRequest } = require('../utils/metrics');
+const { getRoute } = require('./requestLogger');
+
+/**
+ * Middleware to count requests and their latency for GET /metrics
+ * Requests are labeled by the route template they matched, as recorded by
+ * trackRoute, once the response is sent.
+ */
+const httpMetrics = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    observeHttpRequest({
+      method: req.method,
+      route: getRoute(res),
+      status: res.statusCode,
+      durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+    });
+  });
+
+  next();
+};
+
+module.exports = { httpMetrics };
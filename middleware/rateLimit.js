@@ -0,0 +1,89 @@
+const rateLimitConfig = require('../config/rateLimit');
+const { createRateLimitStore } = require('../utils/rateLimitStores');
+const { now } = require('../utils/clock');
+const { ERROR_CODES, TooManyRequestsError } = require('../utils/errors');
+
+// Counter store shared by all limiters, created from config on first use
+let sharedStore = null;
+
+const getStore = () => {
+  if (!sharedStore) {
+    sharedStore = createRateLimitStore();
+  }
+  return sharedStore;
+};
+
+// Replace the shared counter store (e.g. to inject a store in tests)
+const setStore = (newStore) => {
+  sharedStore = newStore;
+};
+
+// Set the RateLimit-* headers unless a stricter limiter already set them
+const setRateLimitHeaders = (res, { max, remaining, resetSeconds }) => {
+  const current = res.getHeader('RateLimit-Remaining');
+
+  if (current !== undefined && Number(current) <= remaining) {
+    return;
+  }
+
+  res.setHeader('RateLimit-Limit', max);
+  res.setHeader('RateLimit-Remaining', remaining);
+  res.setHeader('RateLimit-Reset', resetSeconds);
+};
+
+/**
+ * Middleware factory to rate limit requests
+ * Counts requests per key (client IP by default) in a fixed window and
+ * fails with a TooManyRequestsError (429 with Retry-After) once more than
+ * `max` requests were made.
+ * Requests for which keyGenerator returns no key are not limited.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Namespace for the counters of this limiter
+ * @param {number} options.windowMs - Length of the window in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {Function} [options.keyGenerator] - Returns the key to count a request under
+ * @param {Object} [options.store] - Counter store, defaults to the shared one
+ */
+const rateLimit = ({ name, windowMs, max, keyGenerator = req => req.ip, store }) => {
+  return async (req, res, next) => {
+    if (!rateLimitConfig.enabled) {
+      return next();
+    }
+
+    const key = keyGenerator(req);
+
+    if (!key) {
+      return next();
+    }
+
+    try {
+      const { count, resetAt } = await (store || getStore()).increment(`${name}:${key}`, windowMs);
+      const resetSeconds = Math.max(Math.ceil((resetAt - now()) / 1000), 0);
+      const remaining = Math.max(max - count, 0);
+
+      setRateLimitHeaders(res, { max, remaining, resetSeconds });
+
+      if (count > max) {
+        return next(new TooManyRequestsError('Too many requests. Please try again later.', {
+          code: ERROR_CODES.RATE_LIMITED,
+          retryAfter: resetSeconds
+        }));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Close the shared counter store, e.g. on shutdown
+const closeStore = async () => {
+  if (sharedStore) {
+    await sharedStore.close();
+    sharedStore = null;
+  }
+};
+
+module.exports = { rateLimit, setStore, closeStore };
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const loggingConfig = require('../config/logging');
+const { logger, runWithContext } = require('../utils/logger');
+
+// Incoming request IDs are echoed and logged, so only accept harmless ones
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Join the mount path of a router and the path of one of its routes. The
+// root route of a router is its mount path
+const toTemplate = (baseUrl, routePath) => (routePath === '/' && baseUrl ? baseUrl : `${baseUrl}${routePath}`);
+
+/**
+ * Middleware to keep the route template a request matches (e.g.
+ * /api/users/:id) in res.locals.route
+ * Express sets req.route when a route matches, while req.baseUrl is still
+ * the mount path of its router. By the time an error reaches the app's
+ * error handler req.baseUrl has been reset, so the template is recorded at
+ * that moment rather than read when the response is sent.
+ */
+const trackRoute = (req, res, next) => {
+  let route;
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value && typeof value.path === 'string') {
+        res.locals.route = toTemplate(req.baseUrl, value.path);
+      }
+    }
+  });
+
+  next();
+};
+
+// Get the route template a response was for, or null when its request
+// matched none. Needs trackRoute
+const getRoute = res => res.locals.route || null;
+
+// Path of a request without the query string, which can hold tokens
+// (e.g. email verification links and OAuth callbacks)
+const getPath = (req) => req.originalUrl.split('?')[0];
+
+// Log level of the access log line for a response status
+const levelFor = (status) => {
+  if (status >= 500) {
+    return 'error';
+  }
+  return status >= 400 ? 'warn' : 'info';
+};
+
+/**
+ * Middleware to give each request a correlation ID and log it when done
+ * The ID is taken from the X-Request-Id header when the client sent a valid
+ * one and generated otherwise. It is returned in the same header and added
+ * to every line logged while handling the request. An access log line with
+ * the method, route, status, latency and user is written once the response
+ * is sent, or when the client disconnects before that.
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get(loggingConfig.requestIdHeader);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.setHeader(loggingConfig.requestIdHeader, requestId);
+
+  const logAccess = (aborted) => {
+    const status = aborted ? null : res.statusCode;
+
+    logger[aborted ? 'warn' : levelFor(status)]('Request completed', {
+      requestId,
+      method: req.method,
+      route: getRoute(res),
+      path: getPath(req),
+      status,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3,
+      userId: req.user ? req.user.id : null,
+      apiKeyId: req.apiKey ? req.apiKey.id : undefined,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      ...(aborted && { aborted: true })
+    });
+  };
+
+  res.on('finish', () => logAccess(false));
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      logAccess(true);
+    }
+  });
+
+  runWithContext({ requestId }, next);
+};
+
+module.exports = { trackRoute, requestLogger, getRoute };
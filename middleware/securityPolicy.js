@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const cors = require('cors');
+const securityConfig = require('../config/security');
+const serverConfig = require('../config/server');
+
+// Path browsers send Content Security Policy violation reports to
+const CSP_REPORT_PATH = '/csp-report';
+
+// Name of the reporting endpoint for the report-to directive
+const CSP_REPORT_GROUP = 'csp-endpoint';
+
+// Stands for the nonce of the request in a policy's sources
+const NONCE = Symbol('nonce');
+
+// Response headers browsers let cross-origin scripts read
+const EXPOSED_HEADERS = [
+  'Deprecation',
+  'Link',
+  'Retry-After',
+  'RateLimit-Limit',
+  'RateLimit-Remaining',
+  'RateLimit-Reset',
+  'Sunset',
+  'X-Request-Id'
+];
+
+/**
+ * Content Security Policies, by the responses they are for
+ * `api` locks down JSON and text responses, which never load anything.
+ * `docs` lets Swagger UI run: its scripts carry the request's nonce, its
+ * stylesheet sets inline styles, its images are data: URIs, and "Try it
+ * out" calls the API.
+ */
+const CSP_POLICIES = {
+  api: {
+    'default-src': ["'none'"],
+    'frame-ancestors': ["'none'"],
+    'base-uri': ["'none'"],
+    'form-action': ["'none'"]
+  },
+  docs: {
+    'default-src': ["'self'"],
+    'script-src': [NONCE],
+    'style-src': ["'self'", "'unsafe-inline'"],
+    'img-src': ["'self'", 'data:'],
+    'connect-src': ["'self'", () => new URL(serverConfig.publicUrl).origin],
+    'object-src': ["'none'"],
+    'frame-ancestors': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"]
+  }
+};
+
+// Render a policy as a header value for a request's nonce
+const renderPolicy = (policy, nonce) => Object.entries(policy)
+  .map(([directive, sources]) => {
+    const values = sources.map((source) => {
+      if (source === NONCE) {
+        return `'nonce-${nonce}'`;
+      }
+      return typeof source === 'function' ? source() : source;
+    });
+
+    return [directive, ...new Set(values)].join(' ');
+  })
+  .concat(`report-uri ${CSP_REPORT_PATH}`, `report-to ${CSP_REPORT_GROUP}`)
+  .join('; ');
+
+/**
+ * Middleware to set the headers every response gets
+ * HSTS is only sent when HSTS_MAX_AGE is set, which it is by default
+ * outside development and test.
+ */
+const securityHeaders = (req, res, next) => {
+  // The XSS filter of old browsers could be abused to leak data; the
+  // Content Security Policy protects against XSS instead
+  res.setHeader('X-XSS-Protection', '0');
+
+  // Prevent MIME type sniffing
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  // Clickjacking protection, for browsers without frame-ancestors
+  res.setHeader('X-Frame-Options', 'DENY');
+
+  res.setHeader('Referrer-Policy', 'no-referrer');
+
+  // Only use HTTPS for the API from now on
+  if (securityConfig.hsts.maxAge > 0) {
+    res.setHeader('Strict-Transport-Security', `max-age=${securityConfig.hsts.maxAge}; includeSubDomains`);
+  }
+
+  next();
+};
+
+/**
+ * Middleware to set the Content Security Policy of a route
+ * A fresh nonce is made for every request and kept in res.locals.cspNonce,
+ * for the inline or external scripts the response allows with it.
+ * Violations are reported to POST /csp-report.
+ */
+const contentSecurityPolicy = (policy) => (req, res, next) => {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  const header = securityConfig.csp.reportOnly
+    ? 'Content-Security-Policy-Report-Only'
+    : 'Content-Security-Policy';
+
+  res.locals.cspNonce = nonce;
+  res.setHeader('Reporting-Endpoints', `${CSP_REPORT_GROUP}="${CSP_REPORT_PATH}"`);
+  res.setHeader(header, renderPolicy(policy, nonce));
+
+  next();
+};
+
+// Add a nonce to every script tag of an HTML page
+const addScriptNonce = (html, nonce) => html.replace(/<script(?=[\s>])/g, `<script nonce="${nonce}"`);
+
+// Answer whether a browser origin may call the API
+const isAllowedOrigin = (origin) => {
+  const { origins } = securityConfig.cors;
+  return origins.includes('*') || origins.includes(origin);
+};
+
+/**
+ * Middleware to answer CORS requests from the origins in CORS_ORIGINS
+ * Other origins get no CORS headers, so browsers keep the response from
+ * them. Settings are read per request.
+ */
+const corsPolicy = cors((req, callback) => {
+  const { credentials, maxAge } = securityConfig.cors;
+  const origin = req.get('Origin');
+
+  callback(null, {
+    // Reflect the allowed origin rather than answering *, as browsers
+    // require with credentials
+    origin: Boolean(origin) && isAllowedOrigin(origin),
+    credentials,
+    maxAge,
+    exposedHeaders: EXPOSED_HEADERS
+  });
+});
+
+module.exports = {
+  CSP_POLICIES,
+  CSP_REPORT_PATH,
+  NONCE,
+  securityHeaders,
+  contentSecurityPolicy,
+  addScriptNonce,
+  corsPolicy
+};
@@ -0,0 +1,50 @@
+const authConfig = require('../config/auth');
+const { AUDIT_EVENTS, AUDIT_OUTCOMES, recordAuditEvent } = require('../utils/audit');
+const { ERROR_CODES, ValidationError, ForbiddenError } = require('../utils/errors');
+const { REFRESH_TOKEN_COOKIE, readCookies, hasValidCsrfToken } = require('../utils/sessionCookies');
+const { asyncHandler } = require('./asyncHandler');
+
+/**
+ * Middleware to find the refresh token of a request
+ * JSON clients send it in the body. In cookie mode, browser clients send
+ * the refresh token cookie instead, which makes the request
+ * cookie-authenticated: req.cookieSession is set so that requireCsrfToken
+ * checks it. A token in the body wins over the cookie.
+ */
+const readRefreshToken = (req, res, next) => {
+  const fromBody = req.body && req.body.refreshToken;
+  const fromCookie = authConfig.cookies.enabled ? readCookies(req)[REFRESH_TOKEN_COOKIE] : undefined;
+
+  if (!fromBody && !fromCookie) {
+    return next(new ValidationError('Validation error', {
+      errors: [{ in: 'body', field: 'refreshToken', message: "must have required property 'refreshToken'" }]
+    }));
+  }
+
+  req.refreshToken = fromBody || fromCookie;
+  req.cookieSession = !fromBody;
+  next();
+};
+
+/**
+ * Middleware to protect cookie-authenticated requests against CSRF
+ * The X-CSRF-Token header must repeat the CSRF cookie set at login
+ * (double-submit). Requests authenticated otherwise, whose credentials
+ * browsers never send on their own, pass through.
+ */
+const requireCsrfToken = asyncHandler(async (req, res, next) => {
+  if (!req.cookieSession || hasValidCsrfToken(req)) {
+    return next();
+  }
+
+  await recordAuditEvent(req, {
+    event: AUDIT_EVENTS.AUTHENTICATION_REJECTED,
+    outcome: AUDIT_OUTCOMES.FAILURE,
+    reason: ERROR_CODES.INVALID_CSRF_TOKEN,
+    details: { method: req.method, path: req.originalUrl.split('?')[0] }
+  });
+
+  throw new ForbiddenError('Missing or invalid CSRF token', { code: ERROR_CODES.INVALID_CSRF_TOKEN });
+});
+
+module.exports = { readRefreshToken, requireCsrfToken };
@@ -0,0 +1,187 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('../utils/errors');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Create a validator that understands the OpenAPI flavour of JSON Schema
+const createAjv = (options = {}) => {
+  // strict is off so OpenAPI-only keywords such as `example` are ignored
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addFormat('password', true);
+  return ajv;
+};
+
+// Body schemas are validated as-is; params and query strings are coerced
+// from strings first ("42" is a valid integer)
+const bodyAjv = createAjv();
+const paramAjv = createAjv({ coerceTypes: true });
+
+// Compile a schema so that `#/components/...` references resolve against the spec
+const compile = (ajv, schema, spec) => {
+  return ajv.compile({ allOf: [schema], components: spec.components || {} });
+};
+
+// Turn `/api/users/{id}` into a regex capturing the path parameters
+const toPathMatcher = (specPath) => {
+  const keys = [];
+  const pattern = specPath
+    .split('/')
+    .map(segment => {
+      const match = segment.match(/^{(.+)}$/);
+      if (match) {
+        keys.push(match[1]);
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+};
+
+// Build an object schema out of the OpenAPI parameters of one location
+const toParameterSchema = (parameters, location) => {
+  const selected = parameters.filter(p => p.in === location);
+
+  if (selected.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(selected.map(p => [p.name, p.schema || {}])),
+    required: selected.filter(p => p.required).map(p => p.name)
+  };
+};
+
+// Compile the validators of every operation in the spec under `basePath`,
+// matching paths relative to it
+const compileOperations = (spec, basePath) => {
+  const operations = [];
+
+  Object.entries(spec.paths || {}).forEach(([specPath, pathItem]) => {
+    if (basePath && !specPath.startsWith(`${basePath}/`)) {
+      return;
+    }
+
+    const { regex, keys } = toPathMatcher(specPath.slice(basePath.length));
+
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])];
+      const paramsSchema = toParameterSchema(parameters, 'path');
+      const querySchema = toParameterSchema(parameters, 'query');
+      const requestBody = operation.requestBody;
+      const bodySchema = requestBody &&
+        requestBody.content &&
+        requestBody.content['application/json'] &&
+        requestBody.content['application/json'].schema;
+
+      operations.push({
+        method,
+        regex,
+        keys,
+        // Literal segments win over templated ones (/users/profile before /users/{id})
+        specificity: keys.length,
+        bodyRequired: Boolean(requestBody && requestBody.required),
+        validators: {
+          params: paramsSchema && compile(paramAjv, paramsSchema, spec),
+          query: querySchema && compile(paramAjv, querySchema, spec),
+          body: bodySchema && compile(bodyAjv, bodySchema, spec)
+        }
+      });
+    });
+  });
+
+  return operations.sort((a, b) => a.specificity - b.specificity);
+};
+
+// Decode a path segment, leaving malformed ones untouched
+const decodeSegment = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Convert Ajv errors to one entry per failing field
+const formatErrors = (location, errors) => {
+  return errors.map(error => {
+    let field = error.instancePath.slice(1).replace(/\//g, '.');
+
+    if (error.keyword === 'required') {
+      field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+    } else if (error.keyword === 'additionalProperties') {
+      field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+    }
+
+    return {
+      in: location,
+      field: field || null,
+      message: error.message
+    };
+  });
+};
+
+/**
+ * Middleware factory to validate requests against an OpenAPI spec
+ * Looks up the operation matching the request method and path, then
+ * validates path params, the query string and the JSON body against the
+ * schemas declared for it. Requests without a matching operation pass through.
+ * When mounted under a path, such as an API version at /api/v1 and its
+ * alias /api, `basePath` is the prefix of the spec paths it serves.
+ */
+const validateRequest = (spec, { basePath = '' } = {}) => {
+  const operations = compileOperations(spec, basePath);
+
+  return (req, res, next) => {
+    const method = req.method.toLowerCase();
+    let match = null;
+    const operation = operations.find(op => {
+      if (op.method !== method) {
+        return false;
+      }
+      match = req.path.match(op.regex);
+      return Boolean(match);
+    });
+
+    if (!operation) {
+      return next();
+    }
+
+    const params = Object.fromEntries(
+      operation.keys.map((key, index) => [key, decodeSegment(match[index + 1])])
+    );
+    const inputs = {
+      params,
+      // Copies, since coercion mutates the validated data
+      query: { ...req.query },
+      body: req.body === undefined ? {} : req.body
+    };
+
+    let errors = [];
+
+    ['params', 'query', 'body'].forEach(location => {
+      const validator = operation.validators[location];
+
+      if (location === 'body' && !operation.bodyRequired && Object.keys(inputs.body).length === 0) {
+        return;
+      }
+
+      if (validator && !validator(inputs[location])) {
+        errors = errors.concat(formatErrors(location, validator.errors));
+      }
+    });
+
+    if (errors.length > 0) {
+      return next(new ValidationError('Validation error', { errors }));
+    }
+
+    next();
+  };
+};
+
+module.exports = { validateRequest };
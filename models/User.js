@@ -1,55 +1,259 @@
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
+const ms = require('ms');
+const { createStore } = require('./stores');
+const totp = require('../utils/totp');
+const rolesConfig = require('../config/roles');
+const authConfig = require('../config/auth');
+const jwtConfig = require('../config/jwt');
+const oauthConfig = require('../config/oauth');
+const { now, isoNow } = require('../utils/clock');
+const { ERROR_CODES, ConflictError } = require('../utils/errors');
 
-// In a real application, you would use a database instead of in-memory storage
-const users = [];
+const { ROLES } = rolesConfig;
+
+// Storage adapter, created from config on first use
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+// Fields of a user that are safe to expose through the API
+const toPublic = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.totpEnabled,
+  roles: user.roles,
+  createdAt: user.createdAt
+});
+
+// Public fields that user lists can be sorted by, and the store fields behind them
+const SORT_FIELDS = {
+  id: 'id',
+  username: 'username',
+  email: 'email',
+  emailVerified: 'emailVerified',
+  twoFactorEnabled: 'totpEnabled',
+  createdAt: 'createdAt'
+};
+
+// Single-use and refresh tokens are stored as SHA-256 hashes so a leaked
+// database cannot be used to verify emails, reset passwords or refresh
+// sessions
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Fields of an API key that are safe to expose; the key itself is never stored
+const toPublicApiKey = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  createdAt: apiKey.createdAt
+});
+
+// Recovery codes are compared without dashes, spaces or case
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
 
 class User {
-  constructor(id, username, email, password) {
-    this.id = id;
-    this.username = username;
-    this.email = email;
-    this.password = password;
-    this.refreshTokens = []; // Store refresh tokens for the user
+  // Types of single-use tokens sent to users by email, or handed to the
+  // client app after an OAuth login
+  static TOKEN_TYPES = {
+    EMAIL_VERIFICATION: 'email_verification',
+    PASSWORD_RESET: 'password_reset',
+    OAUTH_LOGIN: 'oauth_login'
+  };
+
+  // Every API key starts with this, which tells them apart from JWTs
+  static API_KEY_PREFIX = 'ssb_';
+
+  // Replace the storage adapter (e.g. to inject a store in tests). Returns
+  // the one it replaces
+  static setStore(newStore) {
+    const previous = store;
+    store = newStore;
+    return previous;
+  }
+
+  // Get the current storage adapter
+  static getStore() {
+    return getStore();
+  }
+
+  // Check that the storage adapter can be used; throws if it cannot
+  static async ping() {
+    await getStore().ping();
+  }
+
+  // Close the storage adapter, e.g. on shutdown. It is opened again on next use
+  static async closeStore() {
+    if (store) {
+      await store.close();
+      store = null;
+    }
   }
 
-  // Method to create a new user
+  // Method to create a new user. Throws a ConflictError if the username or
+  // email is taken
   static async create(username, email, password) {
     // Check if user already exists
-    const existingUser = users.find(
-      user => user.username === username || user.email === email
-    );
-    
+    const existingUser =
+      (await getStore().findUserByUsername(username)) ||
+      (await getStore().findUserByEmail(email));
+
     if (existingUser) {
-      throw new Error('User already exists');
+      throw new ConflictError('Username or email already in use', { code: ERROR_CODES.USER_EXISTS });
     }
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
-    
-    // Create new user
-    const id = users.length + 1;
-    const user = new User(id, username, email, hashedPassword);
-    
-    // Add to "database"
-    users.push(user);
-    
-    return {
-      id: user.id,
-      username: user.username,
-      email: user.email
-    };
+
+    // Assign the default role, plus admin for configured admin emails
+    const roles = [rolesConfig.defaultRole];
+    if (rolesConfig.adminEmails.includes(email)) {
+      roles.push(ROLES.ADMIN);
+    }
+
+    // Add to the database
+    const user = await getStore().insertUser({
+      username,
+      email,
+      password: hashedPassword,
+      roles
+    });
+
+    return toPublic(user);
+  }
+
+  // Update a user's username and/or email. Throws a ConflictError if either
+  // is taken by another user
+  static async update(id, { username, email }) {
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    const changes = {};
+    if (username !== undefined && username !== user.username) {
+      changes.username = username;
+    }
+    if (email !== undefined && email !== user.email) {
+      // A new email address has to be verified again
+      changes.email = email;
+      changes.emailVerified = false;
+    }
+
+    // Check that the new username or email is not taken by another user
+    const existingUser =
+      (changes.username && (await getStore().findUserByUsername(changes.username))) ||
+      (changes.email && (await getStore().findUserByEmail(changes.email)));
+
+    if (existingUser) {
+      throw new ConflictError('Username or email already in use', { code: ERROR_CODES.USER_EXISTS });
+    }
+
+    const updated = await getStore().updateUser(user.id, changes);
+
+    return toPublic(updated);
+  }
+
+  // Replace a user's password
+  static async changePassword(id, newPassword) {
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await getStore().updateUser(parseInt(id), { password: hashedPassword });
+  }
+
+  // Mark a user's email address as verified
+  static async markEmailVerified(id) {
+    await getStore().updateUser(parseInt(id), { emailVerified: true });
+  }
+
+  // Create a single-use token of the given type, replacing earlier ones.
+  // Returns the plain token, which is only ever sent to the user
+  static async createToken(userId, type, expiresIn) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now() + ms(expiresIn)).toISOString();
+
+    await getStore().removeUserTokens(parseInt(userId), type);
+    await getStore().addUserToken(parseInt(userId), {
+      type,
+      tokenHash: hashToken(token),
+      expiresAt
+    });
+
+    return token;
+  }
+
+  // Use up a single-use token and return its user, or null if the token
+  // is unknown, expired or already used
+  static async consumeToken(type, token) {
+    const userId = await getStore().consumeUserToken(type, hashToken(token));
+    return userId ? getStore().findUserById(userId) : null;
+  }
+
+  // Delete a user and all their refresh tokens
+  static async delete(id) {
+    const userId = parseInt(id);
+    if (Number.isNaN(userId)) {
+      return false;
+    }
+    return getStore().deleteUser(userId);
+  }
+
+  // Strip private fields (password hash) from a user record
+  static toPublic(user) {
+    return toPublic(user);
+  }
+
+  // Give a role to a user
+  static async assignRole(id, role) {
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    await getStore().addUserRole(user.id, role);
+    return toPublic(await getStore().findUserById(user.id));
+  }
+
+  // Take a role away from a user
+  static async revokeRole(id, role) {
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    await getStore().removeUserRole(user.id, role);
+    return toPublic(await getStore().findUserById(user.id));
   }
 
   // Find user by username or email
-  static findByCredentials(usernameOrEmail) {
-    return users.find(
-      user => user.username === usernameOrEmail || user.email === usernameOrEmail
+  static async findByCredentials(usernameOrEmail) {
+    return (
+      (await getStore().findUserByUsername(usernameOrEmail)) ||
+      (await getStore().findUserByEmail(usernameOrEmail))
     );
   }
 
+  // Find user by email
+  static async findByEmail(email) {
+    return getStore().findUserByEmail(email);
+  }
+
   // Find user by ID
-  static findById(id) {
-    return users.find(user => user.id === parseInt(id));
+  static async findById(id) {
+    const userId = parseInt(id);
+    if (Number.isNaN(userId)) {
+      return null;
+    }
+    return getStore().findUserById(userId);
   }
 
   // Compare password
@@ -57,41 +261,349 @@ class User {
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
 
-  // Add refresh token to user
-  static addRefreshToken(userId, token) {
-    const user = this.findById(userId);
-    if (user) {
-      // Limit number of refresh tokens per user (optional security measure)
-      if (user.refreshTokens.length >= 5) {
-        // Remove the oldest token
-        user.refreshTokens.shift();
+  // Get the time until which a user's account is locked, or null if it is not
+  static lockedUntil(user) {
+    if (user.lockedUntil && new Date(user.lockedUntil) > new Date(now())) {
+      return new Date(user.lockedUntil);
+    }
+    return null;
+  }
+
+  // Record a failed password check, locking the account once too many
+  // consecutive checks failed. Returns the lock expiry, or null
+  static async recordFailedLogin(user) {
+    const attempts = await getStore().incrementFailedLoginAttempts(user.id);
+
+    if (attempts < authConfig.lockout.maxAttempts) {
+      return null;
+    }
+
+    const lockedUntil = new Date(now() + ms(authConfig.lockout.duration));
+    await getStore().updateUser(user.id, {
+      failedLoginAttempts: 0,
+      lockedUntil: lockedUntil.toISOString()
+    });
+
+    return lockedUntil;
+  }
+
+  // Clear failed password checks after a successful login
+  static async recordSuccessfulLogin(user) {
+    if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+      await this.unlock(user.id);
+    }
+  }
+
+  // Lift an account lock and clear failed password checks
+  static async unlock(id) {
+    await getStore().updateUser(parseInt(id), { failedLoginAttempts: 0, lockedUntil: null });
+  }
+
+  // Invalidate every access token issued to a user before now
+  static async revokeAllTokens(id) {
+    await getStore().updateUser(parseInt(id), { tokensValidAfter: isoNow() });
+  }
+
+  // Check if a token issued at `issuedAt` (seconds since epoch, as in the
+  // JWT iat claim) was invalidated by revokeAllTokens. iat has second
+  // precision, so tokens issued in the same second as the revocation pass
+  static isTokenRevokedForUser(user, issuedAt) {
+    if (!user.tokensValidAfter) {
+      return false;
+    }
+    return issuedAt < Math.floor(new Date(user.tokensValidAfter).getTime() / 1000);
+  }
+
+  // Deny a single access token until it expires
+  static async revokeAccessToken(jti, expiresAt) {
+    await getStore().addRevokedAccessToken(jti, expiresAt);
+  }
+
+  // Check if a single access token was revoked
+  static async isAccessTokenRevoked(jti) {
+    return getStore().isAccessTokenRevoked(jti);
+  }
+
+  // Use up a two-factor challenge. Its ID is denied until it expires, like
+  // a revoked access token. Returns false if it was already used
+  static async useTwoFactorChallenge(jti, expiresAt) {
+    return getStore().addRevokedAccessToken(jti, expiresAt);
+  }
+
+  // Check if a two-factor challenge was used
+  static async isTwoFactorChallengeUsed(jti) {
+    return getStore().isAccessTokenRevoked(jti);
+  }
+
+  // Start enrolling a user in two-factor authentication with a new TOTP
+  // secret. It is only used for logins once confirmed with enableTwoFactor
+  static async startTwoFactorSetup(id) {
+    const secret = totp.generateSecret();
+    await getStore().updateUser(parseInt(id), {
+      totpSecret: secret,
+      totpEnabled: false,
+      totpLastUsedStep: null
+    });
+    return secret;
+  }
+
+  // Turn on two-factor authentication once the user proved their app has the
+  // secret. Returns new recovery codes, or null if the code is wrong
+  static async enableTwoFactor(user, code) {
+    if (!(await this.verifyTwoFactorCode(user, code))) {
+      return null;
+    }
+
+    await getStore().updateUser(user.id, { totpEnabled: true });
+    return this.generateRecoveryCodes(user.id);
+  }
+
+  // Turn off two-factor authentication and drop the recovery codes
+  static async disableTwoFactor(id) {
+    const userId = parseInt(id);
+    await getStore().updateUser(userId, {
+      totpSecret: null,
+      totpEnabled: false,
+      totpLastUsedStep: null
+    });
+    await getStore().replaceRecoveryCodes(userId, []);
+  }
+
+  // Check a TOTP code against a user's secret. Each code is accepted only once
+  static async verifyTwoFactorCode(user, code) {
+    if (!user.totpSecret) {
+      return false;
+    }
+
+    const step = totp.verifyCode(user.totpSecret, code);
+    return step !== null && getStore().advanceTotpStep(user.id, step);
+  }
+
+  // Replace a user's recovery codes with new ones. Returns the plain codes,
+  // which are only shown to the user once; bcrypt hashes are stored
+  static async generateRecoveryCodes(id) {
+    const codes = Array.from({ length: authConfig.twoFactor.recoveryCodes }, () =>
+      crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-')
+    );
+    const hashes = await Promise.all(
+      codes.map(code => bcrypt.hash(normalizeRecoveryCode(code), 10))
+    );
+
+    await getStore().replaceRecoveryCodes(parseInt(id), hashes);
+    return codes;
+  }
+
+  // Use up one of a user's recovery codes. Returns false if none matches
+  static async useRecoveryCode(user, code) {
+    const normalized = normalizeRecoveryCode(code);
+    const recoveryCodes = await getStore().listRecoveryCodes(user.id);
+
+    for (const recoveryCode of recoveryCodes) {
+      if (await bcrypt.compare(normalized, recoveryCode.codeHash)) {
+        // Another request may have used the same code in the meantime
+        return getStore().deleteRecoveryCode(user.id, recoveryCode.id);
       }
-      user.refreshTokens.push(token);
     }
+
+    return false;
   }
 
-  // Remove refresh token from user
-  static removeRefreshToken(userId, token) {
-    const user = this.findById(userId);
-    if (user) {
-      user.refreshTokens = user.refreshTokens.filter(t => t !== token);
+  // Create a user for an external identity. The username is derived from the
+  // one suggested by the provider, and the password is random: the user can
+  // set one through a password reset
+  static async createFromIdentity({ username, email, emailVerified }) {
+    const base = (username || email.split('@')[0])
+      .replace(/[^A-Za-z0-9_.-]/g, '')
+      .slice(0, 23)
+      .padEnd(3, '_');
+
+    let candidate = base;
+    while (await getStore().findUserByUsername(candidate)) {
+      candidate = `${base}${crypto.randomInt(1000000)}`;
+    }
+
+    const user = await this.create(candidate, email, crypto.randomBytes(32).toString('hex'));
+
+    if (emailVerified) {
+      await this.markEmailVerified(user.id);
+    }
+
+    return getStore().findUserById(user.id);
+  }
+
+  // Link an external identity (a provider and the user's ID there) to a user
+  static async linkIdentity(userId, { provider, subject, email }) {
+    return getStore().addIdentity(parseInt(userId), { provider, subject, email });
+  }
+
+  // Find the link between a provider's user and one of our users
+  static async findIdentity(provider, subject) {
+    return getStore().findIdentity(provider, subject);
+  }
+
+  // Get the external identities linked to a user
+  static async getIdentities(userId) {
+    return getStore().listIdentities(parseInt(userId));
+  }
+
+  // Remember a pending OAuth authorization request until the provider
+  // redirects back with its state. `userId` is set when linking an identity
+  static async saveOAuthState({ state, provider, codeVerifier, nonce, userId = null }) {
+    const expiresAt = new Date(now() + ms(oauthConfig.stateExpiresIn)).toISOString();
+    await getStore().addOAuthState({ state, provider, codeVerifier, nonce, userId, expiresAt });
+  }
+
+  // Use up a pending OAuth authorization request. Returns null if the state
+  // is unknown, expired or was already used
+  static async consumeOAuthState(state) {
+    return getStore().consumeOAuthState(state);
+  }
+
+  // Create an API key for a user. Returns the plain key, which is only shown
+  // once, with the stored key's public fields. Keys are stored as SHA-256
+  // hashes, like single-use tokens
+  static async createApiKey(userId, { name, scopes, expiresAt = null }) {
+    const key = `${User.API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = await getStore().addApiKey(parseInt(userId), {
+      name,
+      keyHash: hashToken(key),
+      // Enough of the key to recognize it in a list
+      prefix: key.slice(0, User.API_KEY_PREFIX.length + 6),
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    return { key, apiKey: toPublicApiKey(apiKey) };
+  }
+
+  // Find the unexpired API key matching a plain key, and record its use
+  static async findApiKey(key) {
+    const apiKey = await getStore().findApiKeyByHash(hashToken(key));
+
+    if (!apiKey || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date(now()))) {
+      return null;
     }
+
+    await getStore().touchApiKey(apiKey.id);
+    return apiKey;
+  }
+
+  // Get the API keys of a user
+  static async getApiKeys(userId) {
+    const apiKeys = await getStore().listApiKeys(parseInt(userId));
+    return apiKeys.map(toPublicApiKey);
+  }
+
+  // Revoke one API key of a user. Returns false if the user has no such key
+  static async revokeApiKey(userId, id) {
+    const apiKeyId = parseInt(id);
+    if (Number.isNaN(apiKeyId)) {
+      return false;
+    }
+    return getStore().deleteApiKey(parseInt(userId), apiKeyId);
+  }
+
+  // Revoke every API key of a user
+  static async revokeApiKeys(userId) {
+    await getStore().deleteApiKeys(parseInt(userId));
+  }
+
+  // Start a login session for a user. Refresh tokens rotated from the same
+  // login all belong to this session
+  static async createSession(userId, { ip, userAgent, expiresAt }) {
+    return getStore().createSession(
+      parseInt(userId),
+      { id: crypto.randomUUID(), ip, userAgent, expiresAt },
+      jwtConfig.sessions.max
+    );
+  }
+
+  // Find a session by ID
+  static async findSession(id) {
+    return getStore().findSession(id);
+  }
+
+  // Get the active sessions of a user, most recently used first
+  static async getSessions(userId) {
+    return getStore().listSessions(parseInt(userId));
+  }
+
+  // Count the active sessions of all users
+  static async countActiveSessions() {
+    return getStore().countActiveSessions();
+  }
+
+  // Record that a session was used, with the client it was used from
+  static async touchSession(id, { ip, userAgent, expiresAt }) {
+    await getStore().touchSession(id, { ip, userAgent, expiresAt });
   }
 
-  // Verify if refresh token exists for user
-  static hasRefreshToken(userId, token) {
-    const user = this.findById(userId);
-    return user ? user.refreshTokens.includes(token) : false;
+  // Revoke one session of a user. Returns false if the user has no such session
+  static async deleteSession(userId, sessionId) {
+    return getStore().deleteSession(parseInt(userId), sessionId);
+  }
+
+  // Revoke every session of a user, optionally keeping one
+  static async deleteSessions(userId, exceptSessionId = null) {
+    await getStore().deleteSessions(parseInt(userId), exceptSessionId);
+  }
+
+  // Add refresh token to user
+  static async addRefreshToken(userId, token, { sessionId, expiresAt }) {
+    await getStore().addRefreshToken(parseInt(userId), { tokenHash: hashToken(token), sessionId, expiresAt });
+  }
+
+  // Find a stored refresh token, including ones that were already rotated
+  static async findRefreshToken(token) {
+    return getStore().findRefreshToken(hashToken(token));
+  }
+
+  // Mark a refresh token as rotated. Returns false if it already was
+  static async markRefreshTokenUsed(token) {
+    return getStore().markRefreshTokenUsed(hashToken(token));
+  }
+
+  // Remove refresh token from user
+  static async removeRefreshToken(userId, token) {
+    await getStore().removeRefreshToken(parseInt(userId), hashToken(token));
+  }
+
+  // Verify if an unused refresh token is stored for user
+  static async hasRefreshToken(userId, token) {
+    const record = await getStore().findRefreshToken(hashToken(token));
+    return Boolean(record && record.userId === parseInt(userId) && !record.used);
+  }
+
+  // Count all registered users
+  static async count() {
+    return getStore().countUsers();
   }
 
   // Get all users (for demonstration purposes)
-  static getAll() {
-    return users.map(user => ({
-      id: user.id,
-      username: user.username,
-      email: user.email
-    }));
+  static async getAll() {
+    const users = await getStore().listUsers();
+    return users.map(toPublic);
+  }
+
+  // Find a page of users. `sort` holds sort keys on public fields; the page
+  // either skips `offset` users or starts after the sort values in `after`.
+  // Returns the public users, whether more follow, and the number matching
+  static async query({ filters = {}, sort, limit, offset = 0, after = null }) {
+    const { users, total } = await getStore().queryUsers({
+      filters,
+      sort: sort.map(key => ({ field: SORT_FIELDS[key.field], descending: key.descending })),
+      // One extra user tells whether there is a next page
+      limit: limit + 1,
+      offset,
+      after
+    });
+
+    return {
+      users: users.slice(0, limit).map(toPublic),
+      hasMore: users.length > limit,
+      total
+    };
   }
 }
 
-module.exports = User; 
\ No newline at end of file
+module.exports = User;
@@ -0,0 +1,23 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE TABLE refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+      CREATE INDEX idx_refresh_tokens_token ON refresh_tokens(token);
+    `);
+  }
+};
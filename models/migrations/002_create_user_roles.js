@@ -0,0 +1,13 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE user_roles (
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role TEXT NOT NULL,
+        PRIMARY KEY (user_id, role)
+      );
+
+      INSERT INTO user_roles (user_id, role) SELECT id, 'user' FROM users;
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// Refresh tokens are now rotated and grouped into families for reuse
+// detection. Tokens issued before this migration carry no family, so they
+// are dropped and their users have to log in again.
+module.exports = {
+  up(db) {
+    db.exec(`
+      DROP TABLE refresh_tokens;
+
+      CREATE TABLE refresh_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        token TEXT NOT NULL UNIQUE,
+        family TEXT NOT NULL,
+        used INTEGER NOT NULL DEFAULT 0,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+      CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family);
+    `);
+  }
+};
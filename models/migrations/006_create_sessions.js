@@ -0,0 +1,44 @@
+// Every refresh token family becomes a login session that users can list
+// and revoke. Existing families are carried over as sessions with unknown
+// IP and user agent.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_sessions_user_id ON sessions(user_id);
+
+      INSERT INTO sessions (id, user_id, created_at, last_used_at, expires_at)
+      SELECT family, user_id, MIN(created_at), MAX(created_at), MAX(expires_at)
+      FROM refresh_tokens
+      GROUP BY family, user_id;
+
+      CREATE TABLE refresh_tokens_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        session_id TEXT NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+        token TEXT NOT NULL UNIQUE,
+        used INTEGER NOT NULL DEFAULT 0,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      INSERT INTO refresh_tokens_new (id, user_id, session_id, token, used, expires_at, created_at)
+      SELECT id, user_id, family, token, used, expires_at, created_at FROM refresh_tokens;
+
+      DROP TABLE refresh_tokens;
+      ALTER TABLE refresh_tokens_new RENAME TO refresh_tokens;
+
+      CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+      CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+    `);
+  }
+};
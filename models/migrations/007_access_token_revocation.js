@@ -0,0 +1,14 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN tokens_valid_after TEXT;
+
+      CREATE TABLE revoked_access_tokens (
+        jti TEXT PRIMARY KEY,
+        expires_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_revoked_access_tokens_expires_at ON revoked_access_tokens(expires_at);
+    `);
+  }
+};
@@ -0,0 +1,28 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE user_identities (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        email TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE (provider, subject),
+        UNIQUE (user_id, provider)
+      );
+
+      CREATE TABLE oauth_states (
+        state TEXT PRIMARY KEY,
+        provider TEXT NOT NULL,
+        code_verifier TEXT NOT NULL,
+        nonce TEXT NOT NULL,
+        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_oauth_states_expires_at ON oauth_states(expires_at);
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        expires_at TEXT,
+        last_used_at TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_api_keys_user_id ON api_keys(user_id);
+    `);
+  }
+};
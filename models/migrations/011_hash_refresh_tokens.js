@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Refresh tokens are stored as SHA-256 hashes, like single-use tokens and
+// API keys. Stored tokens are hashed in place, so sessions stay logged in.
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE refresh_tokens RENAME COLUMN token TO token_hash');
+
+    const update = db.prepare('UPDATE refresh_tokens SET token_hash = ? WHERE id = ?');
+
+    db.prepare('SELECT id, token_hash FROM refresh_tokens').all().forEach((row) => {
+      update.run(crypto.createHash('sha256').update(row.token_hash).digest('hex'), row.id);
+    });
+  }
+};
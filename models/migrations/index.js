@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named NNN_description.js and applied in order
+const MIGRATION_PATTERN = /^(\d+)_.+\.js$/;
+
+// Load all migrations from this directory, sorted by version
+const loadMigrations = () => {
+  return fs.readdirSync(__dirname)
+    .map(file => {
+      const match = file.match(MIGRATION_PATTERN);
+      return match ? { version: parseInt(match[1], 10), name: file, ...require(path.join(__dirname, file)) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Apply pending migrations to a better-sqlite3 database
+ * Each migration runs in its own transaction and is recorded in
+ * the schema_migrations table so it is only ever applied once. Migrations
+ * after version `to` are left pending.
+ */
+const migrate = (db, { to = Infinity } = {}) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+  );
+  const record = db.prepare(
+    'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)'
+  );
+
+  for (const migration of loadMigrations()) {
+    if (applied.has(migration.version) || migration.version > to) {
+      continue;
+    }
+
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+  }
+};
+
+module.exports = { migrate, loadMigrations };
@@ -0,0 +1,33 @@
+const dbConfig = require('../../config/database');
+const MemoryStore = require('./memoryStore');
+
+/**
+ * Create the user store for the configured driver
+ * Every store implements the same async interface:
+ * insertUser, findUserById, findUserByUsername, findUserByEmail,
+ * listUsers, countUsers, queryUsers, updateUser, deleteUser, incrementFailedLoginAttempts,
+ * advanceTotpStep, replaceRecoveryCodes, listRecoveryCodes, deleteRecoveryCode,
+ * addUserRole, removeUserRole,
+ * createSession, findSession, listSessions, countActiveSessions, touchSession, deleteSession,
+ * deleteSessions, addRefreshToken, findRefreshToken, markRefreshTokenUsed,
+ * removeRefreshToken, addRevokedAccessToken, isAccessTokenRevoked, addUserToken,
+ * consumeUserToken, removeUserTokens,
+ * addIdentity, findIdentity, listIdentities, addOAuthState, consumeOAuthState,
+ * addApiKey, findApiKeyByHash, listApiKeys, touchApiKey, deleteApiKey,
+ * deleteApiKeys, ping, close
+ */
+const createStore = (config = dbConfig) => {
+  switch (config.driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'sqlite': {
+      // Required lazily so the native module is only needed when used
+      const SqliteStore = require('./sqliteStore');
+      return new SqliteStore(config.sqlite);
+    }
+    default:
+      throw new Error(`Unknown database driver: ${config.driver}`);
+  }
+};
+
+module.exports = { createStore, MemoryStore };
@@ -0,0 +1,499 @@
+const { isoNow } = require('../../utils/clock');
+
+// Copy a user record so callers cannot mutate the stored one
+const clone = (user) => (user ? { ...user, roles: [...user.roles] } : null);
+
+// Compare two sort values the way the SQLite store does: text without case
+const compareValues = (a, b) => {
+  const left = typeof a === 'string' ? a.toLowerCase() : a;
+  const right = typeof b === 'string' ? b.toLowerCase() : b;
+
+  if (left < right) {
+    return -1;
+  }
+  return left > right ? 1 : 0;
+};
+
+// Compare two users by sort keys, or a user with the values of a cursor
+const compareBySort = (sort, a, b) => {
+  for (let i = 0; i < sort.length; i++) {
+    const result = compareValues(a[i], b[i]);
+
+    if (result !== 0) {
+      return sort[i].descending ? -result : result;
+    }
+  }
+  return 0;
+};
+
+// Check that a user matches the filters of queryUsers
+const matchesFilters = (user, { username, email, createdAfter, createdBefore }) => {
+  const contains = (value, part) => value.toLowerCase().includes(part.toLowerCase());
+
+  return (!username || contains(user.username, username)) &&
+    (!email || contains(user.email, email)) &&
+    (!createdAfter || user.createdAt > createdAfter) &&
+    (!createdBefore || user.createdAt < createdBefore);
+};
+
+/**
+ * In-memory user store
+ * Keeps everything in process memory, so all data is lost on restart.
+ * Useful for development and tests.
+ */
+class MemoryStore {
+  constructor() {
+    this.users = [];
+    this.sessions = [];
+    this.refreshTokens = [];
+    this.userTokens = [];
+    this.recoveryCodes = [];
+    this.identities = [];
+    this.apiKeys = [];
+    this.oauthStates = new Map();
+    this.revokedAccessTokens = new Map();
+    this.nextId = 1;
+    this.nextRecoveryCodeId = 1;
+    this.nextIdentityId = 1;
+    this.nextApiKeyId = 1;
+  }
+
+  // Insert a new user and return the stored record
+  async insertUser({ username, email, password, roles = [] }) {
+    const user = {
+      id: this.nextId++,
+      username,
+      email,
+      password,
+      roles: [...roles],
+      emailVerified: false,
+      failedLoginAttempts: 0,
+      lockedUntil: null,
+      tokensValidAfter: null,
+      totpSecret: null,
+      totpEnabled: false,
+      totpLastUsedStep: null,
+      createdAt: isoNow()
+    };
+
+    this.users.push(user);
+    return clone(user);
+  }
+
+  // Find user by ID
+  async findUserById(id) {
+    const user = this.users.find(u => u.id === id);
+    return clone(user);
+  }
+
+  // Find user by username
+  async findUserByUsername(username) {
+    const user = this.users.find(u => u.username === username);
+    return clone(user);
+  }
+
+  // Find user by email
+  async findUserByEmail(email) {
+    const user = this.users.find(u => u.email === email);
+    return clone(user);
+  }
+
+  // Get all users ordered by ID
+  async listUsers() {
+    return this.users.map(clone);
+  }
+
+  // Count all users
+  async countUsers() {
+    return this.users.length;
+  }
+
+  // Find a page of users matching filters, in the order of sort keys. Either
+  // skips `offset` users or starts after the sort values in `after`. Returns
+  // the page and the number of users matching the filters
+  async queryUsers({ filters = {}, sort, limit, offset = 0, after = null }) {
+    const sortValues = (user) => sort.map(key => user[key.field]);
+    const matching = this.users
+      .filter(user => matchesFilters(user, filters))
+      .sort((a, b) => compareBySort(sort, sortValues(a), sortValues(b)));
+    const remaining = after
+      ? matching.filter(user => compareBySort(sort, sortValues(user), after) > 0)
+      : matching.slice(offset);
+
+    return {
+      users: remaining.slice(0, limit).map(clone),
+      total: matching.length
+    };
+  }
+
+  // Update fields on a user and return the updated record
+  async updateUser(id, changes) {
+    const user = this.users.find(u => u.id === id);
+    if (!user) {
+      return null;
+    }
+
+    Object.assign(user, changes);
+    return clone(user);
+  }
+
+  // Count a failed login and return the number of consecutive failures
+  async incrementFailedLoginAttempts(id) {
+    const user = this.users.find(u => u.id === id);
+    if (!user) {
+      return 0;
+    }
+
+    user.failedLoginAttempts += 1;
+    return user.failedLoginAttempts;
+  }
+
+  // Record the time step of an accepted TOTP code. Returns false if a code
+  // of the same or a later step was already accepted, so codes cannot be replayed
+  async advanceTotpStep(id, step) {
+    const user = this.users.find(u => u.id === id);
+    if (!user || (user.totpLastUsedStep !== null && user.totpLastUsedStep >= step)) {
+      return false;
+    }
+
+    user.totpLastUsedStep = step;
+    return true;
+  }
+
+  // Give a role to a user
+  async addUserRole(id, role) {
+    const user = this.users.find(u => u.id === id);
+    if (user && !user.roles.includes(role)) {
+      user.roles.push(role);
+    }
+  }
+
+  // Take a role away from a user
+  async removeUserRole(id, role) {
+    const user = this.users.find(u => u.id === id);
+    if (user) {
+      user.roles = user.roles.filter(r => r !== role);
+    }
+  }
+
+  // Delete a user and their refresh tokens
+  async deleteUser(id) {
+    const count = this.users.length;
+    this.users = this.users.filter(u => u.id !== id);
+    this.sessions = this.sessions.filter(session => session.userId !== id);
+    this.refreshTokens = this.refreshTokens.filter(t => t.userId !== id);
+    this.userTokens = this.userTokens.filter(t => t.userId !== id);
+    this.recoveryCodes = this.recoveryCodes.filter(code => code.userId !== id);
+    this.identities = this.identities.filter(identity => identity.userId !== id);
+    this.apiKeys = this.apiKeys.filter(apiKey => apiKey.userId !== id);
+    return this.users.length < count;
+  }
+
+  // Create a login session. Expired sessions are pruned and, when the user
+  // has more than maxSessions sessions, the least recently used ones are dropped
+  async createSession(userId, { id, ip, userAgent, expiresAt }, maxSessions) {
+    const now = isoNow();
+
+    this.deleteSessionsWhere(session => session.expiresAt <= now);
+    this.sessions.push({
+      id,
+      userId,
+      ip,
+      userAgent,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt
+    });
+
+    if (maxSessions > 0) {
+      const stale = this.sessions
+        .filter(session => session.userId === userId)
+        .sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt))
+        .slice(0, -maxSessions)
+        .map(session => session.id);
+      this.deleteSessionsWhere(session => stale.includes(session.id));
+    }
+
+    return this.findSession(id);
+  }
+
+  // Find a session by ID
+  async findSession(id) {
+    const session = this.sessions.find(s => s.id === id);
+    return session ? { ...session } : null;
+  }
+
+  // Get the unexpired sessions of a user, most recently used first
+  async listSessions(userId) {
+    const now = isoNow();
+    return this.sessions
+      .filter(session => session.userId === userId && session.expiresAt > now)
+      .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt))
+      .map(session => ({ ...session }));
+  }
+
+  // Count the unexpired sessions of all users
+  async countActiveSessions() {
+    const now = isoNow();
+    return this.sessions.filter(session => session.expiresAt > now).length;
+  }
+
+  // Record that a session was used to refresh its tokens
+  async touchSession(id, { ip, userAgent, expiresAt }) {
+    const session = this.sessions.find(s => s.id === id);
+    if (session) {
+      Object.assign(session, { ip, userAgent, expiresAt, lastUsedAt: isoNow() });
+    }
+  }
+
+  // Delete a session and its refresh tokens. Returns false if it did not exist
+  async deleteSession(userId, id) {
+    const count = this.sessions.length;
+    this.deleteSessionsWhere(session => session.userId === userId && session.id === id);
+    return this.sessions.length < count;
+  }
+
+  // Delete every session of a user except the one given (if any)
+  async deleteSessions(userId, exceptId = null) {
+    this.deleteSessionsWhere(session => session.userId === userId && session.id !== exceptId);
+  }
+
+  // Delete the sessions matching a predicate along with their refresh tokens
+  deleteSessionsWhere(predicate) {
+    const deleted = new Set(this.sessions.filter(predicate).map(session => session.id));
+    this.sessions = this.sessions.filter(session => !deleted.has(session.id));
+    this.refreshTokens = this.refreshTokens.filter(t => !deleted.has(t.sessionId));
+  }
+
+  // Store a refresh token issued for a session
+  async addRefreshToken(userId, { tokenHash, sessionId, expiresAt }) {
+    this.refreshTokens.push({
+      userId,
+      tokenHash,
+      sessionId,
+      used: false,
+      expiresAt,
+      createdAt: isoNow()
+    });
+  }
+
+  // Find a stored refresh token by its hash, whether used or not
+  async findRefreshToken(tokenHash) {
+    const record = this.refreshTokens.find(t => t.tokenHash === tokenHash);
+    return record ? { ...record } : null;
+  }
+
+  // Mark a refresh token as used. Returns false if it was already used
+  async markRefreshTokenUsed(tokenHash) {
+    const record = this.refreshTokens.find(t => t.tokenHash === tokenHash);
+    if (!record || record.used) {
+      return false;
+    }
+
+    record.used = true;
+    return true;
+  }
+
+  // Remove a refresh token
+  async removeRefreshToken(userId, tokenHash) {
+    this.refreshTokens = this.refreshTokens.filter(
+      t => !(t.userId === userId && t.tokenHash === tokenHash)
+    );
+  }
+
+  // Deny an access token until it expires. Entries for tokens that have
+  // expired anyway are pruned. Returns false if the token already was denied
+  async addRevokedAccessToken(jti, expiresAt) {
+    const now = isoNow();
+
+    for (const [revokedJti, revokedExpiresAt] of this.revokedAccessTokens) {
+      if (revokedExpiresAt <= now) {
+        this.revokedAccessTokens.delete(revokedJti);
+      }
+    }
+
+    if (this.revokedAccessTokens.has(jti)) {
+      return false;
+    }
+
+    this.revokedAccessTokens.set(jti, expiresAt);
+    return true;
+  }
+
+  // Check if an access token was revoked
+  async isAccessTokenRevoked(jti) {
+    const expiresAt = this.revokedAccessTokens.get(jti);
+    return Boolean(expiresAt) && expiresAt > isoNow();
+  }
+
+  // Store a single-use token (email verification, password reset, ...)
+  async addUserToken(userId, { type, tokenHash, expiresAt }) {
+    this.userTokens.push({
+      userId,
+      type,
+      tokenHash,
+      expiresAt,
+      usedAt: null,
+      createdAt: isoNow()
+    });
+  }
+
+  // Mark an unused, unexpired token as used and return its user ID, or null
+  async consumeUserToken(type, tokenHash) {
+    const now = isoNow();
+    const record = this.userTokens.find(
+      t => t.type === type && t.tokenHash === tokenHash && !t.usedAt && t.expiresAt > now
+    );
+
+    if (!record) {
+      return null;
+    }
+
+    record.usedAt = now;
+    return record.userId;
+  }
+
+  // Remove every token of a type stored for the user
+  async removeUserTokens(userId, type) {
+    this.userTokens = this.userTokens.filter(
+      t => !(t.userId === userId && t.type === type)
+    );
+  }
+
+  // Replace the recovery codes of a user
+  async replaceRecoveryCodes(userId, codeHashes) {
+    const now = isoNow();
+
+    this.recoveryCodes = this.recoveryCodes.filter(code => code.userId !== userId);
+    codeHashes.forEach(codeHash => {
+      this.recoveryCodes.push({ id: this.nextRecoveryCodeId++, userId, codeHash, createdAt: now });
+    });
+  }
+
+  // Get the unused recovery codes of a user
+  async listRecoveryCodes(userId) {
+    return this.recoveryCodes
+      .filter(code => code.userId === userId)
+      .map(code => ({ ...code }));
+  }
+
+  // Delete a recovery code once used. Returns false if it did not exist
+  async deleteRecoveryCode(userId, id) {
+    const count = this.recoveryCodes.length;
+    this.recoveryCodes = this.recoveryCodes.filter(
+      code => !(code.userId === userId && code.id === id)
+    );
+    return this.recoveryCodes.length < count;
+  }
+
+  // Link an external identity to a user and return the stored record
+  async addIdentity(userId, { provider, subject, email }) {
+    const identity = {
+      id: this.nextIdentityId++,
+      userId,
+      provider,
+      subject,
+      email,
+      createdAt: isoNow()
+    };
+
+    this.identities.push(identity);
+    return { ...identity };
+  }
+
+  // Find the identity a provider knows by `subject`
+  async findIdentity(provider, subject) {
+    const identity = this.identities.find(i => i.provider === provider && i.subject === subject);
+    return identity ? { ...identity } : null;
+  }
+
+  // Get the identities linked to a user
+  async listIdentities(userId) {
+    return this.identities
+      .filter(identity => identity.userId === userId)
+      .map(identity => ({ ...identity }));
+  }
+
+  // Store a pending OAuth authorization request. Expired ones are pruned
+  async addOAuthState({ state, provider, codeVerifier, nonce, userId, expiresAt }) {
+    const now = isoNow();
+
+    for (const [key, record] of this.oauthStates) {
+      if (record.expiresAt <= now) {
+        this.oauthStates.delete(key);
+      }
+    }
+
+    this.oauthStates.set(state, { state, provider, codeVerifier, nonce, userId, expiresAt, createdAt: now });
+  }
+
+  // Remove a pending OAuth authorization request and return it, or null if
+  // it is unknown or expired
+  async consumeOAuthState(state) {
+    const record = this.oauthStates.get(state);
+    this.oauthStates.delete(state);
+
+    if (!record || record.expiresAt <= isoNow()) {
+      return null;
+    }
+    return { ...record };
+  }
+
+  // Store an API key and return the stored record
+  async addApiKey(userId, { name, keyHash, prefix, scopes, expiresAt }) {
+    const apiKey = {
+      id: this.nextApiKeyId++,
+      userId,
+      name,
+      keyHash,
+      prefix,
+      scopes: [...scopes],
+      expiresAt,
+      lastUsedAt: null,
+      createdAt: isoNow()
+    };
+
+    this.apiKeys.push(apiKey);
+    return { ...apiKey, scopes: [...apiKey.scopes] };
+  }
+
+  // Find an API key by the hash of the key, whether expired or not
+  async findApiKeyByHash(keyHash) {
+    const apiKey = this.apiKeys.find(k => k.keyHash === keyHash);
+    return apiKey ? { ...apiKey, scopes: [...apiKey.scopes] } : null;
+  }
+
+  // Get the API keys of a user, oldest first
+  async listApiKeys(userId) {
+    return this.apiKeys
+      .filter(apiKey => apiKey.userId === userId)
+      .map(apiKey => ({ ...apiKey, scopes: [...apiKey.scopes] }));
+  }
+
+  // Record that an API key was used
+  async touchApiKey(id) {
+    const apiKey = this.apiKeys.find(k => k.id === id);
+    if (apiKey) {
+      apiKey.lastUsedAt = isoNow();
+    }
+  }
+
+  // Delete an API key of a user. Returns false if it did not exist
+  async deleteApiKey(userId, id) {
+    const count = this.apiKeys.length;
+    this.apiKeys = this.apiKeys.filter(k => !(k.userId === userId && k.id === id));
+    return this.apiKeys.length < count;
+  }
+
+  // Delete every API key of a user
+  async deleteApiKeys(userId) {
+    this.apiKeys = this.apiKeys.filter(apiKey => apiKey.userId !== userId);
+  }
+
+  // Check that the store can be used
+  async ping() {}
+
+  async close() {}
+}
+
+module.exports = MemoryStore;
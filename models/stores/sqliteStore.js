@@ -0,0 +1,642 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrate } = require('../migrations');
+const { isoNow } = require('../../utils/clock');
+
+// Columns that may be changed through updateUser
+const UPDATABLE_COLUMNS = {
+  username: 'username',
+  email: 'email',
+  password: 'password',
+  emailVerified: 'email_verified',
+  failedLoginAttempts: 'failed_login_attempts',
+  lockedUntil: 'locked_until',
+  tokensValidAfter: 'tokens_valid_after',
+  totpSecret: 'totp_secret',
+  totpEnabled: 'totp_enabled',
+  totpLastUsedStep: 'totp_last_used_step'
+};
+
+// Columns that users can be sorted by through queryUsers. Text is compared
+// without case, as people expect from a sorted list of names
+const SORT_COLUMNS = {
+  id: 'id',
+  username: 'username COLLATE NOCASE',
+  email: 'email COLLATE NOCASE',
+  emailVerified: 'email_verified',
+  totpEnabled: 'totp_enabled',
+  createdAt: 'created_at'
+};
+
+// Escape the wildcards of a LIKE pattern
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// SQLite has no boolean type
+const toColumnValue = (value) => (typeof value === 'boolean' ? Number(value) : value);
+
+// Map a users row to the record shape the User model works with
+const toUser = (row, roles) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    password: row.password,
+    roles,
+    emailVerified: Boolean(row.email_verified),
+    failedLoginAttempts: row.failed_login_attempts,
+    lockedUntil: row.locked_until,
+    tokensValidAfter: row.tokens_valid_after,
+    totpSecret: row.totp_secret,
+    totpEnabled: Boolean(row.totp_enabled),
+    totpLastUsedStep: row.totp_last_used_step,
+    createdAt: row.created_at
+  };
+};
+
+// Map a sessions row to a session record
+const toSession = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    ip: row.ip,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at
+  };
+};
+
+// Map a user_identities row to an identity record
+const toIdentity = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    provider: row.provider,
+    subject: row.subject,
+    email: row.email,
+    createdAt: row.created_at
+  };
+};
+
+// Map an api_keys row to an API key record
+const toApiKey = (row) => {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    keyHash: row.key_hash,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    createdAt: row.created_at
+  };
+};
+
+/**
+ * File-backed SQLite user store
+ * Runs pending schema migrations when opened.
+ */
+class SqliteStore {
+  constructor({ filename }) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+
+    migrate(this.db);
+  }
+
+  // Load the roles of a users row and map it to a record
+  hydrate(row) {
+    if (!row) {
+      return null;
+    }
+
+    const roles = this.db
+      .prepare('SELECT role FROM user_roles WHERE user_id = ? ORDER BY role')
+      .all(row.id)
+      .map(r => r.role);
+
+    return toUser(row, roles);
+  }
+
+  // Insert a new user and return the stored record
+  async insertUser({ username, email, password, roles = [] }) {
+    const createdAt = isoNow();
+    const addRole = this.db.prepare('INSERT INTO user_roles (user_id, role) VALUES (?, ?)');
+
+    const id = this.db.transaction(() => {
+      const result = this.db
+        .prepare('INSERT INTO users (username, email, password, created_at) VALUES (?, ?, ?, ?)')
+        .run(username, email, password, createdAt);
+      const userId = Number(result.lastInsertRowid);
+
+      roles.forEach(role => addRole.run(userId, role));
+      return userId;
+    })();
+
+    return this.findUserById(id);
+  }
+
+  // Find user by ID
+  async findUserById(id) {
+    return this.hydrate(this.db.prepare('SELECT * FROM users WHERE id = ?').get(id));
+  }
+
+  // Find user by username
+  async findUserByUsername(username) {
+    return this.hydrate(this.db.prepare('SELECT * FROM users WHERE username = ?').get(username));
+  }
+
+  // Find user by email
+  async findUserByEmail(email) {
+    return this.hydrate(this.db.prepare('SELECT * FROM users WHERE email = ?').get(email));
+  }
+
+  // Get all users ordered by ID
+  async listUsers() {
+    return this.db.prepare('SELECT * FROM users ORDER BY id').all().map(row => this.hydrate(row));
+  }
+
+  // Count all users
+  async countUsers() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+  }
+
+  // Find a page of users matching filters, in the order of sort keys. Either
+  // skips `offset` users or starts after the sort values in `after`. Returns
+  // the page and the number of users matching the filters
+  async queryUsers({ filters = {}, sort, limit, offset = 0, after = null }) {
+    const conditions = [];
+    const params = [];
+
+    // LIKE ignores case for ASCII letters
+    if (filters.username) {
+      conditions.push("username LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeLike(filters.username)}%`);
+    }
+    if (filters.email) {
+      conditions.push("email LIKE ? ESCAPE '\\'");
+      params.push(`%${escapeLike(filters.email)}%`);
+    }
+    if (filters.createdAfter) {
+      conditions.push('created_at > ?');
+      params.push(filters.createdAfter);
+    }
+    if (filters.createdBefore) {
+      conditions.push('created_at < ?');
+      params.push(filters.createdBefore);
+    }
+
+    const where = (clauses) => (clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '');
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM users ${where(conditions)}`)
+      .get(...params);
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+
+    // Rows after the cursor: greater on the first key, or equal on the first
+    // key and greater on the second, and so on (smaller for descending keys)
+    if (after) {
+      const alternatives = sort.map((key, i) => {
+        const equal = sort.slice(0, i).map(previous => `${SORT_COLUMNS[previous.field]} = ?`);
+        const beyond = `${SORT_COLUMNS[key.field]} ${key.descending ? '<' : '>'} ?`;
+        pageParams.push(...after.slice(0, i + 1).map(toColumnValue));
+        return `(${[...equal, beyond].join(' AND ')})`;
+      });
+      pageConditions.push(`(${alternatives.join(' OR ')})`);
+    }
+
+    const orderBy = sort
+      .map(key => `${SORT_COLUMNS[key.field]} ${key.descending ? 'DESC' : 'ASC'}`)
+      .join(', ');
+    const rows = this.db
+      .prepare(`SELECT * FROM users ${where(pageConditions)} ORDER BY ${orderBy} LIMIT ? OFFSET ?`)
+      .all(...pageParams, limit, after ? 0 : offset);
+
+    return {
+      users: rows.map(row => this.hydrate(row)),
+      total
+    };
+  }
+
+  // Update fields on a user and return the updated record
+  async updateUser(id, changes) {
+    const fields = Object.keys(changes).filter(field => UPDATABLE_COLUMNS[field]);
+
+    if (fields.length > 0) {
+      const assignments = fields.map(field => `${UPDATABLE_COLUMNS[field]} = ?`).join(', ');
+      this.db
+        .prepare(`UPDATE users SET ${assignments} WHERE id = ?`)
+        .run(...fields.map(field => toColumnValue(changes[field])), id);
+    }
+
+    return this.findUserById(id);
+  }
+
+  // Count a failed login and return the number of consecutive failures
+  async incrementFailedLoginAttempts(id) {
+    const row = this.db
+      .prepare(`
+        UPDATE users SET failed_login_attempts = failed_login_attempts + 1
+        WHERE id = ?
+        RETURNING failed_login_attempts
+      `)
+      .get(id);
+    return row ? row.failed_login_attempts : 0;
+  }
+
+  // Record the time step of an accepted TOTP code. Returns false if a code
+  // of the same or a later step was already accepted, so codes cannot be replayed
+  async advanceTotpStep(id, step) {
+    const result = this.db
+      .prepare(`
+        UPDATE users SET totp_last_used_step = ?
+        WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)
+      `)
+      .run(step, id, step);
+    return result.changes > 0;
+  }
+
+  // Give a role to a user
+  async addUserRole(id, role) {
+    this.db
+      .prepare('INSERT OR IGNORE INTO user_roles (user_id, role) VALUES (?, ?)')
+      .run(id, role);
+  }
+
+  // Take a role away from a user
+  async removeUserRole(id, role) {
+    this.db.prepare('DELETE FROM user_roles WHERE user_id = ? AND role = ?').run(id, role);
+  }
+
+  // Delete a user; roles, sessions and tokens are removed by the foreign key cascade
+  async deleteUser(id) {
+    const result = this.db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  // Create a login session. Expired sessions are pruned and, when the user
+  // has more than maxSessions sessions, the least recently used ones are dropped
+  async createSession(userId, { id, ip, userAgent, expiresAt }, maxSessions) {
+    const now = isoNow();
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+
+      this.db
+        .prepare(`
+          INSERT INTO sessions (id, user_id, ip, user_agent, created_at, last_used_at, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `)
+        .run(id, userId, ip, userAgent, now, now, expiresAt);
+
+      if (maxSessions > 0) {
+        this.db
+          .prepare(`
+            DELETE FROM sessions
+            WHERE user_id = ? AND id NOT IN (
+              SELECT id FROM sessions WHERE user_id = ?
+              ORDER BY last_used_at DESC, rowid DESC
+              LIMIT ?
+            )
+          `)
+          .run(userId, userId, maxSessions);
+      }
+    })();
+
+    return this.findSession(id);
+  }
+
+  // Find a session by ID
+  async findSession(id) {
+    return toSession(this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(id));
+  }
+
+  // Get the unexpired sessions of a user, most recently used first
+  async listSessions(userId) {
+    return this.db
+      .prepare(`
+        SELECT * FROM sessions
+        WHERE user_id = ? AND expires_at > ?
+        ORDER BY last_used_at DESC, rowid DESC
+      `)
+      .all(userId, isoNow())
+      .map(toSession);
+  }
+
+  // Count the unexpired sessions of all users
+  async countActiveSessions() {
+    return this.db
+      .prepare('SELECT COUNT(*) AS count FROM sessions WHERE expires_at > ?')
+      .get(isoNow()).count;
+  }
+
+  // Record that a session was used to refresh its tokens
+  async touchSession(id, { ip, userAgent, expiresAt }) {
+    this.db
+      .prepare(`
+        UPDATE sessions SET ip = ?, user_agent = ?, expires_at = ?, last_used_at = ?
+        WHERE id = ?
+      `)
+      .run(ip, userAgent, expiresAt, isoNow(), id);
+  }
+
+  // Delete a session; its refresh tokens are removed by the foreign key cascade.
+  // Returns false if it did not exist
+  async deleteSession(userId, id) {
+    const result = this.db
+      .prepare('DELETE FROM sessions WHERE user_id = ? AND id = ?')
+      .run(userId, id);
+    return result.changes > 0;
+  }
+
+  // Delete every session of a user except the one given (if any)
+  async deleteSessions(userId, exceptId = null) {
+    this.db
+      .prepare('DELETE FROM sessions WHERE user_id = ? AND id IS NOT ?')
+      .run(userId, exceptId);
+  }
+
+  // Store a refresh token issued for a session
+  async addRefreshToken(userId, { tokenHash, sessionId, expiresAt }) {
+    this.db
+      .prepare(`
+        INSERT INTO refresh_tokens (user_id, session_id, token_hash, used, expires_at, created_at)
+        VALUES (?, ?, ?, 0, ?, ?)
+      `)
+      .run(userId, sessionId, tokenHash, expiresAt, isoNow());
+  }
+
+  // Find a stored refresh token by its hash, whether used or not
+  async findRefreshToken(tokenHash) {
+    const row = this.db.prepare('SELECT * FROM refresh_tokens WHERE token_hash = ?').get(tokenHash);
+    if (!row) {
+      return null;
+    }
+
+    return {
+      userId: row.user_id,
+      tokenHash: row.token_hash,
+      sessionId: row.session_id,
+      used: Boolean(row.used),
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    };
+  }
+
+  // Mark a refresh token as used. Returns false if it was already used
+  async markRefreshTokenUsed(tokenHash) {
+    const result = this.db
+      .prepare('UPDATE refresh_tokens SET used = 1 WHERE token_hash = ? AND used = 0')
+      .run(tokenHash);
+    return result.changes > 0;
+  }
+
+  // Remove a refresh token
+  async removeRefreshToken(userId, tokenHash) {
+    this.db
+      .prepare('DELETE FROM refresh_tokens WHERE user_id = ? AND token_hash = ?')
+      .run(userId, tokenHash);
+  }
+
+  // Deny an access token until it expires. Entries for tokens that have
+  // expired anyway are pruned. Returns false if the token already was denied
+  async addRevokedAccessToken(jti, expiresAt) {
+    return this.db.transaction(() => {
+      this.db
+        .prepare('DELETE FROM revoked_access_tokens WHERE expires_at <= ?')
+        .run(isoNow());
+      return this.db
+        .prepare('INSERT INTO revoked_access_tokens (jti, expires_at) VALUES (?, ?) ON CONFLICT (jti) DO NOTHING')
+        .run(jti, expiresAt)
+        .changes > 0;
+    })();
+  }
+
+  // Check if an access token was revoked
+  async isAccessTokenRevoked(jti) {
+    const row = this.db
+      .prepare('SELECT 1 FROM revoked_access_tokens WHERE jti = ? AND expires_at > ?')
+      .get(jti, isoNow());
+    return Boolean(row);
+  }
+
+  // Store a single-use token (email verification, password reset, ...)
+  async addUserToken(userId, { type, tokenHash, expiresAt }) {
+    this.db
+      .prepare(`
+        INSERT INTO user_tokens (user_id, type, token_hash, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+      .run(userId, type, tokenHash, expiresAt, isoNow());
+  }
+
+  // Mark an unused, unexpired token as used and return its user ID, or null
+  async consumeUserToken(type, tokenHash) {
+    const now = isoNow();
+
+    return this.db.transaction(() => {
+      const row = this.db
+        .prepare(`
+          SELECT id, user_id FROM user_tokens
+          WHERE type = ? AND token_hash = ? AND used_at IS NULL AND expires_at > ?
+        `)
+        .get(type, tokenHash, now);
+
+      if (!row) {
+        return null;
+      }
+
+      this.db.prepare('UPDATE user_tokens SET used_at = ? WHERE id = ?').run(now, row.id);
+      return row.user_id;
+    })();
+  }
+
+  // Remove every token of a type stored for the user
+  async removeUserTokens(userId, type) {
+    this.db
+      .prepare('DELETE FROM user_tokens WHERE user_id = ? AND type = ?')
+      .run(userId, type);
+  }
+
+  // Replace the recovery codes of a user
+  async replaceRecoveryCodes(userId, codeHashes) {
+    const now = isoNow();
+    const insert = this.db.prepare(
+      'INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES (?, ?, ?)'
+    );
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+      codeHashes.forEach(codeHash => insert.run(userId, codeHash, now));
+    })();
+  }
+
+  // Get the unused recovery codes of a user
+  async listRecoveryCodes(userId) {
+    return this.db
+      .prepare('SELECT * FROM recovery_codes WHERE user_id = ? ORDER BY id')
+      .all(userId)
+      .map(row => ({
+        id: row.id,
+        userId: row.user_id,
+        codeHash: row.code_hash,
+        createdAt: row.created_at
+      }));
+  }
+
+  // Delete a recovery code once used. Returns false if it did not exist
+  async deleteRecoveryCode(userId, id) {
+    const result = this.db
+      .prepare('DELETE FROM recovery_codes WHERE user_id = ? AND id = ?')
+      .run(userId, id);
+    return result.changes > 0;
+  }
+
+  // Link an external identity to a user and return the stored record
+  async addIdentity(userId, { provider, subject, email }) {
+    const result = this.db
+      .prepare(`
+        INSERT INTO user_identities (user_id, provider, subject, email, created_at)
+        VALUES (?, ?, ?, ?, ?)
+      `)
+      .run(userId, provider, subject, email, isoNow());
+
+    return toIdentity(
+      this.db.prepare('SELECT * FROM user_identities WHERE id = ?').get(result.lastInsertRowid)
+    );
+  }
+
+  // Find the identity a provider knows by `subject`
+  async findIdentity(provider, subject) {
+    return toIdentity(
+      this.db
+        .prepare('SELECT * FROM user_identities WHERE provider = ? AND subject = ?')
+        .get(provider, subject)
+    );
+  }
+
+  // Get the identities linked to a user
+  async listIdentities(userId) {
+    return this.db
+      .prepare('SELECT * FROM user_identities WHERE user_id = ? ORDER BY id')
+      .all(userId)
+      .map(toIdentity);
+  }
+
+  // Store a pending OAuth authorization request. Expired ones are pruned
+  async addOAuthState({ state, provider, codeVerifier, nonce, userId, expiresAt }) {
+    const now = isoNow();
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM oauth_states WHERE expires_at <= ?').run(now);
+      this.db
+        .prepare(`
+          INSERT INTO oauth_states (state, provider, code_verifier, nonce, user_id, expires_at, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `)
+        .run(state, provider, codeVerifier, nonce, userId, expiresAt, now);
+    })();
+  }
+
+  // Remove a pending OAuth authorization request and return it, or null if
+  // it is unknown or expired
+  async consumeOAuthState(state) {
+    const row = this.db
+      .prepare('DELETE FROM oauth_states WHERE state = ? RETURNING *')
+      .get(state);
+
+    if (!row || row.expires_at <= isoNow()) {
+      return null;
+    }
+
+    return {
+      state: row.state,
+      provider: row.provider,
+      codeVerifier: row.code_verifier,
+      nonce: row.nonce,
+      userId: row.user_id,
+      expiresAt: row.expires_at,
+      createdAt: row.created_at
+    };
+  }
+
+  // Store an API key and return the stored record
+  async addApiKey(userId, { name, keyHash, prefix, scopes, expiresAt }) {
+    const result = this.db
+      .prepare(`
+        INSERT INTO api_keys (user_id, name, key_hash, prefix, scopes, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(userId, name, keyHash, prefix, JSON.stringify(scopes), expiresAt, isoNow());
+
+    return toApiKey(this.db.prepare('SELECT * FROM api_keys WHERE id = ?').get(result.lastInsertRowid));
+  }
+
+  // Find an API key by the hash of the key, whether expired or not
+  async findApiKeyByHash(keyHash) {
+    return toApiKey(this.db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash));
+  }
+
+  // Get the API keys of a user, oldest first
+  async listApiKeys(userId) {
+    return this.db
+      .prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY id')
+      .all(userId)
+      .map(toApiKey);
+  }
+
+  // Record that an API key was used
+  async touchApiKey(id) {
+    this.db
+      .prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?')
+      .run(isoNow(), id);
+  }
+
+  // Delete an API key of a user. Returns false if it did not exist
+  async deleteApiKey(userId, id) {
+    const result = this.db
+      .prepare('DELETE FROM api_keys WHERE user_id = ? AND id = ?')
+      .run(userId, id);
+    return result.changes > 0;
+  }
+
+  // Delete every API key of a user
+  async deleteApiKeys(userId) {
+    this.db.prepare('DELETE FROM api_keys WHERE user_id = ?').run(userId);
+  }
+
+  // Check that the database can be queried
+  async ping() {
+    this.db.prepare('SELECT 1').get();
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStore;
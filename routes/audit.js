@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const { authenticate, authorize, rejectApiKeys } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { ROLES } = require('../config/roles');
+const { queryAuditEvents } = require('../utils/audit');
+const { buildLinkHeader } = require('../utils/pagination');
+
+// Page size of the audit log when no limit is given
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Security audit trail
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEvent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         time:
+ *           type: string
+ *           format: date-time
+ *         event:
+ *           type: string
+ *           enum: [auth.register, auth.login, auth.token_refresh, auth.logout, auth.logout_all, auth.oauth_link, auth.authentication_rejected]
+ *         outcome:
+ *           type: string
+ *           enum: [success, failure, challenge]
+ *           description: challenge is a login with the right password that still needs a two-factor code
+ *         userId:
+ *           type: integer
+ *           nullable: true
+ *           description: The user acting or acted upon, when known
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *           description: Why the attempt failed, e.g. invalid_password or token_reused
+ *         ip:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *         requestId:
+ *           type: string
+ *           nullable: true
+ *           description: Correlation ID of the request, as in the X-Request-Id header and the logs
+ *         details:
+ *           type: object
+ *           description: Event specific data, such as the login method
+ *       example:
+ *         id: 5b0e6a57-4f0c-4a43-9d1e-0f2a7c3e8b91
+ *         time: 2025-01-01T12:00:00.000Z
+ *         event: auth.login
+ *         outcome: failure
+ *         userId: 1
+ *         reason: invalid_password
+ *         ip: 203.0.113.7
+ *         userAgent: Mozilla/5.0
+ *         requestId: 3f0c8a2e-9b1d-4c61-a0e4-5d2f7b8c9e10
+ *         details:
+ *           method: password
+ *           locked: false
+ */
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the audit log
+ *     description: >
+ *       Lists recorded authentication events, newest first (**Required role:** admin).
+ *       The `Link` header holds the URLs of the first, previous, next and last pages.
+ *     tags: [Audit]
+ *     x-required-roles: [admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         description: Only events of this user
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: event
+ *         description: Only events of this type
+ *         schema:
+ *           type: string
+ *           enum: [auth.register, auth.login, auth.token_refresh, auth.logout, auth.logout_all, auth.oauth_link, auth.authentication_rejected]
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, challenge]
+ *       - in: query
+ *         name: from
+ *         description: Only events at or after this moment
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Only events before this moment
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         description: Number of events per page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *       - in: query
+ *         name: page
+ *         description: Page number, starting at 1
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       200:
+ *         description: A page of audit events
+ *         headers:
+ *           Link:
+ *             description: URLs of other pages (RFC 8288), with rel first, prev, next and last
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditEvent'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                       example: 50
+ *                     total:
+ *                       type: integer
+ *                       description: Number of events matching the filters
+ *                       example: 120
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     totalPages:
+ *                       type: integer
+ *                       example: 3
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the admin role, and cannot be used with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.get('/', authenticate, rejectApiKeys, authorize(ROLES.ADMIN), asyncHandler(async (req, res) => {
+  const { event, outcome, from, to } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PAGE_SIZE;
+  const page = req.query.page ? parseInt(req.query.page) : 1;
+
+  const events = await queryAuditEvents({
+    userId: req.query.userId !== undefined ? parseInt(req.query.userId) : undefined,
+    event,
+    outcome,
+    from: from && new Date(from).toISOString(),
+    to: to && new Date(to).toISOString()
+  });
+
+  const total = events.length;
+  const totalPages = Math.ceil(total / limit);
+  const lastPage = Math.max(totalPages, 1);
+
+  res.append('Link', buildLinkHeader(req, {
+    first: { page: null },
+    prev: page > 1 && { page: Math.min(page - 1, lastPage) },
+    next: page < lastPage && { page: page + 1 },
+    last: { page: lastPage }
+  }));
+
+  res.status(200).json({
+    status: 'success',
+    data: events.slice((page - 1) * limit, page * limit),
+    meta: {
+      limit,
+      total,
+      page,
+      totalPages
+    }
+  });
+}));
+
+module.exports = router;
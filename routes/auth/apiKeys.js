@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../../models/User');
+const apiKeysConfig = require('../../config/apiKeys');
+const { ROLES } = require('../../config/roles');
+const { authenticate, authorize, rejectApiKeys } = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { ERROR_CODES, BadRequestError, NotFoundError } = require('../../utils/errors');
+const { now } = require('../../utils/clock');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: The API key ID
+ *         name:
+ *           type: string
+ *           description: What the key is used for
+ *         prefix:
+ *           type: string
+ *           description: The first characters of the key, to recognize it by
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [users:read, users:write]
+ *           description: The endpoints the key can call, see x-required-scopes
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the key stops working; null if it does not expire
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         id: 1
+ *         name: CI
+ *         prefix: ssb_Xk3v9Q
+ *         scopes: [users:read]
+ *         expiresAt: 2026-01-01T00:00:00.000Z
+ *         lastUsedAt: null
+ *         createdAt: 2025-01-01T12:00:00.000Z
+ */
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: Lists the API keys of the current user. The keys themselves are never shown again.
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role. API keys cannot manage API keys
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.get('/', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const apiKeys = await User.getApiKeys(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: apiKeys
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: >
+ *       Creates an API key acting as the current user, limited to the given scopes.
+ *       Send it in the `X-API-Key` header or as a Bearer token. The key is only
+ *       returned in this response; store it securely.
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 1
+ *                 maxLength: 100
+ *               scopes:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   enum: [users:read, users:write]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the key stops working; omit for a key that does not expire
+ *             example:
+ *               name: CI
+ *               scopes: [users:read]
+ *               expiresAt: 2026-01-01T00:00:00.000Z
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: API key created. It will not be shown again.
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: ssb_Xk3v9Q2mZb7Lr1Tq8Wc4Ny6Pd0Hf5Ja
+ *                     apiKey:
+ *                       $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Validation error, expiry in the past, or too many API keys
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role. API keys cannot manage API keys
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const { name, scopes, expiresAt } = req.body;
+
+  if (expiresAt && new Date(expiresAt) <= new Date(now())) {
+    throw new BadRequestError('Expiry must be in the future', { code: ERROR_CODES.INVALID_EXPIRY });
+  }
+
+  const apiKeys = await User.getApiKeys(req.user.id);
+
+  if (apiKeysConfig.maxPerUser > 0 && apiKeys.length >= apiKeysConfig.maxPerUser) {
+    throw new BadRequestError(`You cannot have more than ${apiKeysConfig.maxPerUser} API keys`, {
+      code: ERROR_CODES.API_KEY_LIMIT_REACHED
+    });
+  }
+
+  const { key, apiKey } = await User.createApiKey(req.user.id, {
+    name,
+    scopes,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'API key created. It will not be shown again.',
+    data: {
+      key,
+      apiKey
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Deletes one of the current user's API keys; it stops working immediately
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the API key to revoke
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: API key revoked successfully
+ *       400:
+ *         description: Invalid API key ID
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role. API keys cannot manage API keys
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: API key not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.delete('/:id', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const deleted = await User.revokeApiKey(req.user.id, req.params.id);
+
+  if (!deleted) {
+    throw new NotFoundError('API key not found', { code: ERROR_CODES.API_KEY_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'API key revoked successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const User = require('../../models/User');
+const authConfig = require('../../config/auth');
+const { createSessionTokens, generateTwoFactorChallenge } = require('../../utils/tokenUtils');
+const { createCsrfToken, setSessionCookies } = require('../../utils/sessionCookies');
+const { AUDIT_EVENTS, recordAuditEvent } = require('../../utils/audit');
+const { now } = require('../../utils/clock');
+const { ERROR_CODES, BadRequestError, TooManyRequestsError } = require('../../utils/errors');
+
+// Build the 429 error telling the client when an account lock ends
+const accountLockedError = (lockedUntil) => new TooManyRequestsError(
+  'Too many failed login attempts. Account is temporarily locked.',
+  { code: ERROR_CODES.ACCOUNT_LOCKED, retryAfter: Math.ceil((lockedUntil - now()) / 1000) }
+);
+
+// Refuse logins asking for cookie mode when it is turned off, before any
+// credential is checked
+const checkCookieMode = (useCookies) => {
+  if (useCookies && !authConfig.cookies.enabled) {
+    throw new BadRequestError('Cookie mode is not enabled on this server', { code: ERROR_CODES.COOKIES_DISABLED });
+  }
+};
+
+// Start a session for a user who passed every login check and send its
+// tokens. In cookie mode the refresh token is set as a cookie instead of
+// being returned, along with the CSRF token the client must send back
+const sendLoginSuccess = async (req, res, user, { useCookies = false } = {}) => {
+  const { accessToken, refreshToken } = await createSessionTokens(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  let tokens = { accessToken, refreshToken };
+
+  if (useCookies) {
+    const csrfToken = createCsrfToken();
+
+    setSessionCookies(req, res, { refreshToken, csrfToken });
+    tokens = { accessToken, csrfToken };
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      ...tokens,
+      user: User.toPublic(user)
+    }
+  });
+};
+
+// Answer a login that still needs a TOTP code with a challenge to send to
+// POST /api/auth/2fa/verify
+const sendTwoFactorChallenge = (res, user) => {
+  return res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user.id)
+    }
+  });
+};
+
+// Audit a login attempt. `method` tells how the user proved who they are:
+// password, totp, recovery_code or oauth
+const auditLogin = (req, { outcome, method, userId = null, reason = null, details = {} }) => {
+  return recordAuditEvent(req, {
+    event: AUDIT_EVENTS.LOGIN,
+    outcome,
+    userId,
+    reason,
+    details: { method, ...details }
+  });
+};
+
+module.exports = { accountLockedError, checkCookieMode, sendLoginSuccess, sendTwoFactorChallenge, auditLogin };
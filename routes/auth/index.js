@@ -1,12 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../../models/User');
+const authConfig = require('../../config/auth');
+const { ROLES } = require('../../config/roles');
+const rateLimitConfig = require('../../config/rateLimit');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { authenticate, authorize, rejectApiKeys } = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { ERROR_CODES, BadRequestError, AuthenticationError, ForbiddenError, NotFoundError, ConflictError } = require('../../utils/errors');
+const { issueEmailVerification, issuePasswordReset } = require('../../utils/accountEmails');
+const { AUDIT_EVENTS, AUDIT_OUTCOMES, recordAuditEvent } = require('../../utils/audit');
+const { readRefreshToken, requireCsrfToken } = require('../../middleware/sessionCookies');
+const { CSRF_COOKIE, readCookies, setSessionCookies, clearSessionCookies } = require('../../utils/sessionCookies');
+const { accountLockedError, checkCookieMode, sendLoginSuccess, sendTwoFactorChallenge, auditLogin } = require('./helpers');
+const twoFactorRoutes = require('./twoFactor');
+const oauthRoutes = require('./oauth');
+const apiKeyRoutes = require('./apiKeys');
 const { 
   generateAccessToken, 
-  generateRefreshToken, 
-  verifyRefreshToken 
+  lookupRefreshToken,
+  rotateRefreshToken,
+  revokeAccessToken
 } = require('../../utils/tokenUtils');
 
+const limits = rateLimitConfig.routes;
+
+// Rate limiters for the unauthenticated endpoints
+const loginIpLimiter = rateLimit({ name: 'login-ip', ...limits.login.ip });
+const loginAccountLimiter = rateLimit({
+  name: 'login-account',
+  ...limits.login.account,
+  keyGenerator: req => String(req.body.usernameOrEmail || '').toLowerCase()
+});
+const registerLimiter = rateLimit({ name: 'register-ip', ...limits.register.ip });
+const refreshTokenLimiter = rateLimit({ name: 'refresh-token-ip', ...limits.refreshToken.ip });
+const forgotPasswordLimiter = rateLimit({ name: 'forgot-password-ip', ...limits.forgotPassword.ip });
+
 /**
  * @swagger
  * components:
@@ -28,19 +57,105 @@ const {
  *           type: string
  *           format: email
  *           description: The user email
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user has verified their email address
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether logins require a TOTP code
  *         password:
  *           type: string
  *           format: password
  *           description: The user password
+ *         roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [user, admin]
+ *           description: The roles granted to the user
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *           description: When the user registered
  *       example:
  *         id: 1
  *         username: johndoe
  *         email: john@example.com
- *   securitySchemes:
- *     BearerAuth:
- *       type: http
- *       scheme: bearer
- *       bearerFormat: JWT
+ *         emailVerified: false
+ *         twoFactorEnabled: false
+ *         roles: [user]
+ *         createdAt: 2025-01-01T12:00:00.000Z
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           description: The session ID
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the user logged in
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the session's tokens were last refreshed
+ *         ip:
+ *           type: string
+ *           nullable: true
+ *           description: The IP address the session was last used from
+ *         userAgent:
+ *           type: string
+ *           nullable: true
+ *           description: The user agent the session was last used from
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session of the access token used for the request
+ *       example:
+ *         id: 6f1c2f0e-8a4b-4e0c-9d1a-2b3c4d5e6f70
+ *         createdAt: 2025-01-01T12:00:00.000Z
+ *         lastUsedAt: 2025-01-01T12:30:00.000Z
+ *         ip: 127.0.0.1
+ *         userAgent: Mozilla/5.0
+ *         current: true
+ *   responses:
+ *     TooManyRequests:
+ *       description: Rate limit exceeded or account temporarily locked
+ *       headers:
+ *         Retry-After:
+ *           description: Seconds to wait before retrying
+ *           schema:
+ *             type: integer
+ *         RateLimit-Limit:
+ *           description: Requests allowed in the current window
+ *           schema:
+ *             type: integer
+ *         RateLimit-Remaining:
+ *           description: Requests left in the current window
+ *           schema:
+ *             type: integer
+ *         RateLimit-Reset:
+ *           description: Seconds until the current window resets
+ *           schema:
+ *             type: integer
+ *       content:
+ *         application/problem+json:
+ *           schema:
+ *             $ref: '#/components/schemas/Problem'
+ *   parameters:
+ *     RefreshTokenCookie:
+ *       in: cookie
+ *       name: refresh_token
+ *       description: Refresh token set by a login in cookie mode, sent instead of the body
+ *       schema:
+ *         type: string
+ *     CsrfToken:
+ *       in: header
+ *       name: X-CSRF-Token
+ *       description: Required with the refresh_token cookie; the value of the csrf_token cookie
+ *       schema:
+ *         type: string
  */
 
 /**
@@ -55,6 +170,7 @@ const {
  * /api/auth/register:
  *   post:
  *     summary: Register a new user
+ *     description: Creates the user and emails them a link to verify their email address
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -102,84 +218,73 @@ const {
  *                     user:
  *                       $ref: '#/components/schemas/User'
  *       400:
- *         description: Bad request
+ *         description: Validation error
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: error
- *                 message:
- *                   type: string
- *                   example: Validation error
+ *               $ref: '#/components/schemas/Problem'
+ *       409:
+ *         description: Username or email already in use
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/register', async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
+router.post('/register', registerLimiter, asyncHandler(async (req, res) => {
+  const { username, email, password } = req.body;
 
-    // Basic validation
-    if (!username || !email || !password) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Please provide username, email and password'
-      });
-    }
+  // Create the user
+  let user;
 
-    if (username.length < 3) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Username must be at least 3 characters long'
+  try {
+    user = await User.create(username, email, password);
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      await recordAuditEvent(req, {
+        event: AUDIT_EVENTS.REGISTER,
+        outcome: AUDIT_OUTCOMES.FAILURE,
+        reason: 'user_exists',
+        details: { username }
       });
     }
 
-    if (password.length < 6) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Password must be at least 6 characters long'
-      });
-    }
+    throw error;
+  }
 
-    // Email validation using regex
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Please provide a valid email address'
-      });
-    }
+  await recordAuditEvent(req, {
+    event: AUDIT_EVENTS.REGISTER,
+    outcome: AUDIT_OUTCOMES.SUCCESS,
+    userId: user.id
+  });
 
-    // Create the user
-    const user = await User.create(username, email, password);
+  await issueEmailVerification(user);
 
-    res.status(201).json({
-      status: 'success',
-      message: 'User registered successfully',
-      data: {
-        user
-      }
-    });
-  } catch (error) {
-    if (error.message === 'User already exists') {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Username or email already in use'
-      });
+  res.status(201).json({
+    status: 'success',
+    message: 'User registered successfully',
+    data: {
+      user
     }
-
-    res.status(500).json({
-      status: 'error',
-      message: 'Internal server error'
-    });
-  }
-});
+  });
+}));
 
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     summary: Login a user
+ *     description: >
+ *       Logs in with a username or email and password. Requests are rate limited per
+ *       client IP and per account, and an account is temporarily locked after too many
+ *       consecutive failed password checks. For users with two-factor authentication
+ *       enabled, a correct password returns a short-lived challenge token instead of
+ *       the access and refresh tokens; finish the login with `POST /api/auth/2fa/verify`.
+ *       Browser clients can set `useCookies` to get the refresh token as an HttpOnly
+ *       cookie instead (cookie mode, when AUTH_COOKIES_ENABLED is set); the response
+ *       then has a CSRF token to send in the `X-CSRF-Token` header of
+ *       `POST /api/auth/refresh-token` and `POST /api/auth/logout`.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -196,6 +301,10 @@ router.post('/register', async (req, res) => {
  *               password:
  *                 type: string
  *                 format: password
+ *               useCookies:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Use cookie mode (see above)
  *             example:
  *               usernameOrEmail: johndoe
  *               password: password123
@@ -220,6 +329,16 @@ router.post('/register', async (req, res) => {
  *                       type: string
  *                     refreshToken:
  *                       type: string
+ *                       description: Not returned in cookie mode, where it is set as the refresh_token cookie
+ *                     csrfToken:
+ *                       type: string
+ *                       description: Only returned in cookie mode; also set as the csrf_token cookie
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Set instead of the tokens when a TOTP code is still needed
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Pass to `POST /api/auth/2fa/verify` with the TOTP code
  *                     user:
  *                       type: object
  *                       properties:
@@ -229,100 +348,156 @@ router.post('/register', async (req, res) => {
  *                           type: string
  *                         email:
  *                           type: string
+ *                         emailVerified:
+ *                           type: boolean
+ *                         twoFactorEnabled:
+ *                           type: boolean
+ *                         roles:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                             enum: [user, admin]
+ *                         createdAt:
+ *                           type: string
+ *                           format: date-time
+ *       400:
+ *         description: Validation error, or cookie mode requested while it is disabled
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *       401:
  *         description: Invalid credentials
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: error
- *                 message:
- *                   type: string
- *                   example: Invalid credentials
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Email address not verified (only when email verification is required)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/login', async (req, res) => {
-  try {
-    const { usernameOrEmail, password } = req.body;
+router.post('/login', loginIpLimiter, loginAccountLimiter, asyncHandler(async (req, res) => {
+  const { usernameOrEmail, password, useCookies } = req.body;
 
-    // Basic validation
-    if (!usernameOrEmail || !password) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Please provide username/email and password'
-      });
-    }
+  checkCookieMode(useCookies);
 
-    // Find the user
-    const user = User.findByCredentials(usernameOrEmail);
+  // Find the user
+  const user = await User.findByCredentials(usernameOrEmail);
 
-    // Check if user exists
-    if (!user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid credentials'
-      });
-    }
+  // Check if user exists
+  if (!user) {
+    await auditLogin(req, {
+      outcome: AUDIT_OUTCOMES.FAILURE,
+      method: 'password',
+      reason: 'unknown_user',
+      details: { usernameOrEmail }
+    });
 
-    // Verify password
-    const isMatch = await User.comparePassword(password, user.password);
+    throw new AuthenticationError('Invalid credentials', { code: ERROR_CODES.INVALID_CREDENTIALS });
+  }
 
-    if (!isMatch) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid credentials'
-      });
+  // Refuse locked accounts without checking the password
+  const lockedUntil = User.lockedUntil(user);
+
+  if (lockedUntil) {
+    await auditLogin(req, {
+      outcome: AUDIT_OUTCOMES.FAILURE,
+      method: 'password',
+      userId: user.id,
+      reason: 'account_locked'
+    });
+
+    throw accountLockedError(lockedUntil);
+  }
+
+  // Verify password
+  const isMatch = await User.comparePassword(password, user.password);
+
+  if (!isMatch) {
+    const lockedUntil = await User.recordFailedLogin(user);
+
+    await auditLogin(req, {
+      outcome: AUDIT_OUTCOMES.FAILURE,
+      method: 'password',
+      userId: user.id,
+      reason: 'invalid_password',
+      details: { locked: Boolean(lockedUntil) }
+    });
+
+    if (lockedUntil) {
+      throw accountLockedError(lockedUntil);
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+    throw new AuthenticationError('Invalid credentials', { code: ERROR_CODES.INVALID_CREDENTIALS });
+  }
 
-    res.status(200).json({
-      status: 'success',
-      message: 'Login successful',
-      data: {
-        accessToken,
-        refreshToken,
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email
-        }
-      }
+  // With two-factor authentication, failed checks are only cleared once
+  // the TOTP code was verified as well
+  if (!user.totpEnabled) {
+    await User.recordSuccessfulLogin(user);
+  }
+
+  if (authConfig.requireEmailVerification && !user.emailVerified) {
+    await auditLogin(req, {
+      outcome: AUDIT_OUTCOMES.FAILURE,
+      method: 'password',
+      userId: user.id,
+      reason: 'email_not_verified'
     });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Internal server error'
+
+    throw new ForbiddenError('Please verify your email address before logging in', {
+      code: ERROR_CODES.EMAIL_NOT_VERIFIED
     });
   }
-});
+
+  // The password alone is not enough: hand out a challenge to answer with a TOTP code
+  if (user.totpEnabled) {
+    await auditLogin(req, { outcome: AUDIT_OUTCOMES.CHALLENGE, method: 'password', userId: user.id });
+
+    return sendTwoFactorChallenge(res, user);
+  }
+
+  await auditLogin(req, { outcome: AUDIT_OUTCOMES.SUCCESS, method: 'password', userId: user.id });
+
+  // Generate tokens
+  await sendLoginSuccess(req, res, user, { useCookies });
+}));
 
 /**
  * @swagger
  * /api/auth/refresh-token:
  *   post:
  *     summary: Refresh access token
+ *     description: >
+ *       Exchanges a refresh token for a new access token and a new refresh token.
+ *       The presented refresh token is invalidated. Presenting an already-rotated
+ *       refresh token again is treated as token theft and revokes every refresh
+ *       token issued from the same login. In cookie mode, send no body: the refresh
+ *       token is read from the refresh_token cookie, the CSRF token must be sent in
+ *       the `X-CSRF-Token` header, and the new refresh token is set as a cookie.
  *     tags: [Auth]
+ *     parameters:
+ *       - $ref: '#/components/parameters/RefreshTokenCookie'
+ *       - $ref: '#/components/parameters/CsrfToken'
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - refreshToken
  *             properties:
  *               refreshToken:
  *                 type: string
+ *                 description: Required unless the refresh_token cookie is sent
  *             example:
  *               refreshToken: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *     responses:
  *       200:
- *         description: New access token generated
+ *         description: New access token and refresh token generated
  *         content:
  *           application/json:
  *             schema:
@@ -336,83 +511,143 @@ router.post('/login', async (req, res) => {
  *                   properties:
  *                     accessToken:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Replaces the refresh token sent in the request; not returned in cookie mode
+ *                     csrfToken:
+ *                       type: string
+ *                       description: Only returned in cookie mode
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, expired or reused refresh token
  *         content:
- *           application/json:
+ *           application/problem+json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: error
- *                 message:
- *                   type: string
- *                   example: Invalid refresh token
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Missing or invalid CSRF token (cookie mode)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/refresh-token', (req, res) => {
-  try {
-    const { refreshToken } = req.body;
+router.post('/refresh-token', refreshTokenLimiter, readRefreshToken, requireCsrfToken, asyncHandler(async (req, res) => {
+  // Verify and rotate the refresh token
+  const { valid, expired, reused, userId, sessionId, refreshToken: newRefreshToken } =
+    await rotateRefreshToken(req.refreshToken, { ip: req.ip, userAgent: req.get('User-Agent') });
 
-    if (!refreshToken) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Refresh token is required'
-      });
+  // A refresh token cookie that no longer works is of no use to the browser
+  if (req.cookieSession && !valid) {
+    clearSessionCookies(req, res);
+  }
+
+  if (!valid) {
+    let reason = 'invalid_token';
+    if (expired) {
+      reason = 'token_expired';
+    } else if (reused) {
+      reason = 'token_reused';
     }
 
-    // Verify the refresh token
-    const { valid, expired, userId } = verifyRefreshToken(refreshToken);
+    await recordAuditEvent(req, {
+      event: AUDIT_EVENTS.TOKEN_REFRESH,
+      outcome: AUDIT_OUTCOMES.FAILURE,
+      userId,
+      reason
+    });
 
-    if (!valid) {
-      if (expired) {
-        return res.status(401).json({
-          status: 'error',
-          message: 'Refresh token has expired. Please login again.'
-        });
-      }
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid refresh token'
+    if (expired) {
+      throw new AuthenticationError('Refresh token has expired. Please login again.', {
+        code: ERROR_CODES.REFRESH_TOKEN_EXPIRED
+      });
+    }
+    if (reused) {
+      throw new AuthenticationError('Refresh token has already been used. Please login again.', {
+        code: ERROR_CODES.REFRESH_TOKEN_REUSED
       });
     }
+    throw new AuthenticationError('Invalid refresh token', { code: ERROR_CODES.INVALID_REFRESH_TOKEN });
+  }
+
+  const user = await User.findById(userId);
+
+  if (!user) {
+    await recordAuditEvent(req, {
+      event: AUDIT_EVENTS.TOKEN_REFRESH,
+      outcome: AUDIT_OUTCOMES.FAILURE,
+      userId,
+      reason: 'user_not_found'
+    });
+
+    throw new AuthenticationError('Invalid refresh token', { code: ERROR_CODES.INVALID_REFRESH_TOKEN });
+  }
+
+  // Generate a new access token
+  const accessToken = generateAccessToken(user.id, user.roles, sessionId);
+
+  await recordAuditEvent(req, {
+    event: AUDIT_EVENTS.TOKEN_REFRESH,
+    outcome: AUDIT_OUTCOMES.SUCCESS,
+    userId: user.id,
+    details: { sessionId }
+  });
 
-    // Generate a new access token
-    const accessToken = generateAccessToken(userId);
+  if (req.cookieSession) {
+    // The CSRF token lasts as long as the session, so other tabs keep theirs
+    const csrfToken = readCookies(req)[CSRF_COOKIE];
 
-    res.status(200).json({
+    setSessionCookies(req, res, { refreshToken: newRefreshToken, csrfToken });
+
+    return res.status(200).json({
       status: 'success',
       data: {
-        accessToken
+        accessToken,
+        csrfToken
       }
     });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Internal server error'
-    });
   }
-});
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      accessToken,
+      refreshToken: newRefreshToken
+    }
+  });
+}));
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: Logout a user
+ *     description: >
+ *       Ends the session of the refresh token and revokes the access token sent in
+ *       the Authorization header. In cookie mode, send no body: the refresh token is
+ *       read from the refresh_token cookie, the CSRF token must be sent in the
+ *       `X-CSRF-Token` header, and both cookies are cleared.
  *     tags: [Auth]
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/RefreshTokenCookie'
+ *       - $ref: '#/components/parameters/CsrfToken'
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - refreshToken
  *             properties:
  *               refreshToken:
  *                 type: string
+ *                 description: Required unless the refresh_token cookie is sent
  *             example:
  *               refreshToken: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *     responses:
@@ -429,38 +664,448 @@ router.post('/refresh-token', (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Logged out successfully
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *       401:
  *         description: Unauthorized
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Missing or invalid CSRF token (cookie mode)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
-router.post('/logout', (req, res) => {
-  try {
-    const { refreshToken } = req.body;
+router.post('/logout', readRefreshToken, requireCsrfToken, asyncHandler(async (req, res) => {
+  // Only the current refresh token of a session ends it. A rotated one is
+  // ignored rather than treated as reuse: logging out needs no access token,
+  // so anyone holding an old token could otherwise end the live session
+  const { valid, used, userId, sessionId } = await lookupRefreshToken(req.refreshToken);
+  const ended = valid && !used;
 
-    if (!refreshToken) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Refresh token is required'
-      });
-    }
+  if (ended) {
+    // End the session, removing the refresh token and its rotated predecessors
+    await User.deleteSession(userId, sessionId);
+  }
 
-    // Verify the refresh token
-    const { valid, userId } = verifyRefreshToken(refreshToken);
+  // Revoke the access token the request was made with, if any
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    await revokeAccessToken(authHeader.split(' ')[1]);
+  }
 
-    if (valid && userId) {
-      // Remove the refresh token from the user's record
-      User.removeRefreshToken(userId, refreshToken);
-    }
+  // Logging out always succeeds, but only ends a session for a valid refresh token
+  await recordAuditEvent(req, {
+    event: AUDIT_EVENTS.LOGOUT,
+    outcome: AUDIT_OUTCOMES.SUCCESS,
+    userId: ended ? userId : null,
+    details: { sessionEnded: ended, sessionId: ended ? sessionId : null }
+  });
 
-    res.status(200).json({
-      status: 'success',
-      message: 'Logged out successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      message: 'Internal server error'
+  if (req.cookieSession) {
+    clearSessionCookies(req, res);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Lists the login sessions of the current user, most recently used first
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.get('/sessions', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const sessions = await User.getSessions(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: sessions.map(session => ({
+      id: session.id,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      ip: session.ip,
+      userAgent: session.userAgent,
+      current: session.id === req.sessionId
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: >
+ *       Logs the current user out of one session by revoking its refresh tokens.
+ *       Access tokens issued for the session are rejected from then on.
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the session to revoke
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Session revoked successfully
+ *       400:
+ *         description: Invalid session ID
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.delete('/sessions/:id', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const deleted = await User.deleteSession(req.user.id, req.params.id);
+
+  if (!deleted) {
+    throw new NotFoundError('Session not found', { code: ERROR_CODES.SESSION_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Logout everywhere else
+ *     description: >
+ *       Revokes every session of the current user except the one making the request,
+ *       along with their refresh and access tokens
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Logged out of all other sessions
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/logout-all', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  await User.deleteSessions(req.user.id, req.sessionId);
+
+  await recordAuditEvent(req, {
+    event: AUDIT_EVENTS.LOGOUT_ALL,
+    outcome: AUDIT_OUTCOMES.SUCCESS,
+    userId: req.user.id,
+    details: { keptSessionId: req.sessionId }
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Logged out of all other sessions'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address
+ *     description: Marks the email address of a user as verified using the single-use token sent to it
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *             example:
+ *               token: 3f9a1c2b7d...
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Email verified successfully
+ *       400:
+ *         description: Validation error, or invalid, expired or already used token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/verify-email', asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const user = await User.consumeToken(User.TOKEN_TYPES.EMAIL_VERIFICATION, token);
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired verification token', {
+      code: ERROR_CODES.INVALID_VERIFICATION_TOKEN
     });
   }
-});
+
+  await User.markEmailVerified(user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email verified successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset
+ *     description: >
+ *       Emails a single-use password reset token to the user with the given email address.
+ *       The response is the same whether or not the address belongs to a user.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *             example:
+ *               email: john@example.com
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the address is registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: If that email address is registered, a password reset link has been sent
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/forgot-password', forgotPasswordLimiter, asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findByEmail(email);
+
+  // Always answer the same way so the endpoint cannot be used to find out
+  // which email addresses are registered
+  if (user) {
+    await issuePasswordReset(user);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'If that email address is registered, a password reset link has been sent'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset a password
+ *     description: >
+ *       Sets a new password using the single-use token from the password reset email.
+ *       Every refresh token of the user is revoked.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *             example:
+ *               token: 3f9a1c2b7d...
+ *               password: newpassword456
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Password reset successfully. Please login again.
+ *       400:
+ *         description: Validation error, or invalid, expired or already used token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/reset-password', asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const user = await User.consumeToken(User.TOKEN_TYPES.PASSWORD_RESET, token);
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired password reset token', { code: ERROR_CODES.INVALID_RESET_TOKEN });
+  }
+
+  await User.changePassword(user.id, password);
+
+  // Receiving the reset email proves the user owns the address
+  await User.markEmailVerified(user.id);
+
+  // A new password makes an earlier lockout pointless
+  await User.unlock(user.id);
+
+  // Revoke every session and access token so whoever knew the old password is logged out
+  await User.deleteSessions(user.id);
+  await User.revokeAllTokens(user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password reset successfully. Please login again.'
+  });
+}));
+
+// Two-factor authentication enrollment and login
+router.use('/2fa', twoFactorRoutes);
+
+// Login with external OpenID Connect providers
+router.use('/oauth', oauthRoutes);
+
+// Personal API keys for scripts and CI jobs
+router.use('/api-keys', apiKeyRoutes);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,666 @@
+const crypto = require('crypto');
+const express = require('express');
+const ms = require('ms');
+const router = express.Router();
+const User = require('../../models/User');
+const authConfig = require('../../config/auth');
+const oauthConfig = require('../../config/oauth');
+const { ROLES } = require('../../config/roles');
+const rateLimitConfig = require('../../config/rateLimit');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { authenticate, authorize, rejectApiKeys } = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const {
+  ERROR_CODES,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BadGatewayError
+} = require('../../utils/errors');
+const { issueEmailVerification } = require('../../utils/accountEmails');
+const { logger } = require('../../utils/logger');
+const { readCookies } = require('../../utils/sessionCookies');
+const {
+  getProvider,
+  getRedirectUri,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode
+} = require('../../utils/oidc');
+const { AUDIT_EVENTS, AUDIT_OUTCOMES, recordAuditEvent } = require('../../utils/audit');
+const { checkCookieMode, sendLoginSuccess, sendTwoFactorChallenge, auditLogin } = require('./helpers');
+
+const oauthLimiter = rateLimit({ name: 'oauth-ip', ...rateLimitConfig.routes.oauth.ip });
+
+// Get a configured provider, failing with a 404 for any other name
+const requireProvider = (name) => {
+  const provider = getProvider(name);
+
+  if (!provider) {
+    throw new NotFoundError('Unknown OAuth provider', { code: ERROR_CODES.UNKNOWN_PROVIDER });
+  }
+
+  return provider;
+};
+
+// Cookie binding an authorization request to the browser that started it,
+// so that nobody can finish their own login or linking in someone else's
+// browser
+const OAUTH_STATE_COOKIE = 'oauth_state';
+
+// Options of the state cookie. It is only sent to the callback, and is
+// SameSite=Lax as the provider sends the browser back from another site
+const stateCookieOptions = (provider) => ({
+  path: new URL(getRedirectUri(provider)).pathname,
+  httpOnly: true,
+  secure: authConfig.cookies.secure,
+  sameSite: 'lax'
+});
+
+// Check the state a callback came with against the state cookie
+const isStateOfBrowser = (req, state) => {
+  const cookie = Buffer.from(readCookies(req)[OAUTH_STATE_COOKIE] || '');
+  const given = Buffer.from(typeof state === 'string' ? state : '');
+
+  return cookie.length > 0 && cookie.length === given.length && crypto.timingSafeEqual(cookie, given);
+};
+
+// Start an authorization request, set its state cookie, and return the
+// provider URL to send the user to. `userId` is set when linking the
+// identity to a logged-in user
+const startAuthorization = async (res, provider, userId = null) => {
+  const { state, nonce, codeVerifier, codeChallenge } = createAuthorizationRequest();
+
+  await User.saveOAuthState({ state, provider: provider.name, codeVerifier, nonce, userId });
+  const authorizationUrl = await buildAuthorizationUrl(provider, { state, nonce, codeChallenge });
+
+  res.cookie(OAUTH_STATE_COOKIE, state, {
+    ...stateCookieOptions(provider),
+    maxAge: ms(oauthConfig.stateExpiresIn)
+  });
+
+  return authorizationUrl;
+};
+
+// URL of the client app page the callback sends the browser back to
+const appRedirectUrl = (params) => {
+  const url = new URL(oauthConfig.redirectUrl);
+
+  Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+};
+
+// Check if a user already has an account of the provider linked
+const hasIdentityFrom = async (userId, provider) => {
+  const identities = await User.getIdentities(userId);
+  return identities.some(identity => identity.provider === provider.name);
+};
+
+// Record the outcome of linking a provider account in the audit log
+const auditLink = (req, { outcome, userId, reason = null, provider }) => recordAuditEvent(req, {
+  event: AUDIT_EVENTS.OAUTH_LINK,
+  outcome,
+  userId,
+  reason,
+  details: { provider: provider.name }
+});
+
+// Some providers send email_verified as a string
+const isEmailVerified = (claims) => claims.email_verified === true || claims.email_verified === 'true';
+
+/**
+ * @swagger
+ * /api/auth/oauth/identities:
+ *   get:
+ *     summary: List linked external accounts
+ *     description: Lists the OpenID Connect provider accounts linked to the current user
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       provider:
+ *                         type: string
+ *                         example: google
+ *                       email:
+ *                         type: string
+ *                         nullable: true
+ *                         example: john@example.com
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.get('/identities', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const identities = await User.getIdentities(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: identities.map(identity => ({
+      provider: identity.provider,
+      email: identity.email,
+      createdAt: identity.createdAt
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/oauth/exchange:
+ *   post:
+ *     summary: Get the tokens of an OpenID Connect login
+ *     description: >
+ *       Exchanges the one-time code the callback redirected to `OAUTH_REDIRECT_URL`
+ *       with for an access token and a refresh token, as with `POST /api/auth/login`.
+ *       Codes are valid for `OAUTH_LOGIN_CODE_EXPIRES_IN` and accepted once. Users
+ *       with two-factor authentication get a challenge token to finish the login
+ *       with `POST /api/auth/2fa/verify`. Set `useCookies` for cookie mode.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               useCookies:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Get the refresh token as an HttpOnly cookie
+ *             example:
+ *               code: 3f2b9c4e8a1d7f6e5c4b3a2918f7e6d5c4b3a2918f7e6d5c4b3a2918f7e6d5c4
+ *     responses:
+ *       200:
+ *         description: User logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Login successful
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Not returned in cookie mode
+ *                     csrfToken:
+ *                       type: string
+ *                       description: Only returned in cookie mode
+ *                     twoFactorRequired:
+ *                       type: boolean
+ *                       description: Set instead of the tokens when a TOTP code is still needed
+ *                     challengeToken:
+ *                       type: string
+ *                       description: Pass to `POST /api/auth/2fa/verify` with the TOTP code
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: >
+ *           Validation error, invalid, expired or used code, or cookie mode requested
+ *           while it is disabled
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/exchange', oauthLimiter, asyncHandler(async (req, res) => {
+  const { code, useCookies } = req.body;
+
+  checkCookieMode(useCookies);
+
+  const user = await User.consumeToken(User.TOKEN_TYPES.OAUTH_LOGIN, code);
+
+  if (!user) {
+    throw new BadRequestError('Invalid or expired login code. Please log in again.', {
+      code: ERROR_CODES.INVALID_OAUTH_CODE
+    });
+  }
+
+  if (user.totpEnabled) {
+    return sendTwoFactorChallenge(res, user);
+  }
+
+  await sendLoginSuccess(req, res, user, { useCookies });
+}));
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}:
+ *   get:
+ *     summary: Login with an OpenID Connect provider
+ *     description: >
+ *       Redirects to the provider's login page using the authorization code flow
+ *       with PKCE, and sets a cookie tying the request to this browser. The provider
+ *       redirects back to `/api/auth/oauth/{provider}/callback`, which finishes the
+ *       login.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         description: Name of a provider listed in OAUTH_PROVIDERS
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider's login page
+ *         headers:
+ *           Location:
+ *             description: Authorization URL of the provider
+ *             schema:
+ *               type: string
+ *           Set-Cookie:
+ *             description: HttpOnly `oauth_state` cookie checked by the callback
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown provider
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       502:
+ *         description: The provider could not be reached
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.get('/:provider', oauthLimiter, asyncHandler(async (req, res) => {
+  const provider = requireProvider(req.params.provider);
+  let authorizationUrl;
+
+  try {
+    authorizationUrl = await startAuthorization(res, provider);
+  } catch (error) {
+    logger.error(`Could not start login with ${provider.name}`, { err: error });
+    throw new BadGatewayError(`Could not reach ${provider.name}`, { code: ERROR_CODES.PROVIDER_UNREACHABLE });
+  }
+
+  res.redirect(302, authorizationUrl);
+}));
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/link:
+ *   post:
+ *     summary: Link an OpenID Connect provider account
+ *     description: >
+ *       Starts the authorization code flow for linking a provider account to the
+ *       current user. Send the user to the returned URL from the same browser; the
+ *       callback then links the account instead of logging in. The response sets
+ *       the `oauth_state` cookie the callback checks, so cross-origin clients must
+ *       send the request with credentials.
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         description: Name of a provider listed in OAUTH_PROVIDERS
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authorization URL to send the user to
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     authorizationUrl:
+ *                       type: string
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Unknown provider
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       502:
+ *         description: The provider could not be reached
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/:provider/link', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const provider = requireProvider(req.params.provider);
+  let authorizationUrl;
+
+  try {
+    authorizationUrl = await startAuthorization(res, provider, req.user.id);
+  } catch (error) {
+    logger.error(`Could not start linking ${provider.name}`, { err: error });
+    throw new BadGatewayError(`Could not reach ${provider.name}`, { code: ERROR_CODES.PROVIDER_UNREACHABLE });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      authorizationUrl
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/callback:
+ *   get:
+ *     summary: Finish a login with an OpenID Connect provider
+ *     description: >
+ *       Redirect target of the provider. Exchanges the authorization code for an
+ *       ID token and logs in the user linked to the provider account. Accounts that
+ *       are not linked yet are linked to the user with the same email address when
+ *       both the provider and this API verified it, and otherwise get a new user.
+ *       Only accepted in the browser that started the flow, as told by its
+ *       `oauth_state` cookie. Redirects to `OAUTH_REDIRECT_URL` with a one-time
+ *       `code` to exchange for tokens at `POST /api/auth/oauth/exchange`. For flows
+ *       started with `POST /api/auth/oauth/{provider}/link`, the account is linked
+ *       to that user instead, and the redirect has a `linked` parameter naming the
+ *       provider.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         description: Authorization code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         description: State of the authorization request
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         description: Error code, when the provider refused the request
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: User logged in, or account linked
+ *         headers:
+ *           Location:
+ *             description: >
+ *               `OAUTH_REDIRECT_URL` with a one-time login `code`, or with `linked`
+ *               set to the provider
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: >
+ *           Validation error, or a state that is unknown, expired, or was not
+ *           issued to this browser
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: The provider refused the login, or its ID token is invalid
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Email address not verified (only when email verification is required)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: Unknown provider, or the user linking the account no longer exists
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       409:
+ *         description: >
+ *           The provider account is linked to another user, or its email address
+ *           belongs to a user it cannot be linked to automatically
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/:provider/callback', oauthLimiter, asyncHandler(async (req, res) => {
+  const provider = requireProvider(req.params.provider);
+
+  const { code, state, error } = req.query;
+  const startedHere = isStateOfBrowser(req, state);
+
+  res.clearCookie(OAUTH_STATE_COOKIE, stateCookieOptions(provider));
+
+  // Each state is only accepted once, only in the browser that started the
+  // flow, and only for the provider it was made for
+  const pending = startedHere ? await User.consumeOAuthState(state) : null;
+
+  if (!pending || pending.provider !== provider.name) {
+    throw new BadRequestError('Invalid or expired OAuth state. Please start again.', {
+      code: ERROR_CODES.INVALID_OAUTH_STATE
+    });
+  }
+
+  let claims;
+  try {
+    if (error || !code) {
+      throw new Error(error || 'No authorization code');
+    }
+    claims = await exchangeCode(provider, {
+      code,
+      codeVerifier: pending.codeVerifier,
+      nonce: pending.nonce
+    });
+  } catch (exchangeError) {
+    logger.warn(`Login with ${provider.name} failed`, { err: exchangeError });
+
+    if (pending.userId) {
+      await auditLink(req, {
+        outcome: AUDIT_OUTCOMES.FAILURE,
+        userId: pending.userId,
+        reason: 'provider_refused',
+        provider
+      });
+    } else {
+      await auditLogin(req, {
+        outcome: AUDIT_OUTCOMES.FAILURE,
+        method: 'oauth',
+        reason: 'provider_refused',
+        details: { provider: provider.name }
+      });
+    }
+
+    throw new AuthenticationError(`Login with ${provider.name} failed`, { code: ERROR_CODES.PROVIDER_REFUSED });
+  }
+
+  const identity = { provider: provider.name, subject: claims.sub, email: claims.email || null };
+  const linked = await User.findIdentity(identity.provider, identity.subject);
+
+  // Linking from a logged-in account
+  if (pending.userId) {
+    const audit = { userId: pending.userId, provider };
+
+    // The account may have been deleted since the flow started
+    if (!await User.findById(pending.userId)) {
+      await auditLink(req, { ...audit, outcome: AUDIT_OUTCOMES.FAILURE, reason: 'user_not_found' });
+      throw new NotFoundError('User not found', { code: ERROR_CODES.USER_NOT_FOUND });
+    }
+
+    if (linked && linked.userId !== pending.userId) {
+      await auditLink(req, { ...audit, outcome: AUDIT_OUTCOMES.FAILURE, reason: 'linked_to_other_user' });
+      throw new ConflictError(`This ${provider.name} account is already linked to another user`, {
+        code: ERROR_CODES.PROVIDER_ALREADY_LINKED
+      });
+    }
+
+    if (!linked) {
+      if (await hasIdentityFrom(pending.userId, provider)) {
+        await auditLink(req, { ...audit, outcome: AUDIT_OUTCOMES.FAILURE, reason: 'provider_already_linked' });
+        throw new ConflictError(`Another ${provider.name} account is already linked`, {
+          code: ERROR_CODES.PROVIDER_ALREADY_LINKED
+        });
+      }
+
+      await User.linkIdentity(pending.userId, identity);
+    }
+
+    await auditLink(req, { ...audit, outcome: AUDIT_OUTCOMES.SUCCESS });
+
+    return res.redirect(302, appRedirectUrl({ linked: provider.name }));
+  }
+
+  let user = linked ? await User.findById(linked.userId) : null;
+
+  if (!user) {
+    if (!identity.email) {
+      throw new BadRequestError(`${provider.name} did not share an email address`, {
+        code: ERROR_CODES.PROVIDER_EMAIL_MISSING
+      });
+    }
+
+    const existingUser = await User.findByEmail(identity.email);
+
+    if (existingUser) {
+      // Only link automatically when both sides proved the address belongs
+      // to this person; otherwise whoever registered it first could take
+      // over the other's account
+      if (!isEmailVerified(claims) || !existingUser.emailVerified) {
+        await auditLogin(req, {
+          outcome: AUDIT_OUTCOMES.FAILURE,
+          method: 'oauth',
+          userId: existingUser.id,
+          reason: 'email_conflict',
+          details: { provider: provider.name }
+        });
+
+        throw new ConflictError('An account with this email address already exists. Log in and link the provider from your account.', {
+          code: ERROR_CODES.EMAIL_CONFLICT
+        });
+      }
+
+      if (await hasIdentityFrom(existingUser.id, provider)) {
+        await auditLogin(req, {
+          outcome: AUDIT_OUTCOMES.FAILURE,
+          method: 'oauth',
+          userId: existingUser.id,
+          reason: 'provider_already_linked',
+          details: { provider: provider.name }
+        });
+
+        throw new ConflictError(`Another ${provider.name} account is already linked to the user with this email address`, {
+          code: ERROR_CODES.PROVIDER_ALREADY_LINKED
+        });
+      }
+
+      user = existingUser;
+    } else {
+      user = await User.createFromIdentity({
+        username: claims.preferred_username,
+        email: identity.email,
+        emailVerified: isEmailVerified(claims)
+      });
+
+      await recordAuditEvent(req, {
+        event: AUDIT_EVENTS.REGISTER,
+        outcome: AUDIT_OUTCOMES.SUCCESS,
+        userId: user.id,
+        details: { provider: provider.name }
+      });
+
+      if (!user.emailVerified) {
+        await issueEmailVerification(user);
+      }
+    }
+
+    await User.linkIdentity(user.id, identity);
+  }
+
+  const audit = { method: 'oauth', userId: user.id, details: { provider: provider.name } };
+
+  if (authConfig.requireEmailVerification && !user.emailVerified) {
+    await auditLogin(req, { ...audit, outcome: AUDIT_OUTCOMES.FAILURE, reason: 'email_not_verified' });
+
+    throw new ForbiddenError('Please verify your email address before logging in', {
+      code: ERROR_CODES.EMAIL_NOT_VERIFIED
+    });
+  }
+
+  await auditLogin(req, { ...audit, outcome: user.totpEnabled ? AUDIT_OUTCOMES.CHALLENGE : AUDIT_OUTCOMES.SUCCESS });
+
+  // Tokens are not put in a URL the browser shows and keeps in its history;
+  // the app exchanges this short-lived code for them instead
+  const loginCode = await User.createToken(user.id, User.TOKEN_TYPES.OAUTH_LOGIN, oauthConfig.loginCodeExpiresIn);
+
+  res.redirect(302, appRedirectUrl({ code: loginCode }));
+}));
+
+module.exports = router;
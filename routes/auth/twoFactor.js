@@ -0,0 +1,415 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../../models/User');
+const authConfig = require('../../config/auth');
+const { ROLES } = require('../../config/roles');
+const rateLimitConfig = require('../../config/rateLimit');
+const { rateLimit } = require('../../middleware/rateLimit');
+const { authenticate, authorize, rejectApiKeys } = require('../../middleware/auth');
+const { asyncHandler } = require('../../middleware/asyncHandler');
+const { ERROR_CODES, BadRequestError, AuthenticationError } = require('../../utils/errors');
+const { verifyTwoFactorChallenge } = require('../../utils/tokenUtils');
+const { buildOtpauthUrl } = require('../../utils/totp');
+const { AUDIT_OUTCOMES } = require('../../utils/audit');
+const { accountLockedError, checkCookieMode, sendLoginSuccess, auditLogin } = require('./helpers');
+
+const twoFactorLimiter = rateLimit({ name: 'two-factor-ip', ...rateLimitConfig.routes.twoFactor.ip });
+
+// TOTP codes are six digits; anything else is taken for a recovery code
+const isTotpCode = (code) => /^\d{6}$/.test(code);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor authentication enrollment
+ *     description: >
+ *       Generates a new TOTP secret for the current user and returns it with an
+ *       otpauth URI to show as a QR code in an authenticator app. Logins are not
+ *       affected until the secret is confirmed with `POST /api/auth/2fa/confirm`.
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: TOTP secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret, for entering into the app by hand
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/Simple%20Swagger%20Backend:johndoe?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Simple%20Swagger%20Backend&algorithm=SHA1&digits=6&period=30
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/setup', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.totpEnabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled', {
+      code: ERROR_CODES.TWO_FACTOR_ALREADY_ENABLED
+    });
+  }
+
+  const secret = await User.startTwoFactorSetup(user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthUrl: buildOtpauthUrl({
+        secret,
+        accountName: user.username,
+        issuer: authConfig.twoFactor.issuer
+      })
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor authentication enrollment
+ *     description: >
+ *       Enables two-factor authentication once a code from the authenticator app
+ *       proves it has the secret from `POST /api/auth/2fa/setup`. Returns one-time
+ *       recovery codes for logging in without the app; they are only shown once.
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 pattern: '^[0-9]{6}$'
+ *             example:
+ *               code: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Two-factor authentication enabled
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [3f9a1-0c2d7, b81e4-77a90]
+ *       400:
+ *         description: Validation error, invalid code, or enrollment not started
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/confirm', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.totpEnabled) {
+    throw new BadRequestError('Two-factor authentication is already enabled', {
+      code: ERROR_CODES.TWO_FACTOR_ALREADY_ENABLED
+    });
+  }
+
+  if (!user.totpSecret) {
+    throw new BadRequestError('Two-factor authentication setup has not been started', {
+      code: ERROR_CODES.TWO_FACTOR_NOT_STARTED
+    });
+  }
+
+  const recoveryCodes = await User.enableTwoFactor(user, req.body.code);
+
+  if (!recoveryCodes) {
+    throw new BadRequestError('Invalid two-factor code', { code: ERROR_CODES.INVALID_TWO_FACTOR_CODE });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled',
+    data: {
+      recoveryCodes
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Finish a two-factor login
+ *     description: >
+ *       Exchanges the challenge token returned by `POST /api/auth/login` and a TOTP
+ *       code, or one of the recovery codes, for an access token and a refresh token.
+ *       Wrong codes count towards the account lock like wrong passwords. Set
+ *       `useCookies` for cookie mode, as with `POST /api/auth/login`.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Six-digit TOTP code, or a recovery code
+ *                 minLength: 6
+ *                 maxLength: 20
+ *               useCookies:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Get the refresh token as an HttpOnly cookie
+ *             example:
+ *               challengeToken: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *               code: '123456'
+ *     responses:
+ *       200:
+ *         description: User logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Login successful
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     accessToken:
+ *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Not returned in cookie mode
+ *                     csrfToken:
+ *                       type: string
+ *                       description: Only returned in cookie mode
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Validation error, or cookie mode requested while it is disabled
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Invalid, expired or already used challenge token, or invalid code
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/verify', twoFactorLimiter, asyncHandler(async (req, res) => {
+  const { challengeToken, code, useCookies } = req.body;
+  const method = isTotpCode(code) ? 'totp' : 'recovery_code';
+
+  checkCookieMode(useCookies);
+
+  const { valid, expired, used, userId, issuedAt, jti, expiresAt } = await verifyTwoFactorChallenge(challengeToken);
+  const user = valid ? await User.findById(userId) : null;
+
+  // The challenge is void once the password was changed or 2FA turned off
+  if (!user || !user.totpEnabled || User.isTokenRevokedForUser(user, issuedAt)) {
+    await auditLogin(req, {
+      outcome: AUDIT_OUTCOMES.FAILURE,
+      method,
+      userId: user ? user.id : userId || null,
+      reason: (expired && 'challenge_expired') || (used && 'challenge_used') || 'invalid_challenge'
+    });
+
+    throw expired
+      ? new AuthenticationError('Challenge token has expired. Please login again.', { code: ERROR_CODES.CHALLENGE_EXPIRED })
+      : new AuthenticationError('Invalid challenge token', { code: ERROR_CODES.INVALID_CHALLENGE });
+  }
+
+  const lockedUntil = User.lockedUntil(user);
+
+  if (lockedUntil) {
+    await auditLogin(req, { outcome: AUDIT_OUTCOMES.FAILURE, method, userId: user.id, reason: 'account_locked' });
+
+    throw accountLockedError(lockedUntil);
+  }
+
+  const isMatch = method === 'totp'
+    ? await User.verifyTwoFactorCode(user, code)
+    : await User.useRecoveryCode(user, code);
+
+  if (!isMatch) {
+    const lockedUntil = await User.recordFailedLogin(user);
+
+    await auditLogin(req, {
+      outcome: AUDIT_OUTCOMES.FAILURE,
+      method,
+      userId: user.id,
+      reason: 'invalid_code',
+      details: { locked: Boolean(lockedUntil) }
+    });
+
+    if (lockedUntil) {
+      throw accountLockedError(lockedUntil);
+    }
+
+    throw new AuthenticationError('Invalid two-factor code', { code: ERROR_CODES.INVALID_TWO_FACTOR_CODE });
+  }
+
+  // Each challenge logs in once, even if another request used it meanwhile
+  if (!(await User.useTwoFactorChallenge(jti, expiresAt))) {
+    await auditLogin(req, { outcome: AUDIT_OUTCOMES.FAILURE, method, userId: user.id, reason: 'challenge_used' });
+
+    throw new AuthenticationError('Invalid challenge token', { code: ERROR_CODES.INVALID_CHALLENGE });
+  }
+
+  await User.recordSuccessfulLogin(user);
+
+  await auditLogin(req, { outcome: AUDIT_OUTCOMES.SUCCESS, method, userId: user.id });
+
+  await sendLoginSuccess(req, res, user, { useCookies });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Turns off two-factor authentication and deletes the recovery codes
+ *     tags: [Auth]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *             example:
+ *               password: password123
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid token or incorrect password
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/disable', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  // Require the password so a stolen access token cannot remove the second factor
+  const isMatch = await User.comparePassword(req.body.password, user.password);
+
+  if (!isMatch) {
+    throw new AuthenticationError('Password is incorrect', { code: ERROR_CODES.INVALID_PASSWORD });
+  }
+
+  await User.disableTwoFactor(user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+module.exports = router;
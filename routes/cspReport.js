@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const rateLimitConfig = require('../config/rateLimit');
+const { rateLimit } = require('../middleware/rateLimit');
+const { logger } = require('../utils/logger');
+const { observeCspViolation } = require('../utils/metrics');
+
+const cspReportLimiter = rateLimit({ name: 'csp-report-ip', ...rateLimitConfig.routes.cspReport.ip });
+
+// Reports are sent by browsers as application/csp-report (report-uri) or
+// application/reports+json (report-to), which express.json() skips
+const parseReports = express.json({
+  type: ['application/csp-report', 'application/reports+json', 'application/json'],
+  limit: '16kb'
+});
+
+// Read the violations of a report-uri or report-to body in one shape
+const toViolations = (body) => {
+  if (body && body['csp-report']) {
+    const report = body['csp-report'];
+
+    return [{
+      documentUrl: report['document-uri'],
+      directive: report['effective-directive'] || report['violated-directive'],
+      blockedUrl: report['blocked-uri'],
+      sourceFile: report['source-file'],
+      lineNumber: report['line-number'],
+      disposition: report.disposition
+    }];
+  }
+
+  if (Array.isArray(body)) {
+    return body
+      .filter(report => report && report.type === 'csp-violation' && report.body)
+      .map(({ body: report }) => ({
+        documentUrl: report.documentURL,
+        directive: report.effectiveDirective,
+        blockedUrl: report.blockedURL,
+        sourceFile: report.sourceFile,
+        lineNumber: report.lineNumber,
+        disposition: report.disposition
+      }));
+  }
+
+  return [];
+};
+
+// Content Security Policy violation reports. Deliberately left out of the
+// Swagger docs, as browsers rather than API clients call it
+router.post('/', cspReportLimiter, parseReports, (req, res) => {
+  toViolations(req.body).forEach((violation) => {
+    // Directives are a known, short list; anything else would be made up
+    const directive = /^[a-z-]{1,32}$/.test(violation.directive) ? violation.directive : 'unknown';
+
+    logger.warn('Content Security Policy violation', { ...violation, directive });
+    observeCspViolation({ directive });
+  });
+
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { addScriptNonce } = require('../middleware/securityPolicy');
+
+// Show x-required-roles on each operation, and do not send the spec to the
+// online validator
+const UI_OPTIONS = { showExtensions: true, validatorUrl: null };
+
+// Serve a Swagger UI page, with a nonce on its scripts, and its assets
+const swaggerUiPage = (spec, options) => {
+  const page = swaggerUi.generateHTML(spec, options);
+
+  return [
+    ...swaggerUi.serveFiles(spec, options),
+    (req, res) => res.send(addScriptNonce(page, res.locals.cspNonce))
+  ];
+};
+
+/**
+ * Build the router of the API docs, from the spec of each version by name
+ * Each version has its spec at /<version>/openapi.json and its own page
+ * at /<version>/; the root page lets readers pick a version, newest first.
+ */
+const createDocsRouter = (specs) => {
+  const router = express.Router();
+  const versions = Object.keys(specs).reverse();
+
+  versions.forEach((version) => {
+    router.get(`/${version}/openapi.json`, (req, res) => {
+      res.json(specs[version]);
+    });
+    router.use(`/${version}`, swaggerUiPage(specs[version], { swaggerOptions: UI_OPTIONS }));
+  });
+
+  router.use('/', swaggerUiPage(null, {
+    swaggerUrls: versions.map(version => ({ name: version, url: `${version}/openapi.json` })),
+    swaggerOptions: { ...UI_OPTIONS, 'urls.primaryName': versions[0] }
+  }));
+
+  return router;
+};
+
+module.exports = { createDocsRouter };
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const jwtConfig = require('../config/jwt');
+const { getSigningKey } = require('../utils/jwtKeys');
+const { isShuttingDown } = require('../utils/shutdown');
+const { logger } = require('../utils/logger');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { ERROR_CODES, ServiceUnavailableError } = require('../utils/errors');
+
+// Dependencies that must work for the server to take traffic. Each check
+// throws when its dependency is not usable
+const READINESS_CHECKS = {
+  storage: () => User.ping(),
+  jwtKeys: async () => {
+    if (!getSigningKey().key || !jwtConfig.refreshToken.secret) {
+      throw new Error('JWT secrets or signing keys are missing');
+    }
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Health
+ *   description: Probes for orchestrators and load balancers
+ */
+
+/**
+ * @swagger
+ * /healthz:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers as long as the process is running and serving requests
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: OK
+ */
+router.get('/healthz', (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+  res.status(200).json({
+    status: 'success',
+    message: 'OK'
+  });
+});
+
+/**
+ * @swagger
+ * /readyz:
+ *   get:
+ *     summary: Readiness probe
+ *     description: >
+ *       Checks that the storage can be queried and that the JWT secrets and
+ *       signing keys are loaded. Fails once the server has started shutting
+ *       down, so that no new traffic is sent to it.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Ready to take traffic
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     checks:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: string
+ *                         enum: [ok, failing]
+ *                       example:
+ *                         storage: ok
+ *                         jwtKeys: ok
+ *       503:
+ *         description: A check failed, or the server is shutting down
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Problem'
+ *                 - type: object
+ *                   properties:
+ *                     checks:
+ *                       type: object
+ *                       description: Result of each check; left out while shutting down
+ *                       additionalProperties:
+ *                         type: string
+ *                         enum: [ok, failing]
+ *                       example:
+ *                         storage: failing
+ *                         jwtKeys: ok
+ */
+router.get('/readyz', asyncHandler(async (req, res) => {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (isShuttingDown()) {
+    throw new ServiceUnavailableError('Shutting down', { code: ERROR_CODES.SHUTTING_DOWN });
+  }
+
+  const checks = {};
+
+  for (const [name, check] of Object.entries(READINESS_CHECKS)) {
+    try {
+      await check();
+      checks[name] = 'ok';
+    } catch (error) {
+      // The reason is logged rather than returned, as probes are unauthenticated
+      logger.warn(`Readiness check ${name} failed`, { check: name, err: error });
+      checks[name] = 'failing';
+    }
+  }
+
+  if (!Object.values(checks).every(result => result === 'ok')) {
+    throw new ServiceUnavailableError('Not ready', { code: ERROR_CODES.NOT_READY, extensions: { checks } });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      checks
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const metricsConfig = require('../config/metrics');
+const { CONTENT_TYPE, renderMetrics } = require('../utils/metrics');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { ERROR_CODES, AuthenticationError } = require('../utils/errors');
+
+// Compare the Bearer token of a request with METRICS_TOKEN in constant time
+const hasMetricsToken = (req) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : '';
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+
+  return crypto.timingSafeEqual(digest(token), digest(metricsConfig.token));
+};
+
+// Prometheus scrape endpoint. Deliberately left out of the Swagger docs, as
+// it is meant for monitoring rather than API clients
+router.get('/', asyncHandler(async (req, res) => {
+  if (metricsConfig.token && !hasMetricsToken(req)) {
+    throw new AuthenticationError('Invalid or missing metrics token', {
+      code: ERROR_CODES.INVALID_METRICS_TOKEN,
+      headers: { 'WWW-Authenticate': 'Bearer realm="metrics"' }
+    });
+  }
+
+  // Sent as a buffer, as Express would otherwise rewrite the content type
+  res.setHeader('Content-Type', CONTENT_TYPE);
+  res.status(200).send(Buffer.from(await renderMetrics()));
+}));
+
+module.exports = router;
@@ -1,7 +1,23 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize, requireScopes, rejectApiKeys } = require('../middleware/auth');
+const { asyncHandler } = require('../middleware/asyncHandler');
+const { ERROR_CODES, BadRequestError, AuthenticationError, ForbiddenError, NotFoundError } = require('../utils/errors');
 const User = require('../models/User');
+const { ROLES } = require('../config/roles');
+const { SCOPES } = require('../config/apiKeys');
+const { issueEmailVerification } = require('../utils/accountEmails');
+const { parseSort, encodeCursor, decodeCursor, buildLinkHeader } = require('../utils/pagination');
+
+// Page size of the user list when no limit is given
+const DEFAULT_PAGE_SIZE = 20;
+
+// Admins may act on any user, everyone else only on themselves
+const isSelfOrAdmin = (req, userId) =>
+  req.user.id === userId || req.user.roles.includes(ROLES.ADMIN);
+
+// Keep only the requested fields of a user
+const pickFields = (user, fields) => Object.fromEntries(fields.map(field => [field, user[field]]));
 
 /**
  * @swagger
@@ -15,13 +31,90 @@ const User = require('../models/User');
  * /api/users:
  *   get:
  *     summary: Returns a list of users
- *     description: Retrieves a list of users from the server
+ *     description: >
+ *       Retrieves a page of users (**Required role:** admin). Pages are selected
+ *       either by number with `page`, or with the `cursor` of the previous page,
+ *       which stays stable while users are added or deleted. The `Link` header
+ *       holds the URLs of the first, previous, next and last pages (only first and
+ *       next when paging with cursors).
  *     tags: [Users]
+ *     x-required-roles: [admin]
+ *     x-required-scopes: [users:read]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         description: Number of users per page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: page
+ *         description: Page number, starting at 1. Cannot be combined with cursor
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: cursor
+ *         description: The nextCursor of the previous page. Only valid with the same sort
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: username
+ *         description: Only users whose username contains this text, ignoring case
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *       - in: query
+ *         name: email
+ *         description: Only users whose email address contains this text, ignoring case
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *       - in: query
+ *         name: createdAfter
+ *         description: Only users who registered after this moment
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdBefore
+ *         description: Only users who registered before this moment
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: sort
+ *         description: >
+ *           Comma-separated fields to sort by; prefix a field with `-` for descending
+ *           order. Text is sorted ignoring case, and ties are ordered by id.
+ *         schema:
+ *           type: string
+ *           pattern: '^-?(id|username|email|emailVerified|twoFactorEnabled|createdAt)(,-?(id|username|email|emailVerified|twoFactorEnabled|createdAt))*$'
+ *           default: id
+ *         example: -createdAt,username
+ *       - in: query
+ *         name: fields
+ *         description: Comma-separated fields to return for each user; all fields if omitted
+ *         schema:
+ *           type: string
+ *           pattern: '^(id|username|email|emailVerified|twoFactorEnabled|roles|createdAt)(,(id|username|email|emailVerified|twoFactorEnabled|roles|createdAt))*$'
+ *         example: id,username
  *     responses:
  *       200:
- *         description: A list of users
+ *         description: A page of users
+ *         headers:
+ *           Link:
+ *             description: URLs of other pages (RFC 8288), with rel first, prev, next and last
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -33,28 +126,108 @@ const User = require('../models/User');
  *                 data:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: integer
- *                         example: 1
- *                       username:
- *                         type: string
- *                         example: John Doe
- *                       email:
- *                         type: string
- *                         example: john@example.com
+ *                     $ref: '#/components/schemas/User'
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     limit:
+ *                       type: integer
+ *                       example: 20
+ *                     total:
+ *                       type: integer
+ *                       description: Number of users matching the filters
+ *                       example: 42
+ *                     page:
+ *                       type: integer
+ *                       description: Current page; not set when paging with cursors
+ *                       example: 1
+ *                     totalPages:
+ *                       type: integer
+ *                       description: Number of pages; not set when paging with cursors
+ *                       example: 3
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Cursor of the next page; null on the last page
+ *       400:
+ *         description: Validation error, invalid cursor, or both page and cursor given
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *       401:
  *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the admin role
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
-router.get('/', authenticate, (req, res) => {
-  const users = User.getAll();
-  
+router.get('/', authenticate, authorize(ROLES.ADMIN), requireScopes(SCOPES.USERS_READ), asyncHandler(async (req, res) => {
+  const { cursor, username, email, createdAfter, createdBefore, fields } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PAGE_SIZE;
+  const page = req.query.page ? parseInt(req.query.page) : 1;
+  const sort = parseSort(req.query.sort);
+
+  if (cursor !== undefined && req.query.page !== undefined) {
+    throw new BadRequestError('Use either page or cursor, not both', { code: ERROR_CODES.CONFLICTING_PAGINATION });
+  }
+
+  const after = cursor !== undefined ? decodeCursor(cursor, sort) : null;
+
+  if (cursor !== undefined && !after) {
+    throw new BadRequestError('Invalid cursor. Cursors only work with the sort they were returned for.', {
+      code: ERROR_CODES.INVALID_CURSOR
+    });
+  }
+
+  const { users, hasMore, total } = await User.query({
+    filters: {
+      username,
+      email,
+      createdAfter: createdAfter && new Date(createdAfter).toISOString(),
+      createdBefore: createdBefore && new Date(createdBefore).toISOString()
+    },
+    sort,
+    limit,
+    offset: (page - 1) * limit,
+    after
+  });
+
+  const nextCursor = hasMore ? encodeCursor(users[users.length - 1], sort) : null;
+  const totalPages = Math.ceil(total / limit);
+  let meta;
+  let links;
+
+  if (after) {
+    meta = { limit, total, nextCursor };
+    links = {
+      first: { cursor: null },
+      next: nextCursor && { cursor: nextCursor }
+    };
+  } else {
+    meta = { limit, total, page, totalPages, nextCursor };
+    links = {
+      first: { page: null },
+      prev: page > 1 && { page: Math.min(page - 1, Math.max(totalPages, 1)) },
+      next: hasMore && { page: page + 1 },
+      last: { page: Math.max(totalPages, 1) }
+    };
+  }
+
+  res.append('Link', buildLinkHeader(req, links));
+
   res.status(200).json({
     status: 'success',
-    data: users
+    data: fields ? users.map(user => pickFields(user, fields.split(','))) : users,
+    meta
   });
-});
+}));
 
 /**
  * @swagger
@@ -63,8 +236,11 @@ router.get('/', authenticate, (req, res) => {
  *     summary: Get current user profile
  *     description: Retrieves the profile of the current authenticated user
  *     tags: [Users]
+ *     x-required-roles: [user]
+ *     x-required-scopes: [users:read]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     responses:
  *       200:
  *         description: User profile
@@ -88,25 +264,284 @@ router.get('/', authenticate, (req, res) => {
  *                     email:
  *                       type: string
  *                       example: john@example.com
+ *                     emailVerified:
+ *                       type: boolean
+ *                       example: true
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [user]
  *       401:
  *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and the users:read scope for API keys
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
-router.get('/profile', authenticate, (req, res) => {
+router.get('/profile', authenticate, authorize(ROLES.USER), requireScopes(SCOPES.USERS_READ), (req, res) => {
   res.status(200).json({
     status: 'success',
     data: req.user
   });
 });
 
+/**
+ * @swagger
+ * /api/users/profile:
+ *   patch:
+ *     summary: Update current user profile
+ *     description: Updates the username and/or email of the current authenticated user. Changing the email marks it as unverified and sends a new verification email.
+ *     tags: [Users]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               username:
+ *                 type: string
+ *                 minLength: 3
+ *                 maxLength: 30
+ *               email:
+ *                 type: string
+ *                 format: email
+ *             example:
+ *               username: janedoe
+ *               email: jane@example.com
+ *     responses:
+ *       200:
+ *         description: Updated user profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Profile updated successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     username:
+ *                       type: string
+ *                       example: janedoe
+ *                     email:
+ *                       type: string
+ *                       example: jane@example.com
+ *                     emailVerified:
+ *                       type: boolean
+ *                       example: true
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [user]
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       409:
+ *         description: Username or email already in use
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.patch('/profile', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const { username, email } = req.body;
+
+  const user = await User.update(req.user.id, { username, email });
+
+  // A changed email address has to be verified again
+  if (email !== undefined && email !== req.user.email) {
+    await issueEmailVerification(user);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Profile updated successfully',
+    data: user
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/profile/password:
+ *   put:
+ *     summary: Change current user password
+ *     description: Verifies the current password, sets the new one and revokes every refresh and access token of the user
+ *     tags: [Users]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 6
+ *             example:
+ *               currentPassword: password123
+ *               newPassword: newpassword456
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Password changed successfully. Please login again.
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid token or incorrect current password
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.put('/profile/password', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await User.findById(req.user.id);
+
+  // Verify current password
+  const isMatch = await User.comparePassword(currentPassword, user.password);
+
+  if (!isMatch) {
+    throw new AuthenticationError('Current password is incorrect', { code: ERROR_CODES.INVALID_PASSWORD });
+  }
+
+  await User.changePassword(user.id, newPassword);
+
+  // Revoke every session and access token so the old password can no longer
+  // be used to stay logged in
+  await User.deleteSessions(user.id);
+  await User.revokeAllTokens(user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Password changed successfully. Please login again.'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/profile:
+ *   delete:
+ *     summary: Delete current user account
+ *     description: Permanently deletes the account of the current authenticated user
+ *     tags: [Users]
+ *     x-required-roles: [user]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Account deleted successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and cannot be called with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.delete('/profile', authenticate, authorize(ROLES.USER), rejectApiKeys, asyncHandler(async (req, res) => {
+  await User.delete(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Account deleted successfully'
+  });
+}));
+
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     summary: Get a user by ID
- *     description: Retrieves a specific user by their ID
+ *     description: Retrieves a specific user by their ID. Users may only retrieve their own account unless they have the admin role.
  *     tags: [Users]
+ *     x-required-roles: [user]
+ *     x-required-scopes: [users:read]
  *     security:
  *       - BearerAuth: []
+ *       - ApiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -137,29 +572,398 @@ router.get('/profile', authenticate, (req, res) => {
  *                     email:
  *                       type: string
  *                       example: john@example.com
+ *                     emailVerified:
+ *                       type: boolean
+ *                       example: true
+ *                     roles:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [user]
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *       401:
  *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the user role, and the admin role to retrieve another user
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *       404:
  *         description: User not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  */
-router.get('/:id', authenticate, (req, res) => {
-  const user = User.findById(parseInt(req.params.id));
-  
+router.get('/:id', authenticate, authorize(ROLES.USER), requireScopes(SCOPES.USERS_READ), asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  if (!isSelfOrAdmin(req, userId)) {
+    throw new ForbiddenError('You do not have permission to perform this action.', {
+      code: ERROR_CODES.INSUFFICIENT_ROLE
+    });
+  }
+
+  const user = await User.findById(userId);
+
   if (!user) {
-    return res.status(404).json({
-      status: 'error',
-      message: 'User not found'
+    throw new NotFoundError('User not found', { code: ERROR_CODES.USER_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: User.toPublic(user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Delete a user by ID
+ *     description: >
+ *       Permanently deletes a user account. Users may only delete their own account
+ *       unless they have the admin role. API keys cannot delete the account they
+ *       belong to; log in, or use `DELETE /api/users/profile`.
+ *     tags: [Users]
+ *     x-required-roles: [user]
+ *     x-required-scopes: [users:write]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Numeric ID of the user to delete
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: User deleted successfully
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: >
+ *           Forbidden - Requires the user role, and the admin role to delete another
+ *           user. The own account cannot be deleted with an API key
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.delete('/:id', authenticate, authorize(ROLES.USER), requireScopes(SCOPES.USERS_WRITE), asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.id);
+
+  if (!isSelfOrAdmin(req, userId)) {
+    throw new ForbiddenError('You do not have permission to perform this action.', {
+      code: ERROR_CODES.INSUFFICIENT_ROLE
+    });
+  }
+
+  // Like DELETE /profile, which refuses API keys, so that a leaked key
+  // cannot delete the account it belongs to
+  if (req.apiKey && userId === req.user.id) {
+    throw new ForbiddenError('API keys cannot be used for this action. Please login.', {
+      code: ERROR_CODES.API_KEY_NOT_ALLOWED
     });
   }
-  
+
+  const deleted = await User.delete(userId);
+
+  if (!deleted) {
+    throw new NotFoundError('User not found', { code: ERROR_CODES.USER_NOT_FOUND });
+  }
+
   res.status(200).json({
     status: 'success',
-    data: {
-      id: user.id,
-      username: user.username,
-      email: user.email
-    }
+    message: 'User deleted successfully'
   });
-});
+}));
+
+/**
+ * @swagger
+ * /api/users/{id}/roles:
+ *   post:
+ *     summary: Assign a role to a user
+ *     description: Grants a role to a user (**Required role:** admin)
+ *     tags: [Users]
+ *     x-required-roles: [admin]
+ *     x-required-scopes: [users:write]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Numeric ID of the user
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *             example:
+ *               role: admin
+ *     responses:
+ *       200:
+ *         description: Role assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Role assigned successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid role
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the admin role
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/:id/roles', authenticate, authorize(ROLES.ADMIN), requireScopes(SCOPES.USERS_WRITE), asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  const user = await User.assignRole(req.params.id, role);
+
+  if (!user) {
+    throw new NotFoundError('User not found', { code: ERROR_CODES.USER_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Role assigned successfully',
+    data: user
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/{id}/roles/{role}:
+ *   delete:
+ *     summary: Revoke a role from a user
+ *     description: Removes a role from a user (**Required role:** admin)
+ *     tags: [Users]
+ *     x-required-roles: [admin]
+ *     x-required-scopes: [users:write]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Numeric ID of the user
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         description: The role to revoke
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Role revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Role revoked successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid role
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the admin role
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.delete('/:id/roles/:role', authenticate, authorize(ROLES.ADMIN), requireScopes(SCOPES.USERS_WRITE), asyncHandler(async (req, res) => {
+  const { role } = req.params;
+
+  const user = await User.revokeRole(req.params.id, role);
+
+  if (!user) {
+    throw new NotFoundError('User not found', { code: ERROR_CODES.USER_NOT_FOUND });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Role revoked successfully',
+    data: user
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/{id}/revoke-tokens:
+ *   post:
+ *     summary: Revoke all tokens of a user
+ *     description: Invalidates every outstanding access token, refresh token and API key of a user, logging them out everywhere (**Required role:** admin)
+ *     tags: [Users]
+ *     x-required-roles: [admin]
+ *     x-required-scopes: [users:write]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: Numeric ID of the user
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tokens revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: All tokens of the user have been revoked
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       403:
+ *         description: Forbidden - Requires the admin role
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ */
+router.post('/:id/revoke-tokens', authenticate, authorize(ROLES.ADMIN), requireScopes(SCOPES.USERS_WRITE), asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError('User not found', { code: ERROR_CODES.USER_NOT_FOUND });
+  }
+
+  await User.deleteSessions(user.id);
+  await User.revokeAllTokens(user.id);
+  await User.revokeApiKeys(user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'All tokens of the user have been revoked'
+  });
+}));
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+
+// Routers of version 1 of the API, served under /api/v1 and, as the
+// unversioned paths clients used before versioning, under /api
+router.use('/hello', require('../hello'));
+router.use('/users', require('../users'));
+router.use('/auth', require('../auth'));
+router.use('/audit', require('../audit'));
+
+module.exports = router;
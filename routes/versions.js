@@ -0,0 +1,36 @@
+const path = require('path');
+
+/**
+ * Versions of the API, oldest first
+ * Each version is served under /api/<name> by its own router, and
+ * documented by the @swagger blocks of the route files in `apis`, where
+ * paths are written as /api/... and served as /api/<name>/.... Set
+ * `deprecatedAt`, and later `sunsetAt`, to ISO dates once a newer version
+ * replaces one; its responses then say so in their headers.
+ */
+const API_VERSIONS = [
+  {
+    name: 'v1',
+    router: require('./v1'),
+    apis: [
+      path.join(__dirname, 'hello.js'),
+      path.join(__dirname, 'users.js'),
+      path.join(__dirname, 'audit.js'),
+      path.join(__dirname, 'auth/*.js')
+    ],
+    deprecatedAt: null,
+    sunsetAt: null
+  }
+];
+
+// Version served at the unversioned /api paths. It must stay v1, whose
+// responses clients of those paths expect
+const UNVERSIONED_VERSION = 'v1';
+
+// Get a version by name
+const getVersion = name => API_VERSIONS.find(version => version.name === name);
+
+// Get the version replacing a deprecated one, if any
+const getSuccessor = (version) => API_VERSIONS[API_VERSIONS.indexOf(version) + 1] || null;
+
+module.exports = { API_VERSIONS, UNVERSIONED_VERSION, getVersion, getSuccessor };
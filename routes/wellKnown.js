@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { getJwks } = require('../utils/jwtKeys');
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Get the public keys that sign access tokens
+ *     description: >
+ *       JSON Web Key Set that other services can use to verify access tokens
+ *       by the `kid` in their header. Empty when tokens are signed with a
+ *       shared HS256 secret.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kty:
+ *                         type: string
+ *                         example: RSA
+ *                       kid:
+ *                         type: string
+ *                         example: 2024-06
+ *                       alg:
+ *                         type: string
+ *                         example: RS256
+ *                       use:
+ *                         type: string
+ *                         example: sig
+ */
+router.get('/jwks.json', (req, res) => {
+  // Let verifiers cache the keys, but pick up rotations within minutes
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+module.exports = router;
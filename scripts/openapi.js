@@ -0,0 +1,62 @@
+// Export the spec of every API version as openapi.json and openapi.yaml,
+// lint it, and check it against the routes the app mounts. Exits with 1
+// when a spec has problems or the routes and specs differ.
+//
+//   npm run openapi
+//   npm run openapi -- --out ./build/openapi
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createApp } = require('../app');
+const { createSwaggerDocs, UNDOCUMENTED_ROUTES } = require('../config/swagger');
+const { MemoryStore } = require('../models/stores');
+const { API_VERSIONS } = require('../routes/versions');
+const { lintSpec, listRoutes, findDrift } = require('../utils/openapi');
+
+const outIndex = process.argv.indexOf('--out');
+const outDir = path.resolve(outIndex > 0 ? process.argv[outIndex + 1] : 'openapi');
+
+// Build the app only to list its routes. Placeholder secrets let it be
+// built without a configured environment; it never serves requests
+const placeholderSecret = () => crypto.randomBytes(32).toString('hex');
+const app = createApp({
+  config: {
+    jwt: {
+      accessToken: { algorithm: 'HS256', secret: placeholderSecret() },
+      refreshToken: { secret: placeholderSecret() }
+    },
+    metrics: { enabled: true }
+  },
+  store: new MemoryStore()
+});
+
+const problems = [];
+const specs = API_VERSIONS.map((version) => {
+  const spec = createSwaggerDocs(version);
+  const dir = path.join(outDir, version.name);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'openapi.json'), `${JSON.stringify(spec, null, 2)}\n`);
+  fs.writeFileSync(path.join(dir, 'openapi.yaml'), yaml.dump(spec, { noRefs: true, lineWidth: -1 }));
+  process.stdout.write(`Wrote ${path.relative(process.cwd(), dir)}/openapi.{json,yaml}\n`);
+
+  lintSpec(spec).forEach(problem => problems.push({ ...problem, version: version.name }));
+  return spec;
+});
+
+findDrift(listRoutes(app), specs, { ignore: UNDOCUMENTED_ROUTES })
+  .forEach(problem => problems.push(problem));
+
+// Leave the settings as the environment set them
+app.locals.restore();
+
+if (problems.length > 0) {
+  process.stderr.write([
+    `${problems.length} problem${problems.length === 1 ? '' : 's'}:`,
+    ...problems.map(({ version, location, message }) => `  - ${version ? `[${version}] ` : ''}${location} ${message}`)
+  ].join('\n') + '\n');
+  process.exitCode = 1;
+} else {
+  process.stdout.write('Specs are valid and match the routes\n');
+}
@@ -0,0 +1,18 @@
+// Print the effective settings, with secrets redacted, and check them.
+// Exits with 1 when the server would refuse to start.
+//
+//   npm run config
+//   NODE_ENV=production npm run config
+const { validateConfig, describeConfig, ConfigError } = require('../config');
+
+process.stdout.write(`${JSON.stringify(describeConfig(), null, 2)}\n`);
+
+try {
+  validateConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 1;
+}
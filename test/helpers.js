@@ -0,0 +1,169 @@
+const { once } = require('events');
+const ms = require('ms');
+const { createApp } = require('../app');
+const { createStore } = require('../models/stores');
+const { setTransport } = require('../utils/mailer');
+const { setSink } = require('../utils/audit');
+const MemoryAuditSink = require('../utils/audit/memorySink');
+
+// Storage driver the tests run against, memory unless TEST_DB_DRIVER is set.
+// SQLite databases are kept in memory, so each app starts empty
+const DB_DRIVER = process.env.TEST_DB_DRIVER || 'memory';
+
+const ADMIN_EMAIL = 'admin@example.com';
+const PASSWORD = 'password123';
+
+// Settings every test app starts from, so that tests do not depend on the
+// environment or a .env file. Closing an app puts back the settings it
+// changed, so overrides made by one app do not leak into the next
+const baseConfig = () => ({
+  jwt: {
+    accessToken: { secret: 'test-access-secret-0123456789abcdef', expiresIn: '15m', algorithm: 'HS256' },
+    refreshToken: { secret: 'test-refresh-secret-0123456789abcdef', expiresIn: '7d' },
+    sessions: { max: 5 }
+  },
+  auth: {
+    requireEmailVerification: false,
+    emailVerificationToken: { expiresIn: '24h' },
+    passwordResetToken: { expiresIn: '1h' },
+    lockout: { maxAttempts: 5, duration: '15m' },
+    cookies: { enabled: false, secure: true, sameSite: 'strict', domain: undefined }
+  },
+  security: { cors: { origins: ['*'], credentials: false } },
+  roles: { adminEmails: [ADMIN_EMAIL] },
+  rateLimit: { enabled: false },
+  logging: { level: 'silent' },
+  metrics: { enabled: false }
+});
+
+// Clock that only moves when told to
+const createTestClock = (start = Date.now()) => {
+  let time = start;
+
+  return {
+    now: () => time,
+    // Move forward by milliseconds or an ms() duration such as '15m'
+    advance: (duration) => {
+      time += typeof duration === 'number' ? duration : ms(duration);
+    }
+  };
+};
+
+// Deep-merge test overrides onto the base settings
+const mergeConfig = (base, overrides) => {
+  const merged = { ...base };
+
+  Object.entries(overrides).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] ? mergeConfig(base[key], value) : value;
+  });
+
+  return merged;
+};
+
+/**
+ * Start an app on a free port with an empty store, a test clock,
+ * and mail and audit events kept in memory
+ * Returns helpers to make requests and inspect what happened; call close()
+ * when done.
+ */
+const startApp = async ({ config = {} } = {}) => {
+  const clock = createTestClock();
+  const store = createStore({ driver: DB_DRIVER, sqlite: { filename: ':memory:' } });
+  const auditSink = new MemoryAuditSink();
+  const mail = [];
+
+  setTransport({ send: async (message) => { mail.push(message); } });
+  setSink(auditSink);
+
+  const app = createApp({ config: mergeConfig(baseConfig(), config), store, clock });
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Make a request, sending `body` as JSON and `token` as a Bearer token.
+  // Resolves with the status, headers and parsed JSON body. Redirects are
+  // returned rather than followed
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('json');
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson && text ? JSON.parse(text) : text
+    };
+  };
+
+  // Register a user and return the API response data
+  const register = async (username, { email = `${username}@example.com`, password = PASSWORD } = {}) => {
+    const response = await request('POST', '/api/auth/register', { body: { username, email, password } });
+    if (response.status !== 201) {
+      throw new Error(`Could not register ${username}: ${response.status} ${JSON.stringify(response.body)}`);
+    }
+    return response.body.data.user;
+  };
+
+  // Log a user in and return the access and refresh tokens and the user
+  const login = async (usernameOrEmail, password = PASSWORD) => {
+    const response = await request('POST', '/api/auth/login', { body: { usernameOrEmail, password } });
+    if (response.status !== 200) {
+      throw new Error(`Could not log in ${usernameOrEmail}: ${response.status} ${JSON.stringify(response.body)}`);
+    }
+    return response.body.data;
+  };
+
+  // Register and log in a user
+  const registerAndLogin = async (username, options = {}) => {
+    const user = await register(username, options);
+    const tokens = await login(username, options.password);
+    return { ...tokens, user };
+  };
+
+  // Get the token of the last mail sent to an address with a subject
+  const lastMailToken = (to, subject) => {
+    const message = mail.filter(entry => entry.to === to && entry.subject === subject).pop();
+    const match = message && message.text.match(/token: (\w+)/);
+    return match ? match[1] : null;
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await store.close();
+    app.locals.restore();
+  };
+
+  return {
+    server,
+    baseUrl,
+    clock,
+    store,
+    mail,
+    auditSink,
+    request,
+    register,
+    login,
+    registerAndLogin,
+    lastMailToken,
+    close
+  };
+};
+
+module.exports = {
+  ADMIN_EMAIL,
+  PASSWORD,
+  createTestClock,
+  startApp
+};
@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ADMIN_EMAIL } = require('../helpers');
+
+describe('API keys', () => {
+  let app;
+  let admin;
+  let alice;
+
+  before(async () => {
+    app = await startApp({ config: { apiKeys: { maxPerUser: 3 } } });
+    admin = await app.registerAndLogin('admin', { email: ADMIN_EMAIL });
+    alice = await app.registerAndLogin('alice');
+  });
+
+  after(() => app.close());
+
+  const createKey = (user, body) => app.request('POST', '/api/auth/api-keys', { token: user.accessToken, body });
+  const listKeys = user => app.request('GET', '/api/auth/api-keys', { token: user.accessToken });
+  const revokeKey = (user, id) => app.request('DELETE', `/api/auth/api-keys/${id}`, { token: user.accessToken });
+
+  // Get the current user's profile with an API key in the X-API-Key header
+  const profileWithKey = key => app.request('GET', '/api/users/profile', { headers: { 'X-API-Key': key } });
+
+  it('creates a key, shown only once, that acts as its user', async () => {
+    const created = await createKey(alice, { name: 'reporting', scopes: ['users:read'] });
+
+    assert.equal(created.status, 201);
+    const { key, apiKey } = created.body.data;
+    assert.match(key, /^ssb_/);
+    assert.ok(key.startsWith(apiKey.prefix));
+    assert.equal(apiKey.name, 'reporting');
+    assert.deepEqual(apiKey.scopes, ['users:read']);
+    assert.equal(apiKey.expiresAt, null);
+
+    const byHeader = await profileWithKey(key);
+    const byBearer = await app.request('GET', '/api/users/profile', { token: key });
+    assert.equal(byHeader.status, 200);
+    assert.equal(byHeader.body.data.id, alice.user.id);
+    assert.equal(byBearer.status, 200);
+
+    const listed = await listKeys(alice);
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.data.map(entry => entry.id), [apiKey.id]);
+    assert.equal(JSON.stringify(listed.body).includes(key), false);
+    assert.ok(listed.body.data[0].lastUsedAt);
+
+    await revokeKey(alice, apiKey.id);
+  });
+
+  it('only lists the keys of the current user', async () => {
+    const created = await createKey(admin, { name: 'admin tooling', scopes: ['users:read'] });
+
+    const aliceKeys = await listKeys(alice);
+    const adminKeys = await listKeys(admin);
+
+    assert.equal(aliceKeys.body.data.some(entry => entry.id === created.body.data.apiKey.id), false);
+    assert.equal(adminKeys.body.data.some(entry => entry.id === created.body.data.apiKey.id), true);
+
+    await revokeKey(admin, created.body.data.apiKey.id);
+  });
+
+  it('only grants the scopes of the key', async () => {
+    const readKey = (await createKey(admin, { name: 'read', scopes: ['users:read'] })).body.data;
+    const writeKey = (await createKey(admin, { name: 'write', scopes: ['users:write'] })).body.data;
+
+    const listUsers = key => app.request('GET', '/api/users', { headers: { 'X-API-Key': key } });
+    const grantRole = key => app.request('POST', `/api/users/${alice.user.id}/roles`, {
+      headers: { 'X-API-Key': key },
+      body: { role: 'admin' }
+    });
+
+    assert.equal((await listUsers(readKey.key)).status, 200);
+
+    const missingRead = await listUsers(writeKey.key);
+    assert.equal(missingRead.status, 403);
+    assert.equal(missingRead.body.code, 'insufficient_scope');
+
+    const missingWrite = await grantRole(readKey.key);
+    assert.equal(missingWrite.status, 403);
+    assert.equal(missingWrite.body.code, 'insufficient_scope');
+
+    // Scopes do not lift the role checks of the user the key belongs to
+    const aliceKey = (await createKey(alice, { name: 'read', scopes: ['users:read'] })).body.data;
+    const notAdmin = await listUsers(aliceKey.key);
+    assert.equal(notAdmin.status, 403);
+    assert.equal(notAdmin.body.code, 'insufficient_role');
+
+    await revokeKey(admin, readKey.apiKey.id);
+    await revokeKey(admin, writeKey.apiKey.id);
+    await revokeKey(alice, aliceKey.apiKey.id);
+  });
+
+  it('cannot be used to manage API keys', async () => {
+    const { key, apiKey } = (await createKey(alice, { name: 'ci', scopes: ['users:read', 'users:write'] })).body.data;
+    const headers = { 'X-API-Key': key };
+
+    const responses = [
+      await app.request('GET', '/api/auth/api-keys', { headers }),
+      await app.request('POST', '/api/auth/api-keys', { headers, body: { name: 'more', scopes: ['users:read'] } }),
+      await app.request('DELETE', `/api/auth/api-keys/${apiKey.id}`, { headers })
+    ];
+
+    assert.deepEqual(responses.map(response => response.status), [403, 403, 403]);
+    assert.ok(responses.every(response => response.body.code === 'api_key_not_allowed'));
+
+    await revokeKey(alice, apiKey.id);
+  });
+
+  it('stops working once revoked', async () => {
+    const { key, apiKey } = (await createKey(alice, { name: 'temporary', scopes: ['users:read'] })).body.data;
+
+    // Other users cannot revoke it
+    const byOther = await revokeKey(admin, apiKey.id);
+    assert.equal(byOther.status, 404);
+    assert.equal(byOther.body.code, 'api_key_not_found');
+
+    const revoked = await revokeKey(alice, apiKey.id);
+    assert.equal(revoked.status, 200);
+
+    const response = await profileWithKey(key);
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'invalid_api_key');
+
+    assert.equal((await revokeKey(alice, apiKey.id)).status, 404);
+    assert.deepEqual((await listKeys(alice)).body.data, []);
+  });
+
+  it('stops working once expired', async () => {
+    const expiresAt = new Date(app.clock.now() + 60 * 1000).toISOString();
+    const { key, apiKey } = (await createKey(alice, { name: 'expiring', scopes: ['users:read'], expiresAt })).body.data;
+
+    assert.equal(apiKey.expiresAt, expiresAt);
+    assert.equal((await profileWithKey(key)).status, 200);
+
+    app.clock.advance('1m');
+
+    const response = await profileWithKey(key);
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'invalid_api_key');
+
+    await revokeKey(alice, apiKey.id);
+  });
+
+  it('rejects an expiry in the past', async () => {
+    const expiresAt = new Date(app.clock.now() - 1000).toISOString();
+
+    const response = await createKey(alice, { name: 'expired', scopes: ['users:read'], expiresAt });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'invalid_expiry');
+  });
+
+  it('rejects unknown scopes', async () => {
+    const response = await createKey(alice, { name: 'everything', scopes: ['admin'] });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'validation_failed');
+  });
+
+  it('limits the number of keys per user', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await createKey(alice, { name: `key ${i}`, scopes: ['users:read'] })).status, 201);
+    }
+
+    const response = await createKey(alice, { name: 'one too many', scopes: ['users:read'] });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'api_key_limit_reached');
+  });
+});
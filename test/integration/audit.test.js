@@ -0,0 +1,104 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setSink } = require('../../utils/audit');
+const { startApp, ADMIN_EMAIL, PASSWORD } = require('../helpers');
+
+describe('GET /api/audit', () => {
+  let app;
+  let admin;
+  let alice;
+
+  before(async () => {
+    app = await startApp();
+    admin = await app.registerAndLogin('admin', { email: ADMIN_EMAIL });
+    alice = await app.registerAndLogin('alice');
+  });
+
+  after(() => app.close());
+
+  const queryAudit = (query, token = admin.accessToken) => app.request('GET', `/api/audit?${query}`, { token });
+
+  const failLogin = usernameOrEmail => app.request('POST', '/api/auth/login', {
+    body: { usernameOrEmail, password: `not-${PASSWORD}` }
+  });
+
+  it('is only available to admins, and not with API keys', async () => {
+    const created = await app.request('POST', '/api/auth/api-keys', {
+      token: admin.accessToken,
+      body: { name: 'audit', scopes: ['users:read'] }
+    });
+
+    const anonymous = await app.request('GET', '/api/audit');
+    const user = await queryAudit('', alice.accessToken);
+    const apiKey = await app.request('GET', '/api/audit', { headers: { 'X-API-Key': created.body.data.key } });
+    const allowed = await queryAudit('');
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(user.status, 403);
+    assert.equal(user.body.code, 'insufficient_role');
+    assert.equal(apiKey.status, 403);
+    assert.equal(apiKey.body.code, 'api_key_not_allowed');
+    assert.equal(allowed.status, 200);
+  });
+
+  it('filters by user, event and outcome, newest first', async () => {
+    await failLogin('alice');
+    await failLogin('alice');
+    await failLogin('admin');
+
+    const response = await queryAudit(`userId=${alice.user.id}&event=auth.login&outcome=failure`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.meta.total, 2);
+    assert.ok(response.body.data.every(event => event.userId === alice.user.id && event.reason === 'invalid_password'));
+    assert.ok(response.body.data[0].time >= response.body.data[1].time);
+  });
+
+  it('filters by time, from inclusive and to exclusive', async () => {
+    app.clock.advance('1s');
+    const from = new Date(app.clock.now()).toISOString();
+    await failLogin('bob-does-not-exist');
+    app.clock.advance('1s');
+    const to = new Date(app.clock.now()).toISOString();
+    await failLogin('bob-does-not-exist');
+
+    const response = await queryAudit(`event=auth.login&outcome=failure&from=${from}&to=${to}`);
+
+    assert.equal(response.body.meta.total, 1);
+    assert.equal(response.body.data[0].time, from);
+  });
+
+  it('pages through events with Link headers', async () => {
+    const all = await queryAudit('limit=500');
+    const { total } = all.body.meta;
+
+    const response = await queryAudit('limit=2&page=2');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.meta, { limit: 2, total, page: 2, totalPages: Math.ceil(total / 2) });
+    assert.deepEqual(response.body.data.map(event => event.id), all.body.data.slice(2, 4).map(event => event.id));
+
+    const link = response.headers.get('link');
+    assert.match(link, /[?&]page=3[^>]*>; rel="next"/);
+    assert.match(link, /[?&]limit=2[^>]*>; rel="prev"/);
+    assert.match(link, /rel="last"/);
+  });
+
+  it('rejects invalid filters', async () => {
+    const response = await queryAudit('outcome=maybe');
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'validation_failed');
+  });
+
+  it('does not hold up rejected requests while their event is written', { timeout: 5000 }, async () => {
+    setSink({ append: () => new Promise(() => {}), query: async () => [], close: async () => {} });
+
+    try {
+      const response = await app.request('GET', '/api/users/profile', { token: 'not-a-token' });
+      assert.equal(response.status, 401);
+    } finally {
+      setSink(app.auditSink);
+    }
+  });
+});
@@ -0,0 +1,559 @@
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTransport, setTransport } = require('../../utils/mailer');
+const { setDestination } = require('../../utils/logger');
+const { startApp, ADMIN_EMAIL, PASSWORD } = require('../helpers');
+
+describe('Auth routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  describe('POST /api/auth/register', () => {
+    it('creates a user with the default role and mails a verification token', async () => {
+      const response = await app.request('POST', '/api/auth/register', {
+        body: { username: 'alice', email: 'alice@example.com', password: PASSWORD }
+      });
+
+      assert.equal(response.status, 201);
+      assert.equal(response.body.data.user.username, 'alice');
+      assert.equal(response.body.data.user.emailVerified, false);
+      assert.deepEqual(response.body.data.user.roles, ['user']);
+      assert.equal(response.body.data.user.password, undefined);
+      assert.ok(app.lastMailToken('alice@example.com', 'Verify your email address'));
+    });
+
+    it('makes users registering with an admin email admins', async () => {
+      const user = await app.register('rootadmin', { email: ADMIN_EMAIL });
+
+      assert.deepEqual(user.roles.sort(), ['admin', 'user']);
+    });
+
+    it('refuses a username or email already in use', async () => {
+      await app.register('bob');
+
+      const sameUsername = await app.request('POST', '/api/auth/register', {
+        body: { username: 'bob', email: 'other@example.com', password: PASSWORD }
+      });
+      const sameEmail = await app.request('POST', '/api/auth/register', {
+        body: { username: 'bobby', email: 'bob@example.com', password: PASSWORD }
+      });
+
+      assert.equal(sameUsername.status, 409);
+      assert.equal(sameUsername.body.code, 'user_exists');
+      assert.equal(sameEmail.status, 409);
+    });
+
+    it('rejects invalid input', async () => {
+      const response = await app.request('POST', '/api/auth/register', {
+        body: { username: 'carol', email: 'not-an-email', password: '123' }
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'validation_failed');
+      assert.deepEqual(response.body.errors.map(error => error.field).sort(), ['email', 'password']);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('logs in with the username or the email address', async () => {
+      await app.register('dave');
+
+      const byUsername = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'dave', password: PASSWORD }
+      });
+      const byEmail = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'dave@example.com', password: PASSWORD }
+      });
+
+      assert.equal(byUsername.status, 200);
+      assert.ok(byUsername.body.data.accessToken);
+      assert.ok(byUsername.body.data.refreshToken);
+      assert.equal(byUsername.body.data.user.username, 'dave');
+      assert.equal(byEmail.status, 200);
+    });
+
+    it('refuses cookie mode while it is disabled', async () => {
+      await app.register('dana');
+
+      const response = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'dana', password: PASSWORD, useCookies: true }
+      });
+
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'cookies_disabled');
+      assert.deepEqual(response.headers.getSetCookie(), []);
+    });
+
+    it('answers the same for a wrong password and an unknown user', async () => {
+      await app.register('erin');
+
+      const wrongPassword = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'erin', password: 'wrong-password' }
+      });
+      const unknownUser = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'nobody', password: PASSWORD }
+      });
+
+      assert.equal(wrongPassword.status, 401);
+      assert.equal(unknownUser.status, 401);
+      assert.deepEqual(
+        [wrongPassword.body.code, wrongPassword.body.detail],
+        [unknownUser.body.code, unknownUser.body.detail]
+      );
+    });
+
+    it('locks the account after too many failed attempts until the lock expires', async () => {
+      await app.register('frank');
+
+      for (let attempt = 1; attempt < 5; attempt++) {
+        const response = await app.request('POST', '/api/auth/login', {
+          body: { usernameOrEmail: 'frank', password: 'wrong-password' }
+        });
+        assert.equal(response.status, 401);
+      }
+
+      const locking = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'frank', password: 'wrong-password' }
+      });
+      assert.equal(locking.status, 429);
+      assert.equal(locking.headers.get('retry-after'), '900');
+
+      // Even the right password is refused while locked
+      const whileLocked = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'frank', password: PASSWORD }
+      });
+      assert.equal(whileLocked.status, 429);
+
+      app.clock.advance('15m');
+
+      const afterLock = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'frank', password: PASSWORD }
+      });
+      assert.equal(afterLock.status, 200);
+    });
+
+    it('records login attempts in the audit log', async () => {
+      const { user } = await app.registerAndLogin('grace');
+
+      const events = await app.auditSink.query({ userId: user.id, event: 'auth.login' });
+
+      assert.equal(events.length, 1);
+      assert.equal(events[0].outcome, 'success');
+      assert.equal(events[0].details.method, 'password');
+    });
+  });
+
+  describe('POST /api/auth/refresh-token', () => {
+    it('returns a new access token and rotates the refresh token', async () => {
+      const { refreshToken } = await app.registerAndLogin('heidi');
+
+      const response = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken } });
+
+      assert.equal(response.status, 200);
+      assert.ok(response.body.data.accessToken);
+      assert.notEqual(response.body.data.refreshToken, refreshToken);
+
+      const profile = await app.request('GET', '/api/users/profile', { token: response.body.data.accessToken });
+      assert.equal(profile.status, 200);
+      assert.equal(profile.body.data.username, 'heidi');
+    });
+
+    it('rejects a malformed refresh token', async () => {
+      const response = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken: 'not-a-token' } });
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'invalid_refresh_token');
+    });
+
+    it('rejects an access token passed as a refresh token', async () => {
+      const { accessToken } = await app.registerAndLogin('ivan');
+
+      const response = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken: accessToken } });
+
+      assert.equal(response.status, 401);
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('ends the session and revokes the access token', async () => {
+      const { accessToken, refreshToken } = await app.registerAndLogin('judy');
+
+      const response = await app.request('POST', '/api/auth/logout', { body: { refreshToken }, token: accessToken });
+      assert.equal(response.status, 200);
+
+      const profile = await app.request('GET', '/api/users/profile', { token: accessToken });
+      assert.equal(profile.status, 401);
+      assert.equal(profile.body.code, 'token_revoked');
+
+      const refresh = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken } });
+      assert.equal(refresh.status, 401);
+    });
+
+    it('succeeds with an invalid refresh token', async () => {
+      const response = await app.request('POST', '/api/auth/logout', { body: { refreshToken: 'not-a-token' } });
+
+      assert.equal(response.status, 200);
+    });
+
+    it('leaves the session alone when given an already rotated refresh token', async () => {
+      const { refreshToken: rotated } = await app.registerAndLogin('judith');
+      const { body } = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken: rotated } });
+
+      const response = await app.request('POST', '/api/auth/logout', { body: { refreshToken: rotated } });
+      assert.equal(response.status, 200);
+
+      const profile = await app.request('GET', '/api/users/profile', { token: body.data.accessToken });
+      const refresh = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken: body.data.refreshToken } });
+
+      assert.equal(profile.status, 200);
+      assert.equal(refresh.status, 200);
+    });
+  });
+
+  describe('Sessions', () => {
+    it('lists the sessions of the user and marks the current one', async () => {
+      await app.register('kim');
+      const first = await app.login('kim');
+      await app.login('kim');
+
+      const response = await app.request('GET', '/api/auth/sessions', { token: first.accessToken });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.length, 2);
+      assert.equal(response.body.data.filter(session => session.current).length, 1);
+    });
+
+    it('revokes another session', async () => {
+      await app.register('leo');
+      const current = await app.login('leo');
+      const other = await app.login('leo');
+
+      const sessions = await app.request('GET', '/api/auth/sessions', { token: current.accessToken });
+      const otherSession = sessions.body.data.find(session => !session.current);
+
+      const response = await app.request('DELETE', `/api/auth/sessions/${otherSession.id}`, { token: current.accessToken });
+      assert.equal(response.status, 200);
+
+      const refresh = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken: other.refreshToken } });
+      assert.equal(refresh.status, 401);
+
+      const profile = await app.request('GET', '/api/users/profile', { token: other.accessToken });
+      assert.equal(profile.status, 401);
+      assert.equal(profile.body.code, 'token_revoked');
+      assert.equal((await app.request('GET', '/api/users/profile', { token: current.accessToken })).status, 200);
+    });
+
+    it('answers 404 for a session of another user or no session', async () => {
+      const mallory = await app.registerAndLogin('mallory');
+      const victim = await app.registerAndLogin('victim');
+
+      const sessions = await app.request('GET', '/api/auth/sessions', { token: victim.accessToken });
+      const victimSessionId = sessions.body.data[0].id;
+
+      const otherUsers = await app.request('DELETE', `/api/auth/sessions/${victimSessionId}`, { token: mallory.accessToken });
+      const unknown = await app.request('DELETE', `/api/auth/sessions/${crypto.randomUUID()}`, { token: mallory.accessToken });
+
+      assert.equal(otherUsers.status, 404);
+      assert.equal(unknown.status, 404);
+    });
+
+    it('logs out every other session with logout-all', async () => {
+      await app.register('nina');
+      const current = await app.login('nina');
+      const other = await app.login('nina');
+
+      const response = await app.request('POST', '/api/auth/logout-all', { token: current.accessToken });
+      assert.equal(response.status, 200);
+
+      const otherRefresh = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken: other.refreshToken } });
+      const currentRefresh = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken: current.refreshToken } });
+
+      assert.equal(otherRefresh.status, 401);
+      assert.equal(currentRefresh.status, 200);
+
+      const otherProfile = await app.request('GET', '/api/users/profile', { token: other.accessToken });
+      const currentProfile = await app.request('GET', '/api/users/profile', { token: current.accessToken });
+
+      assert.equal(otherProfile.status, 401);
+      assert.equal(otherProfile.body.code, 'token_revoked');
+      assert.equal(currentProfile.status, 200);
+    });
+
+    it('requires authentication', async () => {
+      const response = await app.request('GET', '/api/auth/sessions');
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'missing_credentials');
+    });
+  });
+
+  describe('Password reset', () => {
+    it('mails a reset token that sets a new password once', async () => {
+      const { accessToken } = await app.registerAndLogin('oscar');
+
+      const forgot = await app.request('POST', '/api/auth/forgot-password', { body: { email: 'oscar@example.com' } });
+      assert.equal(forgot.status, 200);
+
+      const token = app.lastMailToken('oscar@example.com', 'Reset your password');
+      assert.ok(token);
+
+      // Tokens issued in an earlier second than the reset are revoked
+      app.clock.advance('1s');
+
+      const reset = await app.request('POST', '/api/auth/reset-password', { body: { token, password: 'new-password' } });
+      assert.equal(reset.status, 200);
+
+      const reused = await app.request('POST', '/api/auth/reset-password', { body: { token, password: 'other-password' } });
+      assert.equal(reused.status, 400);
+
+      const oldToken = await app.request('GET', '/api/users/profile', { token: accessToken });
+      assert.equal(oldToken.status, 401);
+
+      const oldPassword = await app.request('POST', '/api/auth/login', {
+        body: { usernameOrEmail: 'oscar', password: PASSWORD }
+      });
+      assert.equal(oldPassword.status, 401);
+
+      await app.login('oscar', 'new-password');
+    });
+
+    it('answers the same for an unknown email address without sending mail', async () => {
+      const sent = app.mail.length;
+
+      const response = await app.request('POST', '/api/auth/forgot-password', { body: { email: 'unknown@example.com' } });
+
+      assert.equal(response.status, 200);
+      assert.equal(app.mail.length, sent);
+    });
+
+    it('rejects an expired reset token', async () => {
+      await app.register('peggy');
+      await app.request('POST', '/api/auth/forgot-password', { body: { email: 'peggy@example.com' } });
+      const token = app.lastMailToken('peggy@example.com', 'Reset your password');
+
+      app.clock.advance('1h');
+
+      const response = await app.request('POST', '/api/auth/reset-password', { body: { token, password: 'new-password' } });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'invalid_reset_token');
+    });
+  });
+});
+
+describe('Auth routes with required email verification', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ config: { auth: { requireEmailVerification: true } } });
+  });
+
+  after(() => app.close());
+
+  it('refuses logins until the email address is verified', async () => {
+    await app.register('quinn');
+
+    const beforeVerifying = await app.request('POST', '/api/auth/login', {
+      body: { usernameOrEmail: 'quinn', password: PASSWORD }
+    });
+    assert.equal(beforeVerifying.status, 403);
+
+    const token = app.lastMailToken('quinn@example.com', 'Verify your email address');
+    const verify = await app.request('POST', '/api/auth/verify-email', { body: { token } });
+    assert.equal(verify.status, 200);
+
+    const { user } = await app.login('quinn');
+    assert.equal(user.emailVerified, true);
+  });
+
+  it('accepts a verification token only once', async () => {
+    await app.register('rupert');
+    const token = app.lastMailToken('rupert@example.com', 'Verify your email address');
+
+    await app.request('POST', '/api/auth/verify-email', { body: { token } });
+    const reused = await app.request('POST', '/api/auth/verify-email', { body: { token } });
+
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.code, 'invalid_verification_token');
+  });
+
+  it('rejects an expired verification token', async () => {
+    await app.register('sybil');
+    const token = app.lastMailToken('sybil@example.com', 'Verify your email address');
+
+    app.clock.advance('24h');
+
+    const response = await app.request('POST', '/api/auth/verify-email', { body: { token } });
+    assert.equal(response.status, 400);
+  });
+});
+
+describe('Auth routes in cookie mode', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ config: { auth: { cookies: { enabled: true } } } });
+  });
+
+  after(() => app.close());
+
+  // Parse the Set-Cookie headers of a response, by cookie name
+  const setCookies = response => Object.fromEntries(response.headers.getSetCookie().map((header) => {
+    const [pair, ...attributes] = header.split('; ');
+    const [name, value] = pair.split('=');
+    return [name, { value, attributes }];
+  }));
+
+  const loginWithCookies = async (usernameOrEmail) => {
+    const response = await app.request('POST', '/api/auth/login', {
+      body: { usernameOrEmail, password: PASSWORD, useCookies: true }
+    });
+    const cookies = setCookies(response);
+
+    return { response, refreshToken: cookies.refresh_token.value, csrfToken: cookies.csrf_token.value };
+  };
+
+  // Send the cookies a browser would, and the CSRF header its script would
+  const withCookies = (path, { refreshToken, csrfToken, csrfHeader = csrfToken, body }) => app.request('POST', path, {
+    body,
+    headers: {
+      Cookie: `refresh_token=${refreshToken}; csrf_token=${csrfToken}`,
+      ...(csrfHeader && { 'X-CSRF-Token': csrfHeader })
+    }
+  });
+
+  it('sets the refresh token as an HttpOnly cookie scoped to the auth routes', async () => {
+    await app.register('tess');
+
+    const { response, csrfToken } = await loginWithCookies('tess');
+    const cookies = setCookies(response);
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.accessToken);
+    assert.equal(response.body.data.refreshToken, undefined);
+    assert.equal(response.body.data.csrfToken, csrfToken);
+    ['Path=/api/auth', 'HttpOnly', 'Secure', 'SameSite=Strict'].forEach(attribute => {
+      assert.ok(cookies.refresh_token.attributes.includes(attribute), attribute);
+    });
+    assert.ok(cookies.csrf_token.attributes.includes('Path=/'));
+    assert.ok(!cookies.csrf_token.attributes.includes('HttpOnly'));
+  });
+
+  it('sets and clears the refresh token cookie on the auth routes of every API mount', async () => {
+    await app.register('ursula');
+    // Paths of the refresh token cookies of a response, and whether they are set or cleared
+    const refreshTokenCookies = response => response.headers.getSetCookie()
+      .filter(header => header.startsWith('refresh_token='))
+      .map(header => [header.match(/; Path=([^;]+)/)[1], !header.startsWith('refresh_token=;')]);
+
+    const session = await loginWithCookies('ursula');
+    const logout = await withCookies('/api/auth/logout', session);
+
+    assert.deepEqual(refreshTokenCookies(session.response), [['/api/v1/auth', true], ['/api/auth', true]]);
+    assert.deepEqual(refreshTokenCookies(logout), [['/api/v1/auth', false], ['/api/auth', false]]);
+  });
+
+  it('refreshes from the cookie with the CSRF token, rotating the cookie', async () => {
+    await app.register('uma');
+    const session = await loginWithCookies('uma');
+
+    const response = await withCookies('/api/auth/refresh-token', session);
+    const cookies = setCookies(response);
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.accessToken);
+    assert.equal(response.body.data.refreshToken, undefined);
+    assert.equal(response.body.data.csrfToken, session.csrfToken);
+    assert.notEqual(cookies.refresh_token.value, session.refreshToken);
+
+    // The rotated cookie is void, and cleared when sent again
+    const reused = await withCookies('/api/auth/refresh-token', session);
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'refresh_token_reused');
+    assert.equal(setCookies(reused).refresh_token.value, '');
+  });
+
+  it('refuses cookie-authenticated requests without the CSRF token', async () => {
+    await app.register('vera');
+    const session = await loginWithCookies('vera');
+
+    const missing = await withCookies('/api/auth/refresh-token', { ...session, csrfHeader: null });
+    const wrong = await withCookies('/api/auth/logout', { ...session, csrfHeader: 'x'.repeat(session.csrfToken.length) });
+
+    assert.equal(missing.status, 403);
+    assert.equal(missing.body.code, 'invalid_csrf_token');
+    assert.equal(wrong.status, 403);
+    assert.equal((await withCookies('/api/auth/refresh-token', session)).status, 200);
+  });
+
+  it('logs out from the cookie and clears both cookies', async () => {
+    await app.register('wendy');
+    const session = await loginWithCookies('wendy');
+
+    const response = await withCookies('/api/auth/logout', session);
+    const cookies = setCookies(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(cookies.refresh_token.value, '');
+    assert.equal(cookies.csrf_token.value, '');
+    assert.equal((await withCookies('/api/auth/refresh-token', session)).status, 401);
+  });
+
+  it('keeps JSON mode for clients sending the refresh token in the body', async () => {
+    const { refreshToken } = await app.registerAndLogin('xena');
+
+    const response = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken } });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.refreshToken);
+    assert.deepEqual(response.headers.getSetCookie(), []);
+  });
+
+  it('still requires a refresh token in the body or the cookie', async () => {
+    const response = await app.request('POST', '/api/auth/refresh-token', { body: {} });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.errors[0].field, 'refreshToken');
+  });
+});
+
+describe('Console mail transport', () => {
+  let app;
+  const lines = [];
+
+  before(async () => {
+    app = await startApp({ config: { logging: { level: 'info' } } });
+    setDestination({
+      write: (line, callback) => {
+        lines.push(line);
+        if (callback) {
+          callback();
+        }
+        return true;
+      }
+    });
+    setTransport(createTransport({ transport: 'console' }));
+  });
+
+  after(async () => {
+    setDestination(process.stdout);
+    await app.close();
+  });
+
+  it('writes mail to the log as JSON, with tokens redacted', async () => {
+    await app.register('quinn');
+    await app.request('POST', '/api/auth/forgot-password', { body: { email: 'quinn@example.com' } });
+
+    const entries = lines.filter(line => line.trim()).map(line => JSON.parse(line));
+    const mail = entries.find(entry => entry.message === 'Mail written to the log' && entry.subject === 'Reset your password');
+
+    assert.equal(mail.to, 'quinn@example.com');
+    assert.match(mail.text, /\/reset-password\?token=\[REDACTED\]\n/);
+    assert.match(mail.text, /Reset token: \[REDACTED\]\n/);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../../app');
+const { describeConfig, ConfigError } = require('../../config');
+const { types, setting, defineSettings, validateConfig } = require('../../config/schema');
+const User = require('../../models/User');
+const { MemoryStore } = require('../../models/stores');
+const { now } = require('../../utils/clock');
+const { startApp, createTestClock } = require('../helpers');
+
+describe('Configuration', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  it('redacts secrets when described', () => {
+    const config = describeConfig();
+
+    assert.equal(config.jwt.accessToken.secret, '[REDACTED]');
+    assert.equal(config.jwt.refreshToken.secret, '[REDACTED]');
+    assert.equal(config.jwt.accessToken.expiresIn, '15m');
+    assert.doesNotMatch(JSON.stringify(config), /test-access-secret/);
+  });
+
+  describe('Settings read from the environment', () => {
+    const spec = {
+      port: setting(types.integer({ min: 0, max: 65535 }), { env: 'PORT', default: 3000 }),
+      enabled: setting(types.boolean, { env: 'ENABLED', default: true }),
+      window: setting(types.milliseconds, { env: 'WINDOW', default: 60000 }),
+      secret: setting(types.secret, { env: 'SECRET', required: true }),
+      url: setting(types.url, { env: 'URL', default: values => `http://localhost:${values.port}` })
+    };
+
+    it('are parsed by type, with defaults for unset variables', () => {
+      const values = defineSettings(spec, { PORT: '8080', ENABLED: 'false', WINDOW: '15m', SECRET: 'a'.repeat(40) });
+
+      assert.deepEqual(
+        { port: values.port, enabled: values.enabled, window: values.window, url: values.url },
+        { port: 8080, enabled: false, window: 900000, url: 'http://localhost:8080' }
+      );
+    });
+
+    it('are reported when invalid', () => {
+      const values = defineSettings(spec, {
+        PORT: '99999',
+        ENABLED: 'yes',
+        WINDOW: 'soon',
+        SECRET: 'a'.repeat(40),
+        URL: 'ftp://example.com'
+      });
+
+      assert.throws(() => validateConfig({ test: values }), (error) => {
+        assert.deepEqual(error.problems.map(({ path, message }) => [path, message]), [
+          ['test.port', 'must be between 0 and 65535'],
+          ['test.enabled', 'must be true or false'],
+          ['test.window', 'must be a duration such as 15m, 1h or 7d'],
+          ['test.secret', 'is too repetitive to be a random secret'],
+          ['test.url', 'must be an http or https URL']
+        ]);
+        return true;
+      });
+    });
+  });
+
+  it('puts back the settings, store and clock an app replaced once restored', () => {
+    const settings = describeConfig();
+    const store = new MemoryStore();
+
+    const other = createApp({
+      config: { jwt: { accessToken: { expiresIn: '1m' } }, roles: { adminEmails: [] } },
+      store,
+      clock: createTestClock(0)
+    });
+
+    assert.equal(describeConfig().jwt.accessToken.expiresIn, '1m');
+    assert.equal(User.getStore(), store);
+    assert.equal(now(), 0);
+
+    other.locals.restore();
+
+    assert.deepEqual(describeConfig(), settings);
+    assert.equal(User.getStore(), app.store);
+    assert.equal(now(), app.clock.now());
+  });
+
+  it('refuses to build the app with invalid settings, reporting each of them', () => {
+    const settings = describeConfig();
+
+    assert.throws(
+      () => createApp({
+        config: {
+          jwt: { accessToken: { secret: 'short', expiresIn: 'soon' }, refreshToken: { secret: undefined } },
+          logging: { level: 'loud' }
+        }
+      }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.problems.map(({ path, env }) => [path, env]), [
+          ['jwt.accessToken.secret', 'ACCESS_TOKEN_SECRET'],
+          ['jwt.accessToken.expiresIn', 'ACCESS_TOKEN_EXPIRES_IN'],
+          ['jwt.refreshToken.secret', 'REFRESH_TOKEN_SECRET'],
+          ['logging.level', 'LOG_LEVEL']
+        ]);
+        assert.match(error.message, /jwt\.refreshToken\.secret \(REFRESH_TOKEN_SECRET\) is required/);
+        return true;
+      }
+    );
+
+    assert.deepEqual(describeConfig(), settings);
+  });
+});
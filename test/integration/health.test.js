@@ -0,0 +1,126 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { shutdown, isShuttingDown } = require('../../utils/shutdown');
+const { startApp } = require('../helpers');
+
+// Wait for the event loop to get to pending requests
+const tick = () => new Promise(resolve => setTimeout(resolve, 50));
+
+// Start a request that is held up in the store until the returned release()
+// is called
+const startHeldRequest = async (app) => {
+  const { accessToken } = await app.registerAndLogin('alice');
+  const { findSession } = app.store;
+  let release;
+  const held = new Promise(resolve => {
+    release = resolve;
+  });
+
+  app.store.findSession = async (...args) => {
+    await held;
+    return findSession.apply(app.store, args);
+  };
+
+  const inFlight = app.request('GET', '/api/users/profile', { token: accessToken });
+  await tick();
+
+  return { inFlight, release };
+};
+
+describe('Health checks', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  it('answers /healthz without checking dependencies', async () => {
+    app.store.ping = async () => {
+      throw new Error('database is down');
+    };
+
+    try {
+      const response = await app.request('GET', '/healthz');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('cache-control'), 'no-store');
+    } finally {
+      delete app.store.ping;
+    }
+  });
+
+  it('answers /readyz with the result of each check', async () => {
+    const response = await app.request('GET', '/readyz');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+    assert.deepEqual(response.body.data.checks, { storage: 'ok', jwtKeys: 'ok' });
+  });
+
+  it('answers /readyz with 503 when a dependency fails, without saying why', async () => {
+    app.store.ping = async () => {
+      throw new Error('SQLITE_CANTOPEN: /var/lib/app/data.db');
+    };
+
+    try {
+      const response = await app.request('GET', '/readyz');
+
+      assert.equal(response.status, 503);
+      assert.equal(response.body.code, 'not_ready');
+      assert.deepEqual(response.body.checks, { storage: 'failing', jwtKeys: 'ok' });
+      assert.equal(JSON.stringify(response.body).includes('SQLITE_CANTOPEN'), false);
+    } finally {
+      delete app.store.ping;
+    }
+  });
+});
+
+// Shutting down is process-wide, so these tests come after the others
+describe('Graceful shutdown', () => {
+  it('waits for in-flight requests, then cleans up', async () => {
+    const app = await startApp();
+    const { inFlight, release } = await startHeldRequest(app);
+    let cleanedUp = 0;
+    let done = false;
+
+    const stopped = shutdown(app.server, { timeoutMs: 5000, cleanup: async () => { cleanedUp++; } })
+      .then(drained => {
+        done = true;
+        return drained;
+      });
+    await tick();
+
+    assert.equal(isShuttingDown(), true);
+    assert.equal(done, false);
+    assert.equal(cleanedUp, 0);
+
+    release();
+
+    assert.equal((await inFlight).status, 200);
+    assert.equal(await stopped, true);
+    assert.equal(cleanedUp, 1);
+
+    // A server started now, for instance alongside, is not ready either
+    const other = await startApp();
+    const response = await other.request('GET', '/readyz');
+    await other.close();
+
+    assert.equal(response.status, 503);
+    assert.equal(response.body.code, 'shutting_down');
+    assert.equal(response.headers.get('connection'), 'close');
+  });
+
+  it('cuts off requests still running after the timeout', async () => {
+    const app = await startApp();
+    const { inFlight } = await startHeldRequest(app);
+    let cleanedUp = 0;
+
+    const drained = await shutdown(app.server, { timeoutMs: 100, cleanup: async () => { cleanedUp++; } });
+
+    assert.equal(drained, false);
+    assert.equal(cleanedUp, 1);
+    await assert.rejects(inFlight);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('../helpers');
+
+describe('GET /api/hello', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  it('returns a greeting without authentication', async () => {
+    const response = await app.request('GET', '/api/hello');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { message: 'Hello, world!' });
+  });
+
+  it('sets the request ID and security headers', async () => {
+    const response = await app.request('GET', '/api/hello', { headers: { 'X-Request-Id': 'test-request-1' } });
+
+    assert.equal(response.headers.get('x-request-id'), 'test-request-1');
+    assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+    assert.equal(response.headers.get('x-frame-options'), 'DENY');
+  });
+
+  it('answers 404 for unknown routes', async () => {
+    const response = await app.request('GET', '/api/hello/missing?lang=en', { headers: { 'X-Request-Id': 'test-request-2' } });
+
+    assert.equal(response.status, 404);
+    assert.match(response.headers.get('content-type'), /^application\/problem\+json/);
+    assert.deepEqual(response.body, {
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'Route not found',
+      instance: '/api/hello/missing',
+      code: 'route_not_found',
+      requestId: 'test-request-2'
+    });
+  });
+
+  it('answers malformed JSON bodies with a problem', async () => {
+    const response = await fetch(`${app.baseUrl}/api/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"usernameOrEmail":'
+    });
+    const problem = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(problem.code, 'invalid_json');
+    assert.equal(problem.detail, 'Request body is not valid JSON');
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ADMIN_EMAIL } = require('../helpers');
+
+describe('GET /metrics', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ config: { metrics: { enabled: true, token: null } } });
+  });
+
+  after(() => app.close());
+
+  // Find the value of a series of the metrics text, or undefined
+  const seriesValue = (text, series) => {
+    const line = text.split('\n').find(entry => entry.startsWith(`${series} `));
+    return line && Number(line.slice(series.length + 1));
+  };
+
+  it('labels failed requests with the full route template of nested routers', async () => {
+    const { accessToken } = await app.registerAndLogin('admin', { email: ADMIN_EMAIL });
+
+    const unauthenticated = await app.request('GET', '/api/v1/users/profile');
+    const notFound = await app.request('GET', '/api/v1/users/999', { token: accessToken });
+    assert.equal(unauthenticated.status, 401);
+    assert.equal(notFound.status, 404);
+
+    const { body } = await app.request('GET', '/metrics');
+
+    assert.equal(seriesValue(body, 'http_requests_total{method="GET",route="/api/v1/users/profile",status="401"}'), 1);
+    assert.equal(seriesValue(body, 'http_requests_total{method="GET",route="/api/v1/users/:id",status="404"}'), 1);
+    assert.ok(!body.includes('route="/:id"'));
+    assert.ok(!body.includes('route="/profile"'));
+  });
+
+  it('labels requests that matched no route as unmatched', async () => {
+    await app.request('GET', '/api/v1/nothing-here');
+
+    const { body } = await app.request('GET', '/metrics');
+
+    assert.ok(seriesValue(body, 'http_requests_total{method="GET",route="unmatched",status="404"}') >= 1);
+  });
+});
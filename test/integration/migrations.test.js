@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const SqliteStore = require('../../models/stores/sqliteStore');
+const { migrate, loadMigrations } = require('../../models/migrations');
+
+const CREATED_AT = '2024-01-01T00:00:00.000Z';
+const EXPIRES_AT = '2099-01-01T00:00:00.000Z';
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('SQLite migrations', () => {
+  let dir;
+  let filename;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    filename = path.join(dir, 'database.sqlite');
+    store = null;
+  });
+
+  afterEach(async () => {
+    if (store) {
+      await store.close();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Create a database migrated up to `version`, fill it through `seed`, and
+  // open it with the store, which applies the remaining migrations
+  const upgradeFrom = async (version, seed) => {
+    const db = new Database(filename);
+    db.pragma('foreign_keys = ON');
+    migrate(db, { to: version });
+    seed(db);
+    db.close();
+
+    store = new SqliteStore({ filename });
+    return store;
+  };
+
+  const insertUser = (db, username) => db
+    .prepare('INSERT INTO users (username, email, password, created_at) VALUES (?, ?, ?, ?)')
+    .run(username, `${username}@example.com`, 'bcrypt-hash', CREATED_AT)
+    .lastInsertRowid;
+
+  it('applies every migration once', async () => {
+    store = new SqliteStore({ filename });
+    await store.close();
+    store = new SqliteStore({ filename });
+
+    const versions = store.db.prepare('SELECT version FROM schema_migrations ORDER BY version').all();
+    assert.deepEqual(versions.map(row => row.version), loadMigrations().map(migration => migration.version));
+  });
+
+  it('keeps existing users, who get the user role and defaults for new columns', async () => {
+    await upgradeFrom(1, (db) => {
+      insertUser(db, 'alice');
+    });
+
+    const user = await store.findUserByUsername('alice');
+
+    assert.equal(user.email, 'alice@example.com');
+    assert.equal(user.password, 'bcrypt-hash');
+    assert.deepEqual(user.roles, ['user']);
+    assert.equal(user.emailVerified, false);
+    assert.equal(user.failedLoginAttempts, 0);
+    assert.equal(user.totpEnabled, false);
+  });
+
+  it('carries refresh token families over as sessions', async () => {
+    let userId;
+
+    await upgradeFrom(5, (db) => {
+      userId = insertUser(db, 'bob');
+      const insert = db.prepare(`
+        INSERT INTO refresh_tokens (user_id, token, family, used, expires_at, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      insert.run(userId, 'first-token', 'family-1', 1, EXPIRES_AT, CREATED_AT);
+      insert.run(userId, 'second-token', 'family-1', 0, EXPIRES_AT, CREATED_AT);
+    });
+
+    const session = await store.findSession('family-1');
+    assert.equal(session.userId, userId);
+    assert.equal(session.expiresAt, EXPIRES_AT);
+
+    const current = await store.findRefreshToken(sha256('second-token'));
+    assert.equal(current.sessionId, 'family-1');
+    assert.equal(current.used, false);
+    assert.equal((await store.findRefreshToken(sha256('first-token'))).used, true);
+  });
+
+  it('hashes stored refresh tokens in place, keeping their sessions', async () => {
+    let userId;
+
+    await upgradeFrom(10, (db) => {
+      userId = insertUser(db, 'carol');
+      db.prepare(`
+        INSERT INTO sessions (id, user_id, created_at, last_used_at, expires_at)
+        VALUES ('session-1', ?, ?, ?, ?)
+      `).run(userId, CREATED_AT, CREATED_AT, EXPIRES_AT);
+      db.prepare(`
+        INSERT INTO refresh_tokens (user_id, session_id, token, used, expires_at, created_at)
+        VALUES (?, 'session-1', 'plain-token', 0, ?, ?)
+      `).run(userId, EXPIRES_AT, CREATED_AT);
+    });
+
+    assert.equal(await store.findRefreshToken('plain-token'), null);
+
+    const token = await store.findRefreshToken(sha256('plain-token'));
+    assert.equal(token.userId, userId);
+    assert.equal(token.sessionId, 'session-1');
+    assert.equal(await store.markRefreshTokenUsed(sha256('plain-token')), true);
+    assert.equal(await store.markRefreshTokenUsed(sha256('plain-token')), false);
+  });
+});
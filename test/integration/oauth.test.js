@@ -0,0 +1,249 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('../helpers');
+const { startMockIssuer } = require('../mockOidcIssuer');
+
+const REDIRECT_URL = 'http://app.example.com/oauth/callback';
+
+describe('OpenID Connect login', () => {
+  let app;
+  let issuer;
+
+  before(async () => {
+    issuer = await startMockIssuer();
+    app = await startApp({
+      config: {
+        oauth: { providers: { mock: issuer.provider('mock') }, redirectUrl: REDIRECT_URL }
+      }
+    });
+  });
+
+  after(async () => {
+    await app.close();
+    await issuer.close();
+  });
+
+  // Get the value of the state cookie set by a response
+  const stateCookie = (response) => {
+    const header = response.headers.getSetCookie().find(cookie => cookie.startsWith('oauth_state='));
+    return header ? header.split(';')[0].slice('oauth_state='.length) : null;
+  };
+
+  // Follow the redirect of a flow's start to the provider, which logs in
+  // whoever signInAs() was given and sends back the path of the callback
+  const authorize = async (authorizationUrl) => {
+    const response = await fetch(authorizationUrl, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+
+    return `${callback.pathname}${callback.search}`;
+  };
+
+  // Start a login and return the state cookie and callback path
+  const startLogin = async () => {
+    const response = await app.request('GET', '/api/auth/oauth/mock');
+    assert.equal(response.status, 302);
+
+    return { cookie: stateCookie(response), callbackPath: await authorize(response.headers.get('location')) };
+  };
+
+  const callback = (callbackPath, cookie) => app.request('GET', callbackPath, {
+    headers: cookie ? { Cookie: `oauth_state=${cookie}` } : {}
+  });
+
+  // Read the parameters of the redirect to the client app
+  const appRedirect = (response) => {
+    assert.equal(response.status, 302);
+    const location = new URL(response.headers.get('location'));
+
+    assert.equal(`${location.origin}${location.pathname}`, REDIRECT_URL);
+    return Object.fromEntries(location.searchParams);
+  };
+
+  const exchange = code => app.request('POST', '/api/auth/oauth/exchange', { body: { code } });
+
+  it('sets an HttpOnly, SameSite=Lax state cookie scoped to the callback', async () => {
+    const response = await app.request('GET', '/api/auth/oauth/mock');
+    const header = response.headers.getSetCookie().find(cookie => cookie.startsWith('oauth_state='));
+
+    assert.match(header, /Path=\/api\/auth\/oauth\/mock\/callback/);
+    assert.match(header, /HttpOnly/);
+    assert.match(header, /SameSite=Lax/);
+    assert.equal(new URL(response.headers.get('location')).searchParams.get('state'), stateCookie(response));
+  });
+
+  it('logs in a new user through a one-time code', async () => {
+    issuer.signInAs({ sub: 'mock-alice', email: 'alice@example.com', email_verified: true, preferred_username: 'alice' });
+    const { cookie, callbackPath } = await startLogin();
+
+    const response = await callback(callbackPath, cookie);
+    const { code, ...others } = appRedirect(response);
+
+    assert.ok(code);
+    assert.deepEqual(others, {});
+
+    const login = await exchange(code);
+    assert.equal(login.status, 200);
+    assert.equal(login.body.data.user.email, 'alice@example.com');
+    assert.ok(login.body.data.refreshToken);
+
+    const profile = await app.request('GET', '/api/users/profile', { token: login.body.data.accessToken });
+    assert.equal(profile.status, 200);
+
+    const reused = await exchange(code);
+    assert.equal(reused.status, 400);
+    assert.equal(reused.body.code, 'invalid_oauth_code');
+  });
+
+  it('rejects login codes once expired', async () => {
+    issuer.signInAs({ sub: 'mock-bob', email: 'bob@example.com', email_verified: true });
+    const { cookie, callbackPath } = await startLogin();
+    const { code } = appRedirect(await callback(callbackPath, cookie));
+
+    app.clock.advance('1m');
+
+    assert.equal((await exchange(code)).status, 400);
+  });
+
+  it('links a provider account to the logged-in user', async () => {
+    const { accessToken } = await app.registerAndLogin('carol');
+    issuer.signInAs({ sub: 'mock-carol', email: 'carol@other.example.com', email_verified: true });
+
+    const started = await app.request('POST', '/api/auth/oauth/mock/link', { token: accessToken });
+    assert.equal(started.status, 200);
+
+    const callbackPath = await authorize(started.body.data.authorizationUrl);
+    const response = await callback(callbackPath, stateCookie(started));
+
+    assert.deepEqual(appRedirect(response), { linked: 'mock' });
+
+    const identities = await app.request('GET', '/api/auth/oauth/identities', { token: accessToken });
+    assert.deepEqual(identities.body.data.map(identity => identity.provider), ['mock']);
+  });
+
+  it('records linking in the audit log', async () => {
+    const { accessToken, user } = await app.registerAndLogin('dave');
+    issuer.signInAs({ sub: 'mock-dave', email: 'dave@example.com', email_verified: true });
+
+    const started = await app.request('POST', '/api/auth/oauth/mock/link', { token: accessToken });
+    await callback(await authorize(started.body.data.authorizationUrl), stateCookie(started));
+
+    // A second account of the same provider is refused
+    issuer.signInAs({ sub: 'mock-dave-2', email: 'dave@example.com', email_verified: true });
+    const again = await app.request('POST', '/api/auth/oauth/mock/link', { token: accessToken });
+    const refused = await callback(await authorize(again.body.data.authorizationUrl), stateCookie(again));
+    assert.equal(refused.status, 409);
+
+    const events = await app.auditSink.query({ userId: user.id, event: 'auth.oauth_link' });
+    assert.deepEqual(events.map(event => [event.outcome, event.reason, event.details.provider]), [
+      ['success', null, 'mock'],
+      ['failure', 'provider_already_linked', 'mock']
+    ]);
+  });
+
+  it('answers 404 when the linking user was deleted meanwhile', async () => {
+    const { accessToken, user } = await app.registerAndLogin('erin');
+    issuer.signInAs({ sub: 'mock-erin', email: 'erin@example.com', email_verified: true });
+
+    const started = await app.request('POST', '/api/auth/oauth/mock/link', { token: accessToken });
+    const callbackPath = await authorize(started.body.data.authorizationUrl);
+
+    // The account goes away while the callback is handled
+    const { consumeOAuthState } = app.store;
+    app.store.consumeOAuthState = async (...args) => {
+      const pending = await consumeOAuthState.apply(app.store, args);
+      await app.store.deleteUser(user.id);
+      return pending;
+    };
+
+    try {
+      const response = await callback(callbackPath, stateCookie(started));
+
+      assert.equal(response.status, 404);
+      assert.equal(response.body.code, 'user_not_found');
+    } finally {
+      app.store.consumeOAuthState = consumeOAuthState;
+    }
+
+    assert.equal(await app.store.findIdentity('mock', 'mock-erin'), null);
+    const [event] = await app.auditSink.query({ userId: user.id, event: 'auth.oauth_link' });
+    assert.equal(event.reason, 'user_not_found');
+  });
+
+  it('rejects ID tokens that expired by the clock of the app', async () => {
+    issuer.signInAs({ sub: 'mock-grace', email: 'grace@example.com', email_verified: true });
+    const { cookie, callbackPath } = await startLogin();
+
+    // Past the 5 minutes the issuer's ID tokens are valid, within the
+    // validity of the state
+    app.clock.advance('6m');
+
+    try {
+      const response = await callback(callbackPath, cookie);
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'provider_refused');
+    } finally {
+      app.clock.advance('-6m');
+    }
+  });
+
+  it('rejects a callback without the state cookie of its flow', async () => {
+    issuer.signInAs({ sub: 'mock-mallory', email: 'mallory@example.com', email_verified: true });
+    const { cookie, callbackPath } = await startLogin();
+    const other = await startLogin();
+
+    const missing = await callback(callbackPath);
+    const mismatched = await callback(callbackPath, other.cookie);
+
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'invalid_oauth_state');
+    assert.equal(mismatched.status, 400);
+    assert.equal(mismatched.body.code, 'invalid_oauth_state');
+
+    // The flow is still there for the browser that started it
+    assert.equal((await callback(callbackPath, cookie)).status, 302);
+  });
+
+  it('rejects a replayed or unknown state', async () => {
+    issuer.signInAs({ sub: 'mock-dave', email: 'dave@example.com', email_verified: true });
+    const { cookie, callbackPath } = await startLogin();
+
+    assert.equal((await callback(callbackPath, cookie)).status, 302);
+
+    const replayed = await callback(callbackPath, cookie);
+    assert.equal(replayed.status, 400);
+    assert.equal(replayed.body.code, 'invalid_oauth_state');
+
+    const unknown = await callback('/api/auth/oauth/mock/callback?code=x&state=unknown', 'unknown');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'invalid_oauth_state');
+  });
+
+  it('rejects a code issued to another flow, as its PKCE verifier does not match', async () => {
+    issuer.signInAs({ sub: 'mock-erin', email: 'erin@example.com', email_verified: true });
+    const victim = await startLogin();
+    const attacker = await startLogin();
+
+    // The victim's state and cookie, with the code of the attacker's flow
+    const state = new URLSearchParams(victim.callbackPath.split('?')[1]).get('state');
+    const code = new URLSearchParams(attacker.callbackPath.split('?')[1]).get('code');
+    const response = await callback(`/api/auth/oauth/mock/callback?code=${code}&state=${state}`, victim.cookie);
+
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'provider_refused');
+  });
+
+  it('hands users with two-factor authentication a challenge for the code', async () => {
+    issuer.signInAs({ sub: 'mock-frank', email: 'frank@example.com', email_verified: true });
+    const { cookie, callbackPath } = await startLogin();
+    const { code } = appRedirect(await callback(callbackPath, cookie));
+    const user = await app.store.findUserByEmail('frank@example.com');
+
+    await app.store.updateUser(user.id, { totpEnabled: true });
+
+    const response = await exchange(code);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.twoFactorRequired, true);
+    assert.equal(response.body.data.accessToken, undefined);
+  });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { lintSpec, listRoutes, findDrift } = require('../../utils/openapi');
+
+const run = promisify(execFile);
+
+describe('OpenAPI checks', () => {
+  it('export the spec of each version, matching the routes', async () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'openapi-'));
+
+    try {
+      const { stdout } = await run(process.execPath, [path.join(__dirname, '../../scripts/openapi.js'), '--out', outDir]);
+      const spec = JSON.parse(fs.readFileSync(path.join(outDir, 'v1/openapi.json'), 'utf8'));
+
+      assert.match(stdout, /Specs are valid and match the routes/);
+      assert.ok(spec.paths['/api/v1/auth/login']);
+      assert.match(fs.readFileSync(path.join(outDir, 'v1/openapi.yaml'), 'utf8'), /^openapi: 3\.0\.0$/m);
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+
+  it('report missing responses, schemas, examples and references', () => {
+    const problems = lintSpec({
+      paths: {
+        '/items': {
+          get: { responses: {} },
+          post: {
+            requestBody: { content: { 'application/json': { schema: { type: 'object' } } } },
+            responses: {
+              201: { content: { 'application/json': {} } },
+              400: { description: 'Invalid item', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+            }
+          }
+        }
+      },
+      components: { schemas: { Item: { type: 'object', properties: { id: { type: 'integer' } } } } }
+    });
+
+    assert.deepEqual(problems.map(({ location, message }) => `${location} ${message}`), [
+      'GET /items has no responses',
+      'POST /items response 201 has no description',
+      'POST /items response 201 (application/json) has no schema',
+      'POST /items request body (application/json) has no example',
+      '#/components/schemas/Item has no example',
+      '#/components/schemas/Error is referenced but not defined'
+    ]);
+  });
+
+  it('report routes without spec entries and spec entries without routes', () => {
+    const app = express();
+    const router = express.Router();
+
+    router.get('/', () => {});
+    router.delete('/:id', () => {});
+    app.use('/api/v1/items', router);
+    app.get('/', () => {});
+
+    const spec = {
+      paths: {
+        '/api/v1/items': { get: { responses: { 200: { description: 'Items' } } } },
+        '/api/v1/items/{id}': { patch: { responses: { 200: { description: 'Item' } } } }
+      }
+    };
+
+    assert.deepEqual(findDrift(listRoutes(app), [spec], { ignore: [/^GET \/$/] }), [
+      { location: 'DELETE /api/v1/items/{id}', message: 'is routed but has no spec entry' },
+      { location: 'PATCH /api/v1/items/{id}', message: 'is documented but has no route' }
+    ]);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, PASSWORD } = require('../helpers');
+
+describe('Rate limiting', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ config: { rateLimit: { enabled: true } } });
+  });
+
+  after(() => app.close());
+
+  // Limited to 5 requests per hour per client IP by default
+  const forgotPassword = () => app.request('POST', '/api/auth/forgot-password', { body: { email: 'nobody@example.com' } });
+
+  it('counts requests down in the RateLimit headers, then answers 429 with Retry-After', async () => {
+    const allowed = [];
+    for (let i = 0; i < 5; i++) {
+      allowed.push(await forgotPassword());
+    }
+
+    assert.deepEqual(allowed.map(response => response.status), [200, 200, 200, 200, 200]);
+    assert.deepEqual(allowed.map(response => response.headers.get('ratelimit-remaining')), ['4', '3', '2', '1', '0']);
+    assert.equal(allowed[0].headers.get('ratelimit-limit'), '5');
+    assert.equal(allowed[0].headers.get('ratelimit-reset'), '3600');
+
+    app.clock.advance('10m');
+    const limited = await forgotPassword();
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'rate_limited');
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    assert.equal(limited.headers.get('ratelimit-reset'), '3000');
+    assert.equal(limited.headers.get('retry-after'), '3000');
+  });
+
+  it('starts counting again once the window has passed', async () => {
+    app.clock.advance('1h');
+
+    const response = await forgotPassword();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('ratelimit-remaining'), '4');
+  });
+
+  it('limits login attempts per account as well as per IP address', async () => {
+    await app.register('alice');
+    const attempt = usernameOrEmail => app.request('POST', '/api/auth/login', {
+      body: { usernameOrEmail, password: `not-${PASSWORD}` }
+    });
+
+    // The account is locked after 5 wrong passwords, but each attempt
+    // still counts towards the limit of 10 per account
+    for (let i = 0; i < 10; i++) {
+      assert.notEqual((await attempt('ALICE')).status, 200);
+    }
+
+    const limited = await attempt('alice');
+    const otherAccount = await attempt('bob');
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'rate_limited');
+    assert.equal(otherAccount.status, 401);
+  });
+});
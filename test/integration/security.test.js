@@ -0,0 +1,111 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('../helpers');
+
+describe('Security policy', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({
+      config: {
+        security: {
+          cors: { origins: ['https://app.example.com'], credentials: true },
+          hsts: { maxAge: 3600 }
+        }
+      }
+    });
+  });
+
+  after(() => app.close());
+
+  describe('Headers', () => {
+    it('lock API responses down with a strict Content Security Policy', async () => {
+      const response = await app.request('GET', '/api/hello');
+
+      assert.match(response.headers.get('content-security-policy'), /^default-src 'none'; frame-ancestors 'none'/);
+      assert.equal(response.headers.get('strict-transport-security'), 'max-age=3600; includeSubDomains');
+      assert.equal(response.headers.get('referrer-policy'), 'no-referrer');
+    });
+
+    it('let Swagger UI run its own scripts, allowed by a nonce', async () => {
+      const first = await app.request('GET', '/api-docs/');
+      const second = await app.request('GET', '/api-docs/');
+
+      const policy = first.headers.get('content-security-policy');
+      const [, nonce] = policy.match(/script-src 'nonce-([^']+)'/);
+      const scripts = first.body.match(/<script[^>]*>/g);
+
+      assert.equal(first.status, 200);
+      assert.ok(scripts.length > 0);
+      scripts.forEach(script => assert.ok(script.includes(`nonce="${nonce}"`), script));
+      assert.ok(!second.headers.get('content-security-policy').includes(nonce));
+      assert.equal(first.headers.get('x-content-type-options'), 'nosniff');
+    });
+  });
+
+  describe('CORS', () => {
+    it('allows listed origins, with credentials', async () => {
+      const response = await app.request('GET', '/api/hello', { headers: { Origin: 'https://app.example.com' } });
+
+      assert.equal(response.headers.get('access-control-allow-origin'), 'https://app.example.com');
+      assert.equal(response.headers.get('access-control-allow-credentials'), 'true');
+      assert.match(response.headers.get('access-control-expose-headers'), /X-Request-Id/);
+    });
+
+    it('answers preflight requests of listed origins', async () => {
+      const response = await app.request('OPTIONS', '/api/auth/login', {
+        headers: {
+          Origin: 'https://app.example.com',
+          'Access-Control-Request-Method': 'POST',
+          'Access-Control-Request-Headers': 'content-type'
+        }
+      });
+
+      assert.equal(response.status, 204);
+      assert.equal(response.headers.get('access-control-allow-origin'), 'https://app.example.com');
+    });
+
+    it('gives other origins no CORS headers', async () => {
+      const response = await app.request('GET', '/api/hello', { headers: { Origin: 'https://evil.example.com' } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('access-control-allow-origin'), null);
+    });
+  });
+
+  describe('POST /csp-report', () => {
+    it('accepts report-uri and report-to violation reports', async () => {
+      const send = (type, report) => fetch(`${app.baseUrl}/csp-report`, {
+        method: 'POST',
+        headers: { 'Content-Type': type },
+        body: JSON.stringify(report)
+      });
+
+      const legacy = await send('application/csp-report', {
+        'csp-report': { 'document-uri': `${app.baseUrl}/api-docs/`, 'effective-directive': 'script-src-elem' }
+      });
+      const reportingApi = await send('application/reports+json', [
+        { type: 'csp-violation', body: { documentURL: `${app.baseUrl}/api-docs/`, effectiveDirective: 'img-src' } }
+      ]);
+
+      assert.equal(legacy.status, 204);
+      assert.equal(reportingApi.status, 204);
+    });
+  });
+});
+
+describe('Security settings', () => {
+  it('refuse credentials for any origin', async () => {
+    await assert.rejects(
+      startApp({ config: { security: { cors: { origins: ['*'], credentials: true } } } }),
+      /security\.cors\.credentials \(CORS_CREDENTIALS\) cannot be used with CORS_ORIGINS=\*/
+    );
+  });
+
+  it('refuse malformed origins', async () => {
+    await assert.rejects(
+      startApp({ config: { security: { cors: { origins: ['https://app.example.com/path'], credentials: false } } } }),
+      /security\.cors\.origins \(CORS_ORIGINS\) must list origins/
+    );
+  });
+});
@@ -0,0 +1,171 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createApp } = require('../../app');
+const { MemoryStore } = require('../../models/stores');
+const { startApp } = require('../helpers');
+
+const KEY_OPTIONS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'prime256v1' }]
+};
+
+// Write keys to a fresh keys directory, as <kid>.pem files
+const writeKeysDir = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+
+  Object.entries(files).forEach(([kid, key]) => {
+    fs.writeFileSync(path.join(dir, `${kid}.pem`), key.export({ type: key.type === 'private' ? 'pkcs8' : 'spki', format: 'pem' }));
+  });
+
+  return dir;
+};
+
+// Sign the claims of an issued access token again, with another key
+const resign = (token, algorithm, kid, privateKey) => {
+  const { payload } = jwt.decode(token, { complete: true });
+  return jwt.sign(payload, privateKey, { algorithm, keyid: kid });
+};
+
+for (const algorithm of ['RS256', 'ES256']) {
+  describe(`${algorithm} access tokens`, () => {
+    let app;
+    let dir;
+    const current = crypto.generateKeyPairSync(...KEY_OPTIONS[algorithm]);
+    const retired = crypto.generateKeyPairSync(...KEY_OPTIONS[algorithm]);
+
+    before(async () => {
+      // The retired key is only kept as a public key, to verify the tokens
+      // it signed before the rotation
+      dir = writeKeysDir({ current: current.privateKey, retired: retired.publicKey });
+      app = await startApp({ config: { jwt: { accessToken: { algorithm }, keys: { dir, activeKid: 'current' } } } });
+    });
+
+    after(async () => {
+      await app.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('are signed with the active key and carry its kid', async () => {
+      const { accessToken } = await app.registerAndLogin('alice');
+      const { header } = jwt.decode(accessToken, { complete: true });
+
+      assert.equal(header.alg, algorithm);
+      assert.equal(header.kid, 'current');
+      assert.doesNotThrow(() => jwt.verify(accessToken, current.publicKey, {
+        algorithms: [algorithm],
+        clockTimestamp: Math.floor(app.clock.now() / 1000)
+      }));
+
+      const profile = await app.request('GET', '/api/users/profile', { token: accessToken });
+      assert.equal(profile.status, 200);
+    });
+
+    it('publishes every key in the keys directory at /.well-known/jwks.json', async () => {
+      const response = await app.request('GET', '/.well-known/jwks.json');
+
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('cache-control'), /max-age=300/);
+
+      const keys = response.body.keys.sort((a, b) => a.kid.localeCompare(b.kid));
+      assert.deepEqual(keys.map(key => [key.kid, key.alg, key.use]), [
+        ['current', algorithm, 'sig'],
+        ['retired', algorithm, 'sig']
+      ]);
+      assert.ok(keys.every(key => key.d === undefined), 'private key material must not be published');
+
+      // Each published key verifies the tokens of its kid
+      const { accessToken } = await app.login('alice');
+      const publicKey = crypto.createPublicKey({ key: keys[0], format: 'jwk' });
+      assert.doesNotThrow(() => jwt.verify(accessToken, publicKey, {
+        algorithms: [algorithm],
+        clockTimestamp: Math.floor(app.clock.now() / 1000)
+      }));
+    });
+
+    it('picks the verification key by kid, and rejects unknown keys', async () => {
+      const { accessToken } = await app.login('alice');
+      const stranger = crypto.generateKeyPairSync(...KEY_OPTIONS[algorithm]);
+
+      const byRetiredKey = resign(accessToken, algorithm, 'retired', retired.privateKey);
+      const underWrongKid = resign(accessToken, algorithm, 'current', retired.privateKey);
+      const byUnknownKey = resign(accessToken, algorithm, 'stranger', stranger.privateKey);
+
+      const profile = token => app.request('GET', '/api/users/profile', { token });
+
+      assert.equal((await profile(byRetiredKey)).status, 200);
+      assert.equal((await profile(underWrongKid)).status, 401);
+      assert.equal((await profile(byUnknownKey)).status, 401);
+    });
+
+    it('rejects HS256 tokens, whatever their kid', async () => {
+      const { accessToken } = await app.login('alice');
+      // Signed with the public key as an HMAC secret, as in an algorithm
+      // confusion attack
+      const secret = current.publicKey.export({ type: 'spki', format: 'pem' });
+      const { payload } = jwt.decode(accessToken, { complete: true });
+      const forged = jwt.sign(payload, crypto.createSecretKey(Buffer.from(secret)), { algorithm: 'HS256', keyid: 'current' });
+
+      const response = await app.request('GET', '/api/users/profile', { token: forged });
+      assert.equal(response.status, 401);
+    });
+  });
+}
+
+describe('HS256 access tokens', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  it('carry no kid, and their secret is not published', async () => {
+    const { accessToken } = await app.registerAndLogin('alice');
+    const { header } = jwt.decode(accessToken, { complete: true });
+
+    assert.equal(header.alg, 'HS256');
+    assert.equal(header.kid, undefined);
+
+    const response = await app.request('GET', '/.well-known/jwks.json');
+    assert.deepEqual(response.body, { keys: [] });
+  });
+});
+
+describe('Signing key configuration', () => {
+  const create = jwtConfig => () => createApp({
+    config: {
+      jwt: { refreshToken: { secret: 'test-refresh-secret-0123456789abcdef' }, ...jwtConfig },
+      logging: { level: 'silent' }
+    },
+    store: new MemoryStore()
+  });
+
+  it('fails at startup without a private key for the active kid', () => {
+    const { publicKey } = crypto.generateKeyPairSync(...KEY_OPTIONS.RS256);
+    const dir = writeKeysDir({ current: publicKey });
+
+    try {
+      assert.throws(create({ accessToken: { algorithm: 'RS256' }, keys: { dir, activeKid: 'current' } }), /JWT_ACTIVE_KID/);
+      assert.throws(create({ accessToken: { algorithm: 'RS256' }, keys: { dir, activeKid: 'missing' } }), /JWT_ACTIVE_KID/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('fails at startup on keys that do not fit the algorithm', () => {
+    const { privateKey } = crypto.generateKeyPairSync(...KEY_OPTIONS.RS256);
+    const dir = writeKeysDir({ current: privateKey });
+
+    try {
+      assert.throws(create({ accessToken: { algorithm: 'ES256' }, keys: { dir, activeKid: 'current' } }), /cannot be used with ES256/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
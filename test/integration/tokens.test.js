@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const { startApp, ADMIN_EMAIL } = require('../helpers');
+
+describe('Token expiry and refresh', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  const getProfile = (accessToken) => app.request('GET', '/api/users/profile', { token: accessToken });
+  const refresh = (refreshToken) => app.request('POST', '/api/auth/refresh-token', { body: { refreshToken } });
+
+  describe('Access tokens', () => {
+    it('are accepted until they expire', async () => {
+      const { accessToken } = await app.registerAndLogin('alice');
+
+      app.clock.advance('15m');
+      app.clock.advance(-1000);
+      assert.equal((await getProfile(accessToken)).status, 200);
+
+      app.clock.advance('1s');
+      const expired = await getProfile(accessToken);
+      assert.equal(expired.status, 401);
+      assert.equal(expired.body.code, 'token_expired');
+    });
+
+    it('can be replaced with the refresh token once expired', async () => {
+      const { accessToken, refreshToken } = await app.registerAndLogin('bob');
+
+      app.clock.advance('1h');
+      assert.equal((await getProfile(accessToken)).status, 401);
+
+      const response = await refresh(refreshToken);
+      assert.equal(response.status, 200);
+      assert.equal((await getProfile(response.body.data.accessToken)).status, 200);
+    });
+
+    it('are rejected when tampered with', async () => {
+      const { accessToken } = await app.registerAndLogin('carol');
+      const [header, , signature] = accessToken.split('.');
+      const payload = Buffer.from(JSON.stringify({ userId: 1, roles: ['admin'] })).toString('base64url');
+
+      const response = await getProfile(`${header}.${payload}.${signature}`);
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'invalid_token');
+    });
+
+    it('are rejected when signed with another secret', async () => {
+      const user = await app.register('dave');
+      const forged = jwt.sign({ userId: user.id, roles: ['admin'] }, 'not-the-secret', {
+        expiresIn: '15m',
+        issuer: 'simple-swagger-backend',
+        audience: 'simple-swagger-backend-api'
+      });
+
+      assert.equal((await getProfile(forged)).status, 401);
+    });
+
+    it('are not accepted as refresh tokens, nor refresh tokens as access tokens', async () => {
+      const { accessToken, refreshToken } = await app.registerAndLogin('erin');
+
+      assert.equal((await refresh(accessToken)).status, 401);
+      assert.equal((await getProfile(refreshToken)).status, 401);
+    });
+
+    it('record why they were rejected in the audit log', async () => {
+      const { accessToken } = await app.registerAndLogin('frank');
+
+      app.clock.advance('15m');
+      await getProfile(accessToken);
+
+      const events = await app.auditSink.query({ event: 'auth.authentication_rejected' });
+      assert.equal(events.pop().reason, 'token_expired');
+    });
+  });
+
+  describe('Refresh tokens', () => {
+    it('are stored as hashes', async () => {
+      const { refreshToken } = await app.registerAndLogin('fiona');
+      const hash = crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+      assert.equal(await app.store.findRefreshToken(refreshToken), null);
+      assert.ok(await app.store.findRefreshToken(hash));
+    });
+
+    it('can be checked and removed by their plain value', async () => {
+      const { refreshToken, user } = await app.registerAndLogin('fred');
+      const other = await app.registerAndLogin('gina');
+
+      assert.equal(await User.hasRefreshToken(user.id, refreshToken), true);
+      assert.equal(await User.hasRefreshToken(other.user.id, refreshToken), false);
+      assert.ok((await User.getAll()).some(entry => entry.id === user.id && entry.password === undefined));
+
+      await User.removeRefreshToken(user.id, refreshToken);
+
+      assert.equal(await User.hasRefreshToken(user.id, refreshToken), false);
+      assert.equal((await refresh(refreshToken)).status, 401);
+    });
+
+    it('are accepted until they expire', async () => {
+      const first = await app.registerAndLogin('grace');
+      const second = await app.login('grace');
+
+      app.clock.advance('7d');
+      app.clock.advance(-1000);
+      assert.equal((await refresh(first.refreshToken)).status, 200);
+
+      app.clock.advance('1s');
+      const expired = await refresh(second.refreshToken);
+      assert.equal(expired.status, 401);
+      assert.equal(expired.body.code, 'refresh_token_expired');
+    });
+
+    it('extend the session each time they are rotated', async () => {
+      const { refreshToken } = await app.registerAndLogin('heidi');
+
+      app.clock.advance('6d');
+      const rotated = await refresh(refreshToken);
+      assert.equal(rotated.status, 200);
+
+      // Past the expiry of the first refresh token, within that of the second
+      app.clock.advance('6d');
+      assert.equal((await refresh(rotated.body.data.refreshToken)).status, 200);
+    });
+
+    it('end the session when a rotated one is used again', async () => {
+      const { refreshToken, user } = await app.registerAndLogin('ivan');
+
+      const rotated = await refresh(refreshToken);
+      assert.equal(rotated.status, 200);
+
+      const reused = await refresh(refreshToken);
+      assert.equal(reused.status, 401);
+      assert.equal(reused.body.code, 'refresh_token_reused');
+
+      // The token handed out by the rotation went with the session
+      assert.equal((await refresh(rotated.body.data.refreshToken)).status, 401);
+
+      const [event] = await app.auditSink.query({ userId: user.id, event: 'auth.token_refresh', outcome: 'failure' });
+      assert.equal(event.reason, 'token_reused');
+    });
+
+    it('can only be rotated once when used concurrently', async () => {
+      const { refreshToken } = await app.registerAndLogin('judy');
+
+      const responses = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+      assert.deepEqual(responses.map(response => response.status).sort(), [200, 401]);
+    });
+
+    it('stop working when the user is deleted', async () => {
+      const { accessToken, refreshToken } = await app.registerAndLogin('kim');
+
+      const deleted = await app.request('DELETE', '/api/users/profile', { token: accessToken });
+      assert.equal(deleted.status, 200);
+
+      assert.equal((await refresh(refreshToken)).status, 401);
+      assert.equal((await getProfile(accessToken)).status, 401);
+    });
+
+    it('are rejected when signed with another secret', async () => {
+      const user = await app.register('leo');
+      const forged = jwt.sign({ userId: user.id, sid: 'x' }, 'not-the-secret', { expiresIn: '7d' });
+
+      const response = await refresh(forged);
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'invalid_refresh_token');
+    });
+
+    it('are required', async () => {
+      const response = await app.request('POST', '/api/auth/refresh-token', { body: {} });
+
+      assert.equal(response.status, 400);
+    });
+  });
+
+  describe('Revocation', () => {
+    it('revokes access tokens issued before a password change', async () => {
+      const { accessToken, refreshToken } = await app.registerAndLogin('mallory');
+
+      app.clock.advance('1s');
+      const changed = await app.request('PUT', '/api/users/profile/password', {
+        token: accessToken,
+        body: { currentPassword: 'password123', newPassword: 'new-password' }
+      });
+      assert.equal(changed.status, 200);
+
+      const revoked = await getProfile(accessToken);
+      assert.equal(revoked.status, 401);
+      assert.equal(revoked.body.code, 'token_revoked');
+      assert.equal((await refresh(refreshToken)).status, 401);
+
+      const { accessToken: newAccessToken } = await app.login('mallory', 'new-password');
+      assert.equal((await getProfile(newAccessToken)).status, 200);
+    });
+
+    it('revokes every token of a user on request of an admin', async () => {
+      const admin = await app.registerAndLogin('admin', { email: ADMIN_EMAIL });
+      const { accessToken, refreshToken, user } = await app.registerAndLogin('nina');
+
+      app.clock.advance('1s');
+      const response = await app.request('POST', `/api/users/${user.id}/revoke-tokens`, { token: admin.accessToken });
+      assert.equal(response.status, 200);
+
+      assert.equal((await getProfile(accessToken)).status, 401);
+      assert.equal((await refresh(refreshToken)).status, 401);
+    });
+  });
+});
+
+describe('Token lifetimes from config', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({
+      config: { jwt: { accessToken: { expiresIn: '1m' }, refreshToken: { expiresIn: '10m' } } }
+    });
+  });
+
+  after(() => app.close());
+
+  it('expire access and refresh tokens after the configured durations', async () => {
+    const { accessToken, refreshToken } = await app.registerAndLogin('oscar');
+
+    app.clock.advance('1m');
+    assert.equal((await app.request('GET', '/api/users/profile', { token: accessToken })).status, 401);
+
+    app.clock.advance('9m');
+    const response = await app.request('POST', '/api/auth/refresh-token', { body: { refreshToken } });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'refresh_token_expired');
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateCode, getTimeStep } = require('../../utils/totp');
+const { startApp, PASSWORD } = require('../helpers');
+
+describe('Two-factor authentication', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  // Code an authenticator app would show now. Each code is only accepted
+  // once, so the clock is moved to the next step first
+  const currentCode = (secret) => {
+    app.clock.advance('30s');
+    return generateCode(secret, getTimeStep(app.clock.now()));
+  };
+
+  // Register a user and turn on two-factor authentication
+  const enroll = async (username) => {
+    const { accessToken } = await app.registerAndLogin(username);
+    const setup = await app.request('POST', '/api/auth/2fa/setup', { token: accessToken });
+    const { secret } = setup.body.data;
+    const confirm = await app.request('POST', '/api/auth/2fa/confirm', {
+      token: accessToken,
+      body: { code: currentCode(secret) }
+    });
+
+    return { accessToken, secret, recoveryCodes: confirm.body.data.recoveryCodes };
+  };
+
+  const challenge = async (username) => {
+    const response = await app.request('POST', '/api/auth/login', { body: { usernameOrEmail: username, password: PASSWORD } });
+    return response.body.data.challengeToken;
+  };
+
+  const verify = (challengeToken, code) => app.request('POST', '/api/auth/2fa/verify', { body: { challengeToken, code } });
+
+  it('enrolls with a code from the authenticator app', async () => {
+    const { accessToken } = await app.registerAndLogin('alice');
+
+    const setup = await app.request('POST', '/api/auth/2fa/setup', { token: accessToken });
+    assert.equal(setup.status, 200);
+    assert.match(setup.body.data.otpauthUrl, /^otpauth:\/\/totp\/.+secret=/);
+
+    const wrong = await app.request('POST', '/api/auth/2fa/confirm', { token: accessToken, body: { code: '000000' } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, 'invalid_two_factor_code');
+
+    const confirm = await app.request('POST', '/api/auth/2fa/confirm', {
+      token: accessToken,
+      body: { code: currentCode(setup.body.data.secret) }
+    });
+    assert.equal(confirm.status, 200);
+    assert.equal(confirm.body.data.recoveryCodes.length > 0, true);
+
+    const again = await app.request('POST', '/api/auth/2fa/setup', { token: accessToken });
+    assert.equal(again.body.code, 'two_factor_already_enabled');
+  });
+
+  it('asks for a code after the password, and logs in with it', async () => {
+    const { secret } = await enroll('bob');
+
+    const login = await app.request('POST', '/api/auth/login', { body: { usernameOrEmail: 'bob', password: PASSWORD } });
+    assert.equal(login.body.data.twoFactorRequired, true);
+    assert.equal(login.body.data.accessToken, undefined);
+
+    const wrong = await verify(login.body.data.challengeToken, '000000');
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, 'invalid_two_factor_code');
+
+    const response = await verify(login.body.data.challengeToken, currentCode(secret));
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.accessToken);
+  });
+
+  it('accepts each challenge token for one login only', async () => {
+    const { secret } = await enroll('carol');
+    const challengeToken = await challenge('carol');
+
+    assert.equal((await verify(challengeToken, currentCode(secret))).status, 200);
+
+    const reused = await verify(challengeToken, currentCode(secret));
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'invalid_challenge');
+
+    const failures = await app.auditSink.query({ event: 'auth.login', outcome: 'failure' });
+    assert.ok(failures.some(event => event.reason === 'challenge_used'));
+  });
+
+  it('rejects expired challenge tokens', async () => {
+    const { secret } = await enroll('dave');
+    const challengeToken = await challenge('dave');
+
+    app.clock.advance('1h');
+
+    const response = await verify(challengeToken, currentCode(secret));
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'challenge_expired');
+  });
+
+  it('logs in with each recovery code once', async () => {
+    const { recoveryCodes } = await enroll('erin');
+
+    const first = await verify(await challenge('erin'), recoveryCodes[0]);
+    const reused = await verify(await challenge('erin'), recoveryCodes[0]);
+    const second = await verify(await challenge('erin'), recoveryCodes[1]);
+
+    assert.equal(first.status, 200);
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, 'invalid_two_factor_code');
+    assert.equal(second.status, 200);
+  });
+
+  it('is disabled with the password', async () => {
+    const { accessToken } = await enroll('frank');
+    const pending = await challenge('frank');
+
+    const wrong = await app.request('POST', '/api/auth/2fa/disable', { token: accessToken, body: { password: 'wrong-password' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, 'invalid_password');
+
+    const response = await app.request('POST', '/api/auth/2fa/disable', { token: accessToken, body: { password: PASSWORD } });
+    assert.equal(response.status, 200);
+
+    const login = await app.login('frank');
+    assert.ok(login.accessToken);
+
+    // Challenges handed out before are void
+    assert.equal((await verify(pending, '123456')).status, 401);
+  });
+});
@@ -0,0 +1,348 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, ADMIN_EMAIL, PASSWORD } = require('../helpers');
+
+describe('GET /api/users', () => {
+  let app;
+  let admin;
+  let member;
+
+  before(async () => {
+    app = await startApp();
+    admin = await app.registerAndLogin('admin', { email: ADMIN_EMAIL });
+
+    for (const username of ['charlie', 'alice', 'bob', 'dave']) {
+      app.clock.advance('1m');
+      await app.register(username);
+    }
+
+    member = await app.login('alice');
+  });
+
+  after(() => app.close());
+
+  const list = (query = '', token = admin.accessToken) => app.request('GET', `/api/users${query}`, { token });
+
+  it('is only for admins', async () => {
+    assert.equal((await list('', member.accessToken)).status, 403);
+    assert.equal((await app.request('GET', '/api/users')).status, 401);
+  });
+
+  it('pages through users by ID with Link headers', async () => {
+    const response = await list('?limit=2&page=2');
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.map(user => user.username), ['alice', 'bob']);
+    assert.deepEqual(response.body.meta, {
+      limit: 2,
+      total: 5,
+      page: 2,
+      totalPages: 3,
+      nextCursor: response.body.meta.nextCursor
+    });
+
+    const link = response.headers.get('link');
+    assert.match(link, /\/api\/users\?limit=2&page=3>; rel="next"/);
+    assert.match(link, /\/api\/users\?limit=2>; rel="first"/);
+  });
+
+  it('follows cursors to the end', async () => {
+    const usernames = [];
+    let query = '?limit=2&sort=username';
+
+    for (;;) {
+      const response = await list(query);
+      assert.equal(response.status, 200);
+      usernames.push(...response.body.data.map(user => user.username));
+
+      if (!response.body.meta.nextCursor) {
+        break;
+      }
+      query = `?limit=2&sort=username&cursor=${response.body.meta.nextCursor}`;
+    }
+
+    assert.deepEqual(usernames, ['admin', 'alice', 'bob', 'charlie', 'dave']);
+  });
+
+  it('refuses a cursor used with another sort, or with a page', async () => {
+    const first = await list('?limit=2&sort=username');
+    const { nextCursor } = first.body.meta;
+
+    assert.equal((await list(`?sort=-createdAt&cursor=${nextCursor}`)).status, 400);
+    assert.equal((await list(`?sort=username&page=2&cursor=${nextCursor}`)).status, 400);
+  });
+
+  it('filters, sorts and selects fields', async () => {
+    // Users were registered a minute apart, the last one now
+    const createdAfter = new Date(app.clock.now() - 90 * 1000).toISOString();
+    const response = await list(`?createdAfter=${encodeURIComponent(createdAfter)}&sort=-createdAt&fields=username`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, [{ username: 'dave' }, { username: 'bob' }]);
+  });
+
+  it('validates query parameters', async () => {
+    assert.equal((await list('?limit=0')).status, 400);
+    assert.equal((await list('?sort=password')).status, 400);
+  });
+});
+
+describe('User routes', () => {
+  let app;
+  let admin;
+
+  before(async () => {
+    app = await startApp();
+    admin = await app.registerAndLogin('admin', { email: ADMIN_EMAIL });
+  });
+
+  after(() => app.close());
+
+  describe('GET /api/users/profile', () => {
+    it('returns the current user', async () => {
+      const { accessToken, user } = await app.registerAndLogin('alice');
+
+      const response = await app.request('GET', '/api/users/profile', { token: accessToken });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.id, user.id);
+      assert.equal(response.body.data.username, 'alice');
+    });
+
+    it('can be called with an API key that has the users:read scope', async () => {
+      const { accessToken } = await app.registerAndLogin('apikeyuser');
+      const created = await app.request('POST', '/api/auth/api-keys', {
+        token: accessToken,
+        body: { name: 'reporting', scopes: ['users:read'] }
+      });
+
+      const response = await app.request('GET', '/api/users/profile', { headers: { 'X-API-Key': created.body.data.key } });
+      const update = await app.request('PATCH', '/api/users/profile', {
+        headers: { 'X-API-Key': created.body.data.key },
+        body: { username: 'renamed' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.username, 'apikeyuser');
+      assert.equal(update.status, 403);
+    });
+  });
+
+  describe('PATCH /api/users/profile', () => {
+    it('updates the username', async () => {
+      const { accessToken } = await app.registerAndLogin('bob');
+
+      const response = await app.request('PATCH', '/api/users/profile', { token: accessToken, body: { username: 'robert' } });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.username, 'robert');
+    });
+
+    it('marks a new email address as unverified and mails a verification token', async () => {
+      const { accessToken } = await app.registerAndLogin('carol');
+      const token = app.lastMailToken('carol@example.com', 'Verify your email address');
+      await app.request('POST', '/api/auth/verify-email', { body: { token } });
+
+      const response = await app.request('PATCH', '/api/users/profile', {
+        token: accessToken,
+        body: { email: 'carol.new@example.com' }
+      });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.data.emailVerified, false);
+      assert.ok(app.lastMailToken('carol.new@example.com', 'Verify your email address'));
+    });
+
+    it('refuses a username already in use', async () => {
+      await app.register('dave');
+      const { accessToken } = await app.registerAndLogin('erin');
+
+      const response = await app.request('PATCH', '/api/users/profile', { token: accessToken, body: { username: 'dave' } });
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.code, 'user_exists');
+    });
+  });
+
+  describe('PUT /api/users/profile/password', () => {
+    it('changes the password', async () => {
+      const { accessToken } = await app.registerAndLogin('frank');
+
+      const response = await app.request('PUT', '/api/users/profile/password', {
+        token: accessToken,
+        body: { currentPassword: PASSWORD, newPassword: 'new-password' }
+      });
+
+      assert.equal(response.status, 200);
+      await app.login('frank', 'new-password');
+    });
+
+    it('requires the current password', async () => {
+      const { accessToken } = await app.registerAndLogin('grace');
+
+      const response = await app.request('PUT', '/api/users/profile/password', {
+        token: accessToken,
+        body: { currentPassword: 'wrong-password', newPassword: 'new-password' }
+      });
+
+      assert.equal(response.status, 401);
+      assert.equal(response.body.code, 'invalid_password');
+    });
+  });
+
+  describe('DELETE /api/users/profile', () => {
+    it('deletes the account', async () => {
+      const { accessToken } = await app.registerAndLogin('heidi');
+
+      const response = await app.request('DELETE', '/api/users/profile', { token: accessToken });
+      assert.equal(response.status, 200);
+
+      const login = await app.request('POST', '/api/auth/login', { body: { usernameOrEmail: 'heidi', password: PASSWORD } });
+      assert.equal(login.status, 401);
+    });
+  });
+
+  describe('GET /api/users/:id', () => {
+    it('returns the own account, or any account for admins', async () => {
+      const { accessToken, user } = await app.registerAndLogin('ivan');
+
+      const own = await app.request('GET', `/api/users/${user.id}`, { token: accessToken });
+      const asAdmin = await app.request('GET', `/api/users/${user.id}`, { token: admin.accessToken });
+
+      assert.equal(own.status, 200);
+      assert.equal(own.body.data.username, 'ivan');
+      assert.equal(asAdmin.status, 200);
+    });
+
+    it('refuses other accounts to non-admins', async () => {
+      const { accessToken } = await app.registerAndLogin('judy');
+
+      const response = await app.request('GET', `/api/users/${admin.user.id}`, { token: accessToken });
+
+      assert.equal(response.status, 403);
+    });
+
+    it('answers 404 for an unknown user and 400 for an invalid ID', async () => {
+      assert.equal((await app.request('GET', '/api/users/9999', { token: admin.accessToken })).status, 404);
+      assert.equal((await app.request('GET', '/api/users/abc', { token: admin.accessToken })).status, 400);
+    });
+  });
+
+  describe('DELETE /api/users/:id', () => {
+    it('lets admins delete any account', async () => {
+      const user = await app.register('kim');
+
+      const response = await app.request('DELETE', `/api/users/${user.id}`, { token: admin.accessToken });
+      const again = await app.request('DELETE', `/api/users/${user.id}`, { token: admin.accessToken });
+
+      assert.equal(response.status, 200);
+      assert.equal(again.status, 404);
+    });
+
+    it('lets users delete only their own account', async () => {
+      const other = await app.register('leo');
+      const { accessToken, user } = await app.registerAndLogin('mallory');
+
+      const otherAccount = await app.request('DELETE', `/api/users/${other.id}`, { token: accessToken });
+      const ownAccount = await app.request('DELETE', `/api/users/${user.id}`, { token: accessToken });
+
+      assert.equal(otherAccount.status, 403);
+      assert.equal(ownAccount.status, 200);
+    });
+
+    it('does not let API keys delete their own account', async () => {
+      const { accessToken, user } = await app.registerAndLogin('mona');
+      const created = await app.request('POST', '/api/auth/api-keys', {
+        token: accessToken,
+        body: { name: 'cleanup', scopes: ['users:write'] }
+      });
+
+      const response = await app.request('DELETE', `/api/users/${user.id}`, {
+        headers: { 'X-API-Key': created.body.data.key }
+      });
+
+      assert.equal(response.status, 403);
+      assert.equal(response.body.code, 'api_key_not_allowed');
+      assert.equal((await app.request('GET', `/api/users/${user.id}`, { token: admin.accessToken })).status, 200);
+    });
+  });
+
+  describe('Roles', () => {
+    it('lets admins assign and revoke roles', async () => {
+      const { accessToken, user } = await app.registerAndLogin('nina');
+
+      const assigned = await app.request('POST', `/api/users/${user.id}/roles`, {
+        token: admin.accessToken,
+        body: { role: 'admin' }
+      });
+      assert.equal(assigned.status, 200);
+      assert.deepEqual(assigned.body.data.roles.sort(), ['admin', 'user']);
+
+      // Roles are read from the store, so the existing token gains them at once
+      assert.equal((await app.request('GET', '/api/users', { token: accessToken })).status, 200);
+
+      const revoked = await app.request('DELETE', `/api/users/${user.id}/roles/admin`, { token: admin.accessToken });
+      assert.equal(revoked.status, 200);
+      assert.deepEqual(revoked.body.data.roles, ['user']);
+    });
+
+    it('locks users whose user role was revoked out of their account', async () => {
+      const { accessToken, user } = await app.registerAndLogin('olga');
+
+      const revoked = await app.request('DELETE', `/api/users/${user.id}/roles/user`, { token: admin.accessToken });
+      assert.equal(revoked.status, 200);
+      assert.deepEqual(revoked.body.data.roles, []);
+
+      const responses = [
+        await app.request('GET', '/api/users/profile', { token: accessToken }),
+        await app.request('PATCH', '/api/users/profile', { token: accessToken, body: { username: 'olga2' } }),
+        await app.request('GET', `/api/users/${user.id}`, { token: accessToken }),
+        await app.request('GET', '/api/auth/sessions', { token: accessToken }),
+        await app.request('POST', '/api/auth/api-keys', { token: accessToken, body: { name: 'ci', scopes: ['users:read'] } })
+      ];
+
+      assert.deepEqual(responses.map(response => response.status), [403, 403, 403, 403, 403]);
+      assert.ok(responses.every(response => response.body.code === 'insufficient_role'));
+
+      await app.request('POST', `/api/users/${user.id}/roles`, { token: admin.accessToken, body: { role: 'user' } });
+      assert.equal((await app.request('GET', '/api/users/profile', { token: accessToken })).status, 200);
+    });
+
+    it('are managed by admins only', async () => {
+      const { accessToken, user } = await app.registerAndLogin('oscar');
+
+      const assign = await app.request('POST', `/api/users/${user.id}/roles`, { token: accessToken, body: { role: 'admin' } });
+      const revoke = await app.request('DELETE', `/api/users/${admin.user.id}/roles/admin`, { token: accessToken });
+
+      assert.equal(assign.status, 403);
+      assert.equal(revoke.status, 403);
+    });
+
+    it('answers 404 for an unknown user and 400 for an unknown role', async () => {
+      const unknownUser = await app.request('POST', '/api/users/9999/roles', { token: admin.accessToken, body: { role: 'admin' } });
+      const unknownRole = await app.request('POST', `/api/users/${admin.user.id}/roles`, {
+        token: admin.accessToken,
+        body: { role: 'superuser' }
+      });
+
+      assert.equal(unknownUser.status, 404);
+      assert.equal(unknownRole.status, 400);
+    });
+  });
+
+  describe('POST /api/users/:id/revoke-tokens', () => {
+    it('is only for admins', async () => {
+      const { accessToken, user } = await app.registerAndLogin('peggy');
+
+      const response = await app.request('POST', `/api/users/${user.id}/revoke-tokens`, { token: accessToken });
+
+      assert.equal(response.status, 403);
+    });
+
+    it('answers 404 for an unknown user', async () => {
+      const response = await app.request('POST', '/api/users/9999/revoke-tokens', { token: admin.accessToken });
+
+      assert.equal(response.status, 404);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, PASSWORD } = require('../helpers');
+const { getVersion } = require('../../routes/versions');
+
+describe('API versions', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp({ config: { auth: { cookies: { enabled: true } } } });
+  });
+
+  after(() => app.close());
+
+  it('serves v1 under /api/v1 and the unversioned paths as aliases', async () => {
+    const { accessToken } = await app.registerAndLogin('alice');
+
+    const versioned = await app.request('GET', '/api/v1/users/profile', { token: accessToken });
+    const alias = await app.request('GET', '/api/users/profile', { token: accessToken });
+
+    assert.equal(versioned.status, 200);
+    assert.deepEqual(versioned.body, alias.body);
+    assert.equal(versioned.headers.get('deprecation'), null);
+  });
+
+  it('validates requests to versioned paths', async () => {
+    const response = await app.request('POST', '/api/v1/auth/register', { body: { username: 'bob' } });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'validation_failed');
+  });
+
+  it('answers 404 for unknown versions', async () => {
+    const response = await app.request('GET', '/api/v9/hello');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'route_not_found');
+  });
+
+  it('sets the refresh token cookie for the auth routes of every version', async () => {
+    await app.register('carol');
+
+    const login = await app.request('POST', '/api/v1/auth/login', {
+      body: { usernameOrEmail: 'carol', password: PASSWORD, useCookies: true }
+    });
+    const cookies = login.headers.getSetCookie().filter(header => header.startsWith('refresh_token='));
+    const aliasCookie = cookies.find(header => header.includes('; Path=/api/auth;'));
+    const csrfToken = login.body.data.csrfToken;
+
+    assert.ok(cookies.some(header => header.includes('; Path=/api/v1/auth;')), cookies.join('\n'));
+    assert.ok(aliasCookie, cookies.join('\n'));
+
+    // A session started through /api/v1 can be refreshed through the alias
+    const response = await app.request('POST', '/api/auth/refresh-token', {
+      headers: {
+        Cookie: `${aliasCookie.split(';')[0]}; csrf_token=${csrfToken}`,
+        'X-CSRF-Token': csrfToken
+      }
+    });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.accessToken);
+  });
+
+  describe('Docs', () => {
+    it('serve the spec of each version, with its paths under /api/<version>', async () => {
+      const response = await app.request('GET', '/api-docs/v1/openapi.json');
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.info.version, 'v1');
+      assert.ok(response.body.paths['/api/v1/auth/login']);
+      assert.ok(response.body.paths['/healthz']);
+      assert.equal(response.body.paths['/api/auth/login'], undefined);
+    });
+
+    it('serve one page per version and one to pick a version', async () => {
+      const versionPage = await app.request('GET', '/api-docs/v1/');
+      const versionInit = await app.request('GET', '/api-docs/v1/swagger-ui-init.js');
+      const pickerInit = await app.request('GET', '/api-docs/swagger-ui-init.js');
+
+      assert.equal(versionPage.status, 200);
+      assert.match(versionPage.body, /swagger-ui-init\.js/);
+      assert.match(versionInit.body, /"\/api\/v1\/auth\/login"/);
+      assert.match(pickerInit.body, /"url": "v1\/openapi\.json"/);
+    });
+  });
+});
+
+describe('Deprecated API versions', () => {
+  const version = getVersion('v1');
+  let app;
+
+  before(async () => {
+    Object.assign(version, { deprecatedAt: '2026-01-01T00:00:00Z', sunsetAt: '2026-12-31T23:59:59Z' });
+    app = await startApp();
+  });
+
+  after(async () => {
+    Object.assign(version, { deprecatedAt: null, sunsetAt: null });
+    await app.close();
+  });
+
+  it('answer with Deprecation and Sunset headers, on the aliases too', async () => {
+    for (const path of ['/api/v1/hello', '/api/hello']) {
+      const response = await app.request('GET', path);
+
+      assert.equal(response.headers.get('deprecation'), '@1767225600');
+      assert.equal(response.headers.get('sunset'), 'Thu, 31 Dec 2026 23:59:59 GMT');
+      assert.match(response.headers.get('link'), /<\/api-docs\/v1\/>; rel="deprecation"/);
+    }
+  });
+
+  it('answer unknown paths with 404 and the headers of the version only once', async () => {
+    const response = await app.request('GET', '/api/v1/nowhere');
+
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'route_not_found');
+    assert.equal(response.headers.get('deprecation'), '@1767225600');
+    assert.equal(response.headers.get('link').match(/rel="deprecation"/g).length, 1);
+  });
+
+  it('keep the links of paginated responses', async () => {
+    const { accessToken } = await app.registerAndLogin('admin', { email: 'admin@example.com' });
+
+    const response = await app.request('GET', '/api/v1/users?limit=1', { token: accessToken });
+
+    assert.match(response.headers.get('link'), /rel="deprecation"/);
+    assert.match(response.headers.get('link'), /rel="first"/);
+  });
+
+  it('mark their operations deprecated in the docs', async () => {
+    const response = await app.request('GET', '/api-docs/v1/openapi.json');
+
+    assert.equal(response.body.paths['/api/v1/hello'].get.deprecated, true);
+    assert.equal(response.body.paths['/healthz'].get.deprecated, undefined);
+  });
+});
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-client-secret';
+const KEY_ID = 'mock-key-1';
+
+// Read the body of a request as text
+const readBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Start an OpenID Connect provider on a free port, with discovery,
+ * authorize, token and JWKS endpoints
+ * The authorize endpoint logs in whoever was last passed to signInAs()
+ * without showing a page, and redirects straight back with a code. The
+ * token endpoint checks the client, redirect URI and PKCE verifier like a
+ * real provider, and answers with an RS256 ID token. Call close() when done.
+ */
+const startMockIssuer = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map();
+  let claims = null;
+  let issuer;
+
+  const routes = {
+    'GET /.well-known/openid-configuration': (req, res) => sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256']
+    }),
+
+    'GET /authorize': (req, res, url) => {
+      const params = Object.fromEntries(url.searchParams);
+      const code = crypto.randomBytes(16).toString('hex');
+      const redirect = new URL(params.redirect_uri);
+
+      codes.set(code, {
+        clientId: params.client_id,
+        redirectUri: params.redirect_uri,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce,
+        claims
+      });
+
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.state);
+      res.writeHead(302, { Location: redirect.toString() });
+      res.end();
+    },
+
+    'POST /token': async (req, res) => {
+      const params = new URLSearchParams(await readBody(req));
+      const credentials = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64').toString();
+      const grant = codes.get(params.get('code'));
+      const verifier = params.get('code_verifier') || '';
+
+      // Codes are single-use, like at real providers
+      codes.delete(params.get('code'));
+
+      if (credentials !== `${CLIENT_ID}:${CLIENT_SECRET}`) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+
+      if (!grant ||
+          grant.clientId !== params.get('client_id') ||
+          grant.redirectUri !== params.get('redirect_uri') ||
+          crypto.createHash('sha256').update(verifier).digest('base64url') !== grant.codeChallenge) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+      });
+
+      return sendJson(res, 200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+    },
+
+    'GET /jwks': (req, res) => sendJson(res, 200, {
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }]
+    })
+  };
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, issuer);
+    const route = routes[`${req.method} ${url.pathname}`];
+
+    if (!route) {
+      return sendJson(res, 404, { error: 'not_found' });
+    }
+
+    return Promise.resolve(route(req, res, url)).catch((error) => sendJson(res, 500, { error: error.message }));
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    // Settings of a provider using this issuer, e.g. for the `oauth.providers` config
+    provider: (name) => ({ name, issuer, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET, scopes: 'openid email profile' }),
+    // Set the claims of the user the next authorization logs in
+    signInAs: (userClaims) => {
+      claims = userClaims;
+    },
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+module.exports = { startMockIssuer };
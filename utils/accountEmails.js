@@ -0,0 +1,35 @@
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./mailer');
+const { logger } = require('./logger');
+
+// Issue a new email verification token and mail it to the user.
+// Mail failures are logged rather than thrown so they cannot fail the request
+const issueEmailVerification = async (user) => {
+  try {
+    const token = await User.createToken(
+      user.id,
+      User.TOKEN_TYPES.EMAIL_VERIFICATION,
+      authConfig.emailVerificationToken.expiresIn
+    );
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error('Failed to send verification email', { userId: user.id, err: error });
+  }
+};
+
+// Issue a new password reset token and mail it to the user
+const issuePasswordReset = async (user) => {
+  try {
+    const token = await User.createToken(
+      user.id,
+      User.TOKEN_TYPES.PASSWORD_RESET,
+      authConfig.passwordResetToken.expiresIn
+    );
+    await sendPasswordResetEmail(user, token);
+  } catch (error) {
+    logger.error('Failed to send password reset email', { userId: user.id, err: error });
+  }
+};
+
+module.exports = { issueEmailVerification, issuePasswordReset };
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { matchesAuditFilters } = require('./filters');
+
+/**
+ * Audit sink that appends events to a JSON Lines file
+ * The file is only ever appended to. Queries read it from the start, so
+ * rotate or archive it once it grows large. Appends are queued, so events
+ * are written one at a time and in order even when callers do not wait.
+ */
+class FileAuditSink {
+  constructor({ path: filePath }) {
+    this.path = path.resolve(filePath);
+    this.writes = Promise.resolve();
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+  }
+
+  append(event) {
+    const line = `${JSON.stringify(event)}\n`;
+
+    // A failed write is reported to its caller only, not to the next ones
+    const write = this.writes.catch(() => {}).then(() => fs.promises.appendFile(this.path, line, { flag: 'a' }));
+
+    this.writes = write;
+    return write;
+  }
+
+  async query(filters) {
+    if (!fs.existsSync(this.path)) {
+      return [];
+    }
+
+    const events = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.path),
+      crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        // Skip a line cut short by a crash while it was being written
+        continue;
+      }
+
+      if (matchesAuditFilters(event, filters)) {
+        events.push(event);
+      }
+    }
+
+    return events;
+  }
+
+  // Wait for the queued appends
+  async close() {
+    await this.writes.catch(() => {});
+  }
+}
+
+module.exports = FileAuditSink;
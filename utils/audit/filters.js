@@ -0,0 +1,11 @@
+// Check that an audit event matches query filters. `from` and `to` are ISO
+// timestamps; `from` is inclusive and `to` exclusive
+const matchesAuditFilters = (event, { userId, event: type, outcome, from, to } = {}) => {
+  return (userId === undefined || event.userId === userId) &&
+    (!type || event.event === type) &&
+    (!outcome || event.outcome === outcome) &&
+    (!from || event.time >= from) &&
+    (!to || event.time < to);
+};
+
+module.exports = { matchesAuditFilters };
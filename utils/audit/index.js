@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const auditConfig = require('../../config/audit');
+const { logger } = require('../logger');
+const { isoNow } = require('../clock');
+const FileAuditSink = require('./fileSink');
+const MemoryAuditSink = require('./memorySink');
+
+// Types of audited events
+const AUDIT_EVENTS = {
+  REGISTER: 'auth.register',
+  LOGIN: 'auth.login',
+  TOKEN_REFRESH: 'auth.token_refresh',
+  LOGOUT: 'auth.logout',
+  LOGOUT_ALL: 'auth.logout_all',
+  OAUTH_LINK: 'auth.oauth_link',
+  AUTHENTICATION_REJECTED: 'auth.authentication_rejected'
+};
+
+// Outcomes of audited events. A challenge is a login whose password was
+// right but that still needs a two-factor code
+const AUDIT_OUTCOMES = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  CHALLENGE: 'challenge'
+};
+
+/**
+ * Create the audit sink for the configured driver
+ * A sink is any object with async append(event), query(filters) -> events
+ * and close() methods, where events are returned oldest first and close
+ * writes out anything buffered. Sinks must never change or remove events
+ * once appended.
+ */
+const createSink = (config = auditConfig) => {
+  switch (config.sink) {
+    case 'file':
+      return new FileAuditSink(config.file);
+    case 'memory':
+      return new MemoryAuditSink();
+    default:
+      throw new Error(`Unknown audit sink: ${config.sink}`);
+  }
+};
+
+// Notified of every recorded event, e.g. to count them in metrics
+const emitter = new EventEmitter();
+
+// Call a listener with every audit event recorded from now on
+const onAuditEvent = (listener) => {
+  emitter.on('event', listener);
+};
+
+// Audit sink, created from config on first use
+let sink = null;
+
+const getSink = () => {
+  if (!sink) {
+    sink = createSink();
+  }
+  return sink;
+};
+
+// Replace the audit sink (e.g. to inspect events in tests)
+const setSink = (newSink) => {
+  sink = newSink;
+};
+
+// Close the audit sink, e.g. on shutdown
+const closeSink = async () => {
+  if (sink) {
+    await sink.close();
+    sink = null;
+  }
+};
+
+// Record an audit event for a request, with the client's IP address, user
+// agent and request ID. Failures are logged rather than thrown so they
+// cannot fail the request
+const recordAuditEvent = async (req, { event, outcome, userId = null, reason = null, details = {} }) => {
+  const entry = {
+    id: crypto.randomUUID(),
+    time: isoNow(),
+    event,
+    outcome,
+    userId,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('User-Agent') || null,
+    requestId: req.id || null,
+    details
+  };
+
+  emitter.emit('event', entry);
+
+  try {
+    await getSink().append(entry);
+  } catch (error) {
+    logger.error('Failed to record audit event', { auditEvent: entry, err: error });
+  }
+};
+
+// Find audit events matching filters (userId, event, outcome, from, to),
+// newest first
+const queryAuditEvents = async (filters = {}) => {
+  const events = await getSink().query(filters);
+  return events.reverse();
+};
+
+module.exports = {
+  AUDIT_EVENTS,
+  AUDIT_OUTCOMES,
+  createSink,
+  setSink,
+  closeSink,
+  onAuditEvent,
+  recordAuditEvent,
+  queryAuditEvents
+};
@@ -0,0 +1,23 @@
+const { matchesAuditFilters } = require('./filters');
+
+/**
+ * Audit sink that keeps events in process memory
+ * Events are lost on restart; meant for development and tests.
+ */
+class MemoryAuditSink {
+  constructor() {
+    this.events = [];
+  }
+
+  async append(event) {
+    this.events.push({ ...event });
+  }
+
+  async query(filters) {
+    return this.events.filter(event => matchesAuditFilters(event, filters)).map(event => ({ ...event }));
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryAuditSink;
@@ -0,0 +1,34 @@
+// Reads the real time
+const systemClock = {
+  now: () => Date.now()
+};
+
+// Clock that tokens, sessions, locks and other expiring records are dated
+// and checked with
+let clock = systemClock;
+
+// Replace the clock (e.g. to move time forward in tests). A clock is any
+// object with a now() method returning milliseconds since the epoch.
+// Returns the clock it replaces
+const setClock = (newClock) => {
+  const previous = clock;
+  clock = newClock || systemClock;
+  return previous;
+};
+
+// Current time in milliseconds since the epoch
+const now = () => clock.now();
+
+// Current time as an ISO 8601 string, as stored in records
+const isoNow = () => new Date(now()).toISOString();
+
+// Current time in seconds since the epoch, as in JWT claims
+const nowSeconds = () => Math.floor(now() / 1000);
+
+module.exports = {
+  systemClock,
+  setClock,
+  now,
+  isoNow,
+  nowSeconds
+};
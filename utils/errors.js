@@ -0,0 +1,208 @@
+const { STATUS_CODES } = require('http');
+
+// Machine-readable codes of every error the API answers with. Clients can
+// rely on these; messages may change
+const ERROR_CODES = {
+  // 400
+  BAD_REQUEST: 'bad_request',
+  VALIDATION_FAILED: 'validation_failed',
+  INVALID_JSON: 'invalid_json',
+  INVALID_CURSOR: 'invalid_cursor',
+  CONFLICTING_PAGINATION: 'conflicting_pagination',
+  INVALID_VERIFICATION_TOKEN: 'invalid_verification_token',
+  INVALID_RESET_TOKEN: 'invalid_reset_token',
+  INVALID_EXPIRY: 'invalid_expiry',
+  API_KEY_LIMIT_REACHED: 'api_key_limit_reached',
+  TWO_FACTOR_ALREADY_ENABLED: 'two_factor_already_enabled',
+  TWO_FACTOR_NOT_STARTED: 'two_factor_not_started',
+  INVALID_OAUTH_STATE: 'invalid_oauth_state',
+  INVALID_OAUTH_CODE: 'invalid_oauth_code',
+  PROVIDER_EMAIL_MISSING: 'provider_email_missing',
+  COOKIES_DISABLED: 'cookies_disabled',
+  // 401
+  MISSING_CREDENTIALS: 'missing_credentials',
+  INVALID_TOKEN: 'invalid_token',
+  TOKEN_EXPIRED: 'token_expired',
+  TOKEN_REVOKED: 'token_revoked',
+  INVALID_API_KEY: 'invalid_api_key',
+  INVALID_CREDENTIALS: 'invalid_credentials',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_REFRESH_TOKEN: 'invalid_refresh_token',
+  REFRESH_TOKEN_EXPIRED: 'refresh_token_expired',
+  REFRESH_TOKEN_REUSED: 'refresh_token_reused',
+  INVALID_CHALLENGE: 'invalid_challenge',
+  CHALLENGE_EXPIRED: 'challenge_expired',
+  INVALID_TWO_FACTOR_CODE: 'invalid_two_factor_code',
+  PROVIDER_REFUSED: 'provider_refused',
+  INVALID_METRICS_TOKEN: 'invalid_metrics_token',
+  // 403
+  INSUFFICIENT_ROLE: 'insufficient_role',
+  INSUFFICIENT_SCOPE: 'insufficient_scope',
+  API_KEY_NOT_ALLOWED: 'api_key_not_allowed',
+  EMAIL_NOT_VERIFIED: 'email_not_verified',
+  INVALID_CSRF_TOKEN: 'invalid_csrf_token',
+  // 404
+  ROUTE_NOT_FOUND: 'route_not_found',
+  USER_NOT_FOUND: 'user_not_found',
+  SESSION_NOT_FOUND: 'session_not_found',
+  API_KEY_NOT_FOUND: 'api_key_not_found',
+  UNKNOWN_PROVIDER: 'unknown_provider',
+  // 409
+  USER_EXISTS: 'user_exists',
+  EMAIL_CONFLICT: 'email_conflict',
+  PROVIDER_ALREADY_LINKED: 'provider_already_linked',
+  // 413, 415 and other request errors of the body parser
+  PAYLOAD_TOO_LARGE: 'payload_too_large',
+  UNSUPPORTED_MEDIA_TYPE: 'unsupported_media_type',
+  // 429
+  RATE_LIMITED: 'rate_limited',
+  ACCOUNT_LOCKED: 'account_locked',
+  // 5xx
+  INTERNAL_ERROR: 'internal_error',
+  PROVIDER_UNREACHABLE: 'provider_unreachable',
+  NOT_READY: 'not_ready',
+  SHUTTING_DOWN: 'shutting_down'
+};
+
+// Content type of error responses (RFC 7807)
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Base of the errors answered to clients
+ * Subclasses set the HTTP status and a default code. `extensions` are
+ * extra members of the problem response, such as the failing fields of a
+ * validation error; `headers` are set on the response, such as Retry-After.
+ */
+class AppError extends Error {
+  static status = 500;
+  static defaultCode = ERROR_CODES.INTERNAL_ERROR;
+
+  constructor(message, { code, status, extensions = {}, headers = {} } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status || this.constructor.status;
+    this.code = code || this.constructor.defaultCode;
+    this.extensions = extensions;
+    this.headers = headers;
+  }
+}
+
+class BadRequestError extends AppError {
+  static status = 400;
+  static defaultCode = ERROR_CODES.BAD_REQUEST;
+}
+
+// A request that does not match the schema of its operation. `errors` lists
+// the failing fields as { in, field, message }
+class ValidationError extends AppError {
+  static status = 400;
+  static defaultCode = ERROR_CODES.VALIDATION_FAILED;
+
+  constructor(message = 'Validation error', { errors, ...options } = {}) {
+    super(message, { ...options, extensions: errors ? { errors } : {} });
+  }
+}
+
+class AuthenticationError extends AppError {
+  static status = 401;
+  static defaultCode = ERROR_CODES.INVALID_CREDENTIALS;
+}
+
+class ForbiddenError extends AppError {
+  static status = 403;
+  static defaultCode = ERROR_CODES.INSUFFICIENT_ROLE;
+}
+
+class NotFoundError extends AppError {
+  static status = 404;
+  static defaultCode = ERROR_CODES.ROUTE_NOT_FOUND;
+}
+
+class ConflictError extends AppError {
+  static status = 409;
+  static defaultCode = ERROR_CODES.USER_EXISTS;
+}
+
+// Sets Retry-After to `retryAfter` seconds
+class TooManyRequestsError extends AppError {
+  static status = 429;
+  static defaultCode = ERROR_CODES.RATE_LIMITED;
+
+  constructor(message, { retryAfter, ...options } = {}) {
+    super(message, { ...options, headers: { 'Retry-After': retryAfter } });
+  }
+}
+
+// An upstream service, such as an OpenID Connect provider, failed
+class BadGatewayError extends AppError {
+  static status = 502;
+  static defaultCode = ERROR_CODES.PROVIDER_UNREACHABLE;
+}
+
+class ServiceUnavailableError extends AppError {
+  static status = 503;
+  static defaultCode = ERROR_CODES.NOT_READY;
+}
+
+// Codes of the request errors raised by Express' body parsers, by their type
+const BODY_PARSER_CODES = {
+  'entity.parse.failed': ERROR_CODES.INVALID_JSON,
+  'entity.too.large': ERROR_CODES.PAYLOAD_TOO_LARGE,
+  'charset.unsupported': ERROR_CODES.UNSUPPORTED_MEDIA_TYPE,
+  'encoding.unsupported': ERROR_CODES.UNSUPPORTED_MEDIA_TYPE
+};
+
+// Turn anything thrown while handling a request into an AppError. Messages
+// of unexpected errors are not shown to clients; client errors raised by
+// Express and its body parsers keep their status
+const toAppError = (error) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  const status = error.status || error.statusCode;
+
+  if (status >= 400 && status < 500) {
+    const message = error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : STATUS_CODES[status];
+    return new AppError(message, { status, code: BODY_PARSER_CODES[error.type] || ERROR_CODES.BAD_REQUEST });
+  }
+
+  return new AppError('Internal server error');
+};
+
+// Build the RFC 7807 problem details of an error
+const toProblem = (error, req) => ({
+  type: 'about:blank',
+  title: STATUS_CODES[error.status],
+  status: error.status,
+  detail: error.message,
+  instance: req.originalUrl.split('?')[0],
+  code: error.code,
+  requestId: req.id || null,
+  ...error.extensions
+});
+
+// Answer a request with the problem details of an error
+const sendProblem = (req, res, error) => {
+  Object.entries(error.headers).forEach(([name, value]) => res.setHeader(name, value));
+
+  res.status(error.status).type(PROBLEM_CONTENT_TYPE).json(toProblem(error, req));
+};
+
+module.exports = {
+  ERROR_CODES,
+  PROBLEM_CONTENT_TYPE,
+  AppError,
+  BadRequestError,
+  ValidationError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  BadGatewayError,
+  ServiceUnavailableError,
+  toAppError,
+  toProblem,
+  sendProblem
+};
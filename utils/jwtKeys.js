@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwtConfig = require('../config/jwt');
+
+// Key types accepted by each asymmetric algorithm
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { keyType: 'rsa' },
+  ES256: { keyType: 'ec', namedCurve: 'prime256v1' }
+};
+
+// Keys loaded from the keys directory, on first use
+let keyStore = null;
+
+// Read a PEM file holding either a private or a public key
+const readKey = (filename) => {
+  const pem = fs.readFileSync(filename, 'utf8');
+
+  try {
+    const privateKey = crypto.createPrivateKey(pem);
+    return { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  } catch (error) {
+    return { privateKey: null, publicKey: crypto.createPublicKey(pem) };
+  }
+};
+
+// Check that a key can be used with the configured algorithm
+const assertKeyType = (kid, publicKey, algorithm) => {
+  const { keyType, namedCurve } = ASYMMETRIC_ALGORITHMS[algorithm];
+  const details = publicKey.asymmetricKeyDetails || {};
+
+  if (publicKey.asymmetricKeyType !== keyType || (namedCurve && details.namedCurve !== namedCurve)) {
+    throw new Error(`JWT key "${kid}" cannot be used with ${algorithm}`);
+  }
+};
+
+/**
+ * Load the signing and verification keys for the configured algorithm
+ * Throws if the configuration is unusable, so calling it at startup makes
+ * a missing secret or key fail fast instead of on the first login.
+ */
+const loadKeys = () => {
+  const { algorithm, secret } = jwtConfig.accessToken;
+  const { dir, activeKid } = jwtConfig.keys;
+
+  if (algorithm === 'HS256') {
+    if (!secret) {
+      throw new Error('ACCESS_TOKEN_SECRET is required for HS256');
+    }
+    keyStore = { algorithm, activeKid: null, keys: new Map() };
+    return keyStore;
+  }
+
+  if (!ASYMMETRIC_ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+  }
+
+  const keys = new Map();
+
+  fs.readdirSync(dir)
+    .filter(filename => path.extname(filename) === '.pem')
+    .forEach(filename => {
+      const kid = path.basename(filename, '.pem');
+      const key = readKey(path.join(dir, filename));
+      assertKeyType(kid, key.publicKey, algorithm);
+      keys.set(kid, key);
+    });
+
+  const activeKey = keys.get(activeKid);
+
+  if (!activeKey || !activeKey.privateKey) {
+    throw new Error(`JWT_ACTIVE_KID must name a private key in ${dir}`);
+  }
+
+  keyStore = { algorithm, activeKid, keys };
+  return keyStore;
+};
+
+const getKeyStore = () => keyStore || loadKeys();
+
+// Forget the loaded keys, so that they are loaded again from the settings
+// on next use
+const unloadKeys = () => {
+  keyStore = null;
+};
+
+// Get the algorithm, key and key ID to sign new access tokens with
+const getSigningKey = () => {
+  const { algorithm, activeKid, keys } = getKeyStore();
+
+  if (algorithm === 'HS256') {
+    return { algorithm, key: jwtConfig.accessToken.secret, kid: null };
+  }
+
+  return { algorithm, key: keys.get(activeKid).privateKey, kid: activeKid };
+};
+
+// Get the key to verify an access token signed with the key `kid`, or null
+// if there is no such key
+const getVerificationKey = (kid) => {
+  const { algorithm, keys } = getKeyStore();
+
+  if (algorithm === 'HS256') {
+    return jwtConfig.accessToken.secret;
+  }
+
+  const key = kid && keys.get(kid);
+  return key ? key.publicKey : null;
+};
+
+// Get the public keys as a JSON Web Key Set. Empty for HS256, whose shared
+// secret must never be published
+const getJwks = () => {
+  const { algorithm, keys } = getKeyStore();
+
+  return {
+    keys: Array.from(keys.entries()).map(([kid, { publicKey }]) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg: algorithm,
+      use: 'sig'
+    }))
+  };
+};
+
+module.exports = {
+  loadKeys,
+  unloadKeys,
+  getSigningKey,
+  getVerificationKey,
+  getJwks
+};
@@ -0,0 +1,121 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const loggingConfig = require('../config/logging');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+// Fields whose values are never written, matched on the field name
+const SENSITIVE_FIELD = /authorization|cookie|password|secret|token|^(x-)?api[-_]?key$|^code$|recoverycode/i;
+
+// Credentials that may end up inside other strings, such as error messages
+const SENSITIVE_VALUES = [
+  /\bBearer\s+[^\s"',]+/gi,
+  // JWTs
+  /\beyJ[\w-]*\.[\w-]*\.[\w-]*/g,
+  // API keys
+  /\bssb_[\w-]+/g,
+  // Single-use tokens in links and emails, as in ?token=... or "token: ..."
+  /(?<=\btoken(=|:\s*))[\w.~-]+/gi
+];
+
+const REDACTED = '[REDACTED]';
+
+// Fields of the request being handled, added to every line logged for it
+const context = new AsyncLocalStorage();
+
+// Where log lines are written
+let destination = process.stdout;
+
+// Replace what log lines are written to (e.g. to capture logs in tests)
+const setDestination = (stream) => {
+  destination = stream;
+};
+
+// Wait until every line written so far has been handed to the OS
+const flushLogs = () => new Promise(resolve => destination.write('', resolve));
+
+// Run a function with fields that every line it logs will carry
+const runWithContext = (fields, fn) => context.run(fields, fn);
+
+// Get the fields of the current request, if any
+const getContext = () => context.getStore() || {};
+
+// Replace credentials found inside a string
+const redactString = (value) => {
+  return SENSITIVE_VALUES.reduce((result, pattern) => result.replace(pattern, REDACTED), value);
+};
+
+// Copy a value for logging with credentials removed. Errors are turned into
+// plain objects, as JSON.stringify drops their message and stack
+const redact = (value, seen = new WeakSet()) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return redact({ name: value.name, message: value.message, stack: value.stack, ...value }, seen);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, field]) => [
+      key,
+      SENSITIVE_FIELD.test(key) && field !== null && field !== undefined ? REDACTED : redact(field, seen)
+    ])
+  );
+};
+
+// Write one JSON log line, if the level is enabled
+const write = (level, message, bindings, fields) => {
+  if (LEVELS[level] < LEVELS[loggingConfig.level]) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...getContext(),
+    ...bindings,
+    ...fields
+  });
+
+  destination.write(`${JSON.stringify(entry)}\n`);
+};
+
+// Create a logger whose lines all carry `bindings`
+const createLogger = (bindings = {}) => ({
+  debug: (message, fields = {}) => write('debug', message, bindings, fields),
+  info: (message, fields = {}) => write('info', message, bindings, fields),
+  warn: (message, fields = {}) => write('warn', message, bindings, fields),
+  error: (message, fields = {}) => write('error', message, bindings, fields),
+  child: (fields) => createLogger({ ...bindings, ...fields })
+});
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  redact,
+  runWithContext,
+  getContext,
+  setDestination,
+  flushLogs
+};
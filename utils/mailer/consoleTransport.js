@@ -0,0 +1,20 @@
+const { logger } = require('../logger');
+
+/**
+ * Mail transport that writes messages to the log
+ * Nothing is actually delivered; meant for development. Tokens in the
+ * message are redacted like in any other log line, so use the file
+ * transport to follow links from emails.
+ */
+class ConsoleTransport {
+  async send(message) {
+    logger.info('Mail written to the log', {
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,20 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail transport that appends messages to a JSON Lines file
+ * Nothing is actually delivered; lets tests read sent mail offline.
+ */
+class FileTransport {
+  constructor({ path: filePath }) {
+    this.path = path.resolve(filePath);
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+  }
+
+  async send(message) {
+    const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+    await fs.promises.appendFile(this.path, `${line}\n`);
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,68 @@
+const mailConfig = require('../../config/mail');
+const ConsoleTransport = require('./consoleTransport');
+const FileTransport = require('./fileTransport');
+
+/**
+ * Create the mail transport for the configured driver
+ * A transport is any object with an async send({ from, to, subject, text }) method
+ */
+const createTransport = (config = mailConfig) => {
+  switch (config.transport) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'file':
+      return new FileTransport(config.file);
+    default:
+      throw new Error(`Unknown mail transport: ${config.transport}`);
+  }
+};
+
+// Mail transport, created from config on first use
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the mail transport (e.g. to capture mail in tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+// Send a message through the current transport
+const sendMail = async ({ to, subject, text }) => {
+  await getTransport().send({ from: mailConfig.from, to, subject, text });
+};
+
+// Send the link a user follows to verify their email address
+const sendVerificationEmail = async (user, token) => {
+  const link = `${mailConfig.appUrl}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nPlease verify your email address by visiting:\n${link}\n\nVerification token: ${token}\n`
+  });
+};
+
+// Send the link a user follows to reset their password
+const sendPasswordResetEmail = async (user, token) => {
+  const link = `${mailConfig.appUrl}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nYou can reset your password by visiting:\n${link}\n\nReset token: ${token}\n\nIf you did not request a password reset, you can ignore this email.\n`
+  });
+};
+
+module.exports = {
+  createTransport,
+  setTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
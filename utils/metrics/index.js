@@ -0,0 +1,161 @@
+const metricsConfig = require('../../config/metrics');
+const User = require('../../models/User');
+const { AUDIT_EVENTS, AUDIT_OUTCOMES, onAuditEvent } = require('../audit');
+const { Registry, Counter, Gauge, Histogram } = require('./registry');
+
+const registry = new Registry();
+
+// HTTP traffic, labeled by route template rather than path so that IDs in
+// paths do not create a series each
+const httpRequestsTotal = registry.register(new Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route template and status',
+  labelNames: ['method', 'route', 'status']
+}));
+
+const httpRequestDuration = registry.register(new Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time taken to send HTTP responses, by method, route template and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: metricsConfig.latencyBuckets
+}));
+
+// Authentication activity, counted from audit events
+const authLoginsTotal = registry.register(new Counter({
+  name: 'auth_logins_total',
+  help: 'Successful logins, by method',
+  labelNames: ['method']
+}));
+
+const authLoginFailuresTotal = registry.register(new Counter({
+  name: 'auth_login_failures_total',
+  help: 'Failed logins, by method and reason',
+  labelNames: ['method', 'reason']
+}));
+
+const authTwoFactorChallengesTotal = registry.register(new Counter({
+  name: 'auth_two_factor_challenges_total',
+  help: 'Logins that passed the first factor and await a two-factor code, by method',
+  labelNames: ['method']
+}));
+
+const authTokenRefreshesTotal = registry.register(new Counter({
+  name: 'auth_token_refreshes_total',
+  help: 'Refresh token requests, by outcome and reason of failure',
+  labelNames: ['outcome', 'reason']
+}));
+
+const authRejectionsTotal = registry.register(new Counter({
+  name: 'auth_authentication_rejections_total',
+  help: 'Requests rejected by authentication, by reason',
+  labelNames: ['reason']
+}));
+
+// Content Security Policy violations reported by browsers
+const cspViolationsTotal = registry.register(new Counter({
+  name: 'csp_violations_total',
+  help: 'Content Security Policy violations reported by browsers, by directive',
+  labelNames: ['directive']
+}));
+
+// Read from the store on every scrape
+registry.register(new Gauge({
+  name: 'auth_active_sessions',
+  help: 'Unexpired login sessions',
+  collect: async (gauge) => gauge.set({}, await User.countActiveSessions())
+}));
+
+registry.register(new Gauge({
+  name: 'users_registered',
+  help: 'Registered users',
+  collect: async (gauge) => gauge.set({}, await User.count())
+}));
+
+// Process metrics, with the names the official Prometheus clients use
+registry.register(new Counter({
+  name: 'process_cpu_seconds_total',
+  help: 'Total user and system CPU time spent in seconds',
+  collect: (counter) => {
+    const { user, system } = process.cpuUsage();
+    counter.set({}, (user + system) / 1e6);
+  }
+}));
+
+registry.register(new Gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: (gauge) => gauge.set({}, process.memoryUsage.rss())
+}));
+
+registry.register(new Gauge({
+  name: 'process_start_time_seconds',
+  help: 'Start time of the process since unix epoch in seconds',
+  collect: (gauge) => gauge.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+}));
+
+registry.register(new Gauge({
+  name: 'nodejs_heap_size_total_bytes',
+  help: 'Process heap size from Node.js in bytes',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().heapTotal)
+}));
+
+registry.register(new Gauge({
+  name: 'nodejs_heap_size_used_bytes',
+  help: 'Process heap size used from Node.js in bytes',
+  collect: (gauge) => gauge.set({}, process.memoryUsage().heapUsed)
+}));
+
+registry.register(new Gauge({
+  name: 'nodejs_version_info',
+  help: 'Node.js version info',
+  labelNames: ['version'],
+  collect: (gauge) => gauge.set({ version: process.version }, 1)
+}));
+
+// Count a handled HTTP request. `route` is null for requests that matched no route
+const observeHttpRequest = ({ method, route, status, durationSeconds }) => {
+  const labels = { method, route: route || 'unmatched', status };
+
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, durationSeconds);
+};
+
+// Count a Content Security Policy violation report
+const observeCspViolation = ({ directive }) => {
+  cspViolationsTotal.inc({ directive });
+};
+
+// Count the authentication activity of an audit event
+const countAuditEvent = ({ event, outcome, reason, details }) => {
+  switch (event) {
+    case AUDIT_EVENTS.LOGIN:
+      if (outcome === AUDIT_OUTCOMES.SUCCESS) {
+        authLoginsTotal.inc({ method: details.method });
+      } else if (outcome === AUDIT_OUTCOMES.FAILURE) {
+        authLoginFailuresTotal.inc({ method: details.method, reason });
+      } else {
+        authTwoFactorChallengesTotal.inc({ method: details.method });
+      }
+      break;
+    case AUDIT_EVENTS.TOKEN_REFRESH:
+      authTokenRefreshesTotal.inc({ outcome, reason: reason || '' });
+      break;
+    case AUDIT_EVENTS.AUTHENTICATION_REJECTED:
+      authRejectionsTotal.inc({ reason });
+      break;
+    default:
+      break;
+  }
+};
+
+onAuditEvent(countAuditEvent);
+
+// Render every metric in the Prometheus text format
+const renderMetrics = () => registry.render();
+
+module.exports = {
+  CONTENT_TYPE: Registry.CONTENT_TYPE,
+  observeHttpRequest,
+  observeCspViolation,
+  renderMetrics
+};
@@ -0,0 +1,165 @@
+// Escape a label value for the Prometheus text format
+const escapeLabelValue = (value) => {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+// Format label pairs as `{name="value",...}`, or nothing without labels
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Format a sample value; infinities are spelled +Inf and -Inf
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return value === -Infinity ? '-Inf' : String(value);
+};
+
+/**
+ * Base of the metric types
+ * Keeps one series per combination of label values. A `collect` function,
+ * when given, is awaited before every scrape to update the values, for
+ * metrics read from elsewhere such as the store or the process.
+ */
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collectValues = collect;
+    this.series = new Map();
+  }
+
+  // Get the series of some label values, creating it with `initial` if new
+  getSeries(labels, initial) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = JSON.stringify(values);
+
+    if (!this.series.has(key)) {
+      const seriesLabels = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+      this.series.set(key, { labels: seriesLabels, ...initial() });
+    }
+
+    return this.series.get(key);
+  }
+
+  // Lines of the samples of every series
+  sampleLines() {
+    return [...this.series.values()].map(({ labels, value }) => {
+      return `${this.name}${formatLabels(labels)} ${formatValue(value)}`;
+    });
+  }
+
+  // Render the metric in the Prometheus text format
+  async render() {
+    if (this.collectValues) {
+      await this.collectValues(this);
+    }
+
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.sampleLines()
+    ].join('\n');
+  }
+}
+
+// A value that only goes up, such as a number of requests
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  // Set the total directly, for counters kept elsewhere (e.g. CPU time)
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+// A value that goes up and down, such as a number of sessions
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+// Counts of observations in cumulative buckets, such as request latencies
+class Histogram extends Metric {
+  constructor({ buckets, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  sampleLines() {
+    return [...this.series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...this.buckets.map((bound, i) => {
+        return `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`;
+      }),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`
+    ]);
+  }
+}
+
+/**
+ * Collection of metrics rendered together on a scrape
+ */
+class Registry {
+  // Content type of the Prometheus text format
+  static CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+  constructor() {
+    this.metrics = [];
+  }
+
+  // Add a metric and return it
+  register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // Render every metric in the Prometheus text format
+  async render() {
+    const blocks = [];
+
+    for (const metric of this.metrics) {
+      blocks.push(await metric.render());
+    }
+
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram };
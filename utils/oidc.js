@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const oauthConfig = require('../config/oauth');
+const { now, nowSeconds } = require('./clock');
+
+// Discovery documents and key sets, by issuer and JWKS URI, as
+// { value, fetchedAt }
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Get a cached value, or undefined once it is older than the cache TTL
+const getCached = (cache, key) => {
+  const entry = cache.get(key);
+  return entry && now() - entry.fetchedAt < oauthConfig.discoveryCacheTtl ? entry.value : undefined;
+};
+
+const setCached = (cache, key, value) => {
+  cache.set(key, { value, fetchedAt: now() });
+  return value;
+};
+
+// Algorithms accepted for ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+// Get the configured provider with the given name, or null
+const getProvider = (name) => {
+  return Object.prototype.hasOwnProperty.call(oauthConfig.providers, name)
+    ? oauthConfig.providers[name]
+    : null;
+};
+
+// Redirect URI registered with a provider
+const getRedirectUri = (provider) => {
+  return `${oauthConfig.callbackBaseUrl}/api/auth/oauth/${provider.name}/callback`;
+};
+
+// GET or POST to a provider and parse the JSON response. Gives up after
+// the request timeout, so a hanging provider cannot hold requests open
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+    signal: AbortSignal.timeout(oauthConfig.requestTimeout)
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body) {
+    const reason = body && body.error ? `: ${body.error}` : '';
+    throw new Error(`Request to ${url} failed with status ${response.status}${reason}`);
+  }
+
+  return body;
+};
+
+// Get a provider's endpoints from its OpenID Connect discovery document
+const discover = async (provider) => {
+  const cached = getCached(discoveryCache, provider.issuer);
+
+  if (cached) {
+    return cached;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+
+  // A document claiming another issuer could hand out someone else's tokens
+  if (metadata.issuer.replace(/\/+$/, '') !== provider.issuer) {
+    throw new Error(`Discovery document of ${provider.issuer} names issuer ${metadata.issuer}`);
+  }
+
+  return setCached(discoveryCache, provider.issuer, metadata);
+};
+
+// Get the public key an ID token was signed with. The key set is fetched
+// again once when the key is unknown, as the provider may have rotated keys
+const getProviderKey = async (jwksUri, kid) => {
+  const findKey = (jwks) => jwks.keys.find(key => (kid ? key.kid === kid : jwks.keys.length === 1));
+
+  const cached = getCached(jwksCache, jwksUri);
+  let key = cached ? findKey(cached) : null;
+
+  if (!key) {
+    key = findKey(setCached(jwksCache, jwksUri, await fetchJson(jwksUri)));
+  }
+
+  if (!key) {
+    throw new Error(`No key ${kid} in ${jwksUri}`);
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+// Generate the state, nonce and PKCE verifier of a new authorization request
+const createAuthorizationRequest = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+
+  return {
+    state: crypto.randomBytes(32).toString('base64url'),
+    nonce: crypto.randomBytes(16).toString('base64url'),
+    codeVerifier,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+  };
+};
+
+// Build the URL of the provider's login page for an authorization request
+const buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover(provider);
+  const url = new URL(authorizationEndpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: getRedirectUri(provider),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Check an ID token's signature, issuer, audience, expiry and nonce, and
+// return its claims
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const { jwks_uri: jwksUri } = await discover(provider);
+  const key = await getProviderKey(jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuer,
+    audience: provider.clientId,
+    clockTimestamp: nowSeconds()
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match the authorization request');
+  }
+
+  return claims;
+};
+
+// Exchange an authorization code for tokens and return the verified claims
+// of the ID token
+const exchangeCode = async (provider, { code, codeVerifier, nonce }) => {
+  const { token_endpoint: tokenEndpoint } = await discover(provider);
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: getRedirectUri(provider),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+
+  // Confidential clients authenticate with client_secret_basic
+  if (provider.clientSecret) {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, { method: 'POST', headers, body });
+
+  if (!tokens.id_token) {
+    throw new Error(`Token response of ${provider.issuer} has no ID token`);
+  }
+
+  return verifyIdToken(provider, tokens.id_token, nonce);
+};
+
+module.exports = {
+  getProvider,
+  getRedirectUri,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  exchangeCode
+};
@@ -0,0 +1,181 @@
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Resolve a local $ref such as #/components/schemas/User, or undefined
+const resolveRef = (spec, ref) => {
+  if (!ref.startsWith('#/')) {
+    return undefined;
+  }
+  return ref.slice(2).split('/').reduce((value, key) => (value === undefined ? undefined : value[key]), spec);
+};
+
+// Call `fn` with every $ref of a value, wherever it is nested
+const forEachRef = (value, fn) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => forEachRef(item, fn));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      if (key === '$ref' && typeof item === 'string') {
+        fn(item);
+      } else {
+        forEachRef(item, fn);
+      }
+    });
+  }
+};
+
+// Check if a media type or the schema it describes has an example
+const hasExample = (spec, mediaType) => {
+  const schema = mediaType.schema && mediaType.schema.$ref
+    ? resolveRef(spec, mediaType.schema.$ref)
+    : mediaType.schema;
+
+  return mediaType.example !== undefined ||
+    mediaType.examples !== undefined ||
+    Boolean(schema && schema.example !== undefined);
+};
+
+/**
+ * Lint a spec for what clients and Swagger UI need from it
+ * Every operation must have a success response, every response a
+ * description, every body and parameter a schema, every request body and
+ * component schema an example, and every $ref a target. Returns the
+ * problems as { location, message }, e.g. { location: 'GET /api/v1/hello', ... }.
+ */
+const lintSpec = (spec) => {
+  const problems = [];
+  const report = (location, message) => problems.push({ location, message });
+
+  Object.entries(spec.paths || {}).forEach(([specPath, pathItem]) => {
+    HTTP_METHODS.filter(method => pathItem[method]).forEach((method) => {
+      const operation = pathItem[method];
+      const location = `${method.toUpperCase()} ${specPath}`;
+      const responses = Object.entries(operation.responses || {});
+
+      if (responses.length === 0) {
+        report(location, 'has no responses');
+      } else if (!responses.some(([status]) => /^[23]/.test(status))) {
+        report(location, 'has no success response');
+      }
+
+      responses.forEach(([status, response]) => {
+        if (response.$ref) {
+          return;
+        }
+        if (!response.description) {
+          report(location, `response ${status} has no description`);
+        }
+        Object.entries(response.content || {}).forEach(([type, mediaType]) => {
+          if (!mediaType.schema) {
+            report(location, `response ${status} (${type}) has no schema`);
+          }
+        });
+      });
+
+      Object.entries((operation.requestBody && operation.requestBody.content) || {}).forEach(([type, mediaType]) => {
+        if (!mediaType.schema) {
+          report(location, `request body (${type}) has no schema`);
+        } else if (!hasExample(spec, mediaType)) {
+          report(location, `request body (${type}) has no example`);
+        }
+      });
+
+      [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .filter(parameter => !parameter.$ref && !parameter.schema)
+        .forEach(parameter => report(location, `parameter ${parameter.name} has no schema`));
+    });
+  });
+
+  Object.entries((spec.components && spec.components.schemas) || {}).forEach(([name, schema]) => {
+    const properties = Object.values(schema.properties || {});
+    const examplesEveryProperty = properties.length > 0 && properties.every(property => property.example !== undefined);
+
+    if (schema.example === undefined && !examplesEveryProperty) {
+      report(`#/components/schemas/${name}`, 'has no example');
+    }
+  });
+
+  const missing = new Set();
+  forEachRef(spec, (ref) => {
+    if (resolveRef(spec, ref) === undefined) {
+      missing.add(ref);
+    }
+  });
+  missing.forEach(ref => report(ref, 'is referenced but not defined'));
+
+  return problems;
+};
+
+// Recover the path a router was mounted at from the regexp Express 4
+// compiled for it, e.g. /^\/api\/v1\/?(?=\/|$)/i gives /api/v1
+const mountPathOf = (layer) => {
+  if (layer.regexp.fast_slash) {
+    return '';
+  }
+  return layer.regexp.source
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\\(.)/g, '$1');
+};
+
+// Join path segments, without trailing slashes but for the root
+const joinPath = (...parts) => parts.join('').replace(/\/+/g, '/').replace(/(.)\/$/, '$1') || '/';
+
+/**
+ * List the routes an Express app answers, as { method, path } with the
+ * paths in OpenAPI form (/api/v1/users/{id})
+ * Walks the router stack, following mounted routers; plain middleware is
+ * not a route.
+ */
+const listRoutes = (app) => {
+  const routes = [];
+
+  const walk = (stack, prefix) => {
+    stack.forEach((layer) => {
+      if (layer.route) {
+        [].concat(layer.route.path).forEach((routePath) => {
+          Object.keys(layer.route.methods)
+            .filter(method => method !== '_all')
+            .forEach(method => routes.push({
+              method,
+              path: joinPath(prefix, routePath).replace(/:(\w+)/g, '{$1}')
+            }));
+        });
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        walk(layer.handle.stack, joinPath(prefix, mountPathOf(layer)));
+      }
+    });
+  };
+
+  walk(app._router.stack, '');
+  return routes;
+};
+
+/**
+ * Compare the routes of an app with the specs documenting them
+ * Returns a problem for every route without a spec entry and every spec
+ * entry without a route. Routes whose `METHOD path` matches one of the
+ * `ignore` patterns are deliberately undocumented.
+ */
+const findDrift = (routes, specs, { ignore = [] } = {}) => {
+  const documented = new Set();
+
+  specs.forEach((spec) => {
+    Object.entries(spec.paths || {}).forEach(([specPath, pathItem]) => {
+      HTTP_METHODS.filter(method => pathItem[method])
+        .forEach(method => documented.add(`${method.toUpperCase()} ${specPath}`));
+    });
+  });
+
+  const routed = new Set(routes
+    .map(({ method, path }) => `${method.toUpperCase()} ${path}`)
+    .filter(route => !ignore.some(pattern => pattern.test(route))));
+
+  return [
+    ...[...routed].filter(route => !documented.has(route))
+      .map(location => ({ location, message: 'is routed but has no spec entry' })),
+    ...[...documented].filter(route => !routed.has(route))
+      .map(location => ({ location, message: 'is documented but has no route' }))
+  ];
+};
+
+module.exports = { lintSpec, listRoutes, findDrift };
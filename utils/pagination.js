@@ -0,0 +1,85 @@
+// Parse a sort parameter such as `-createdAt,username` into sort keys. A
+// leading `-` sorts descending. The ID is always added as the last key so
+// the order is total, which cursors rely on
+const parseSort = (value, defaultSort = 'id') => {
+  const keys = [];
+
+  (value || defaultSort).split(',').forEach(part => {
+    const descending = part.startsWith('-');
+    const field = descending ? part.slice(1) : part;
+
+    if (field && !keys.some(key => key.field === field)) {
+      keys.push({ field, descending });
+    }
+  });
+
+  if (!keys.some(key => key.field === 'id')) {
+    keys.push({ field: 'id', descending: false });
+  }
+
+  return keys;
+};
+
+// Turn sort keys back into a sort parameter
+const formatSort = (sort) => sort.map(key => `${key.descending ? '-' : ''}${key.field}`).join(',');
+
+// Encode the position after an item as an opaque cursor. The sort order is
+// part of it, as the position means nothing in another order
+const encodeCursor = (item, sort) => {
+  const cursor = { sort: formatSort(sort), values: sort.map(key => item[key.field]) };
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+};
+
+// Values a cursor may hold; anything else was not made by encodeCursor
+const isSortValue = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+// Decode a cursor into the sort values it points after. Returns null if it
+// is malformed or was made for another sort order
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { sort: cursorSort, values } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    if (
+      cursorSort !== formatSort(sort) ||
+      !Array.isArray(values) ||
+      values.length !== sort.length ||
+      !values.every(isSortValue)
+    ) {
+      return null;
+    }
+
+    return values;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build the URL of the current request with some query parameters changed;
+// parameters set to null are removed
+const buildPageUrl = (req, changes) => {
+  const query = { ...req.query, ...changes };
+  const params = new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== null && value !== undefined)
+  );
+  const search = params.toString();
+  const path = req.originalUrl.split('?')[0];
+
+  return `${req.protocol}://${req.get('host')}${path}${search ? `?${search}` : ''}`;
+};
+
+// Build an RFC 8288 Link header from query changes by relation name;
+// relations without changes are left out
+const buildLinkHeader = (req, links) => {
+  return Object.entries(links)
+    .filter(([, changes]) => changes)
+    .map(([rel, changes]) => `<${buildPageUrl(req, changes)}>; rel="${rel}"`)
+    .join(', ');
+};
+
+module.exports = {
+  parseSort,
+  formatSort,
+  encodeCursor,
+  decodeCursor,
+  buildLinkHeader
+};
@@ -0,0 +1,18 @@
+const rateLimitConfig = require('../../config/rateLimit');
+const MemoryRateLimitStore = require('./memoryStore');
+
+/**
+ * Create the rate limit counter store for the configured driver
+ * Every store implements the same async interface:
+ * increment(key, windowMs) -> { count, resetAt }, reset(key), close
+ */
+const createRateLimitStore = (config = rateLimitConfig) => {
+  switch (config.store) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${config.store}`);
+  }
+};
+
+module.exports = { createRateLimitStore, MemoryRateLimitStore };
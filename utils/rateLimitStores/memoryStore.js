@@ -0,0 +1,53 @@
+const { now: currentTime } = require('../clock');
+
+// How often expired counters are swept from memory
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory fixed-window counter store for the rate limiter
+ * Counters are per process, so limits are not shared between instances.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.counters = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), CLEANUP_INTERVAL_MS);
+    // Do not keep the process alive just for cleanup
+    this.cleanupTimer.unref();
+  }
+
+  // Count a hit for the key and return the count and window reset time (ms)
+  async increment(key, windowMs) {
+    const now = currentTime();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+
+    counter.count += 1;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  // Forget the counter for the key
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  // Remove counters whose window has passed
+  cleanup() {
+    const now = currentTime();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+module.exports = MemoryRateLimitStore;
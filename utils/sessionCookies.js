@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const ms = require('ms');
+const authConfig = require('../config/auth');
+const jwtConfig = require('../config/jwt');
+
+// Cookie holding the refresh token. HttpOnly, so scripts cannot steal it,
+// and only sent to the auth endpoints. Browsers only send a cookie below its
+// path, so one is set for the auth endpoints of every API mount
+// (/api/v1/auth, and /api/auth for the unversioned aliases), letting a
+// session started through one be refreshed through another
+const REFRESH_TOKEN_COOKIE = 'refresh_token';
+
+// Cookie holding the CSRF token, which scripts of the client read and send
+// back in the CSRF header
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// Parse the Cookie header of a request into an object
+const readCookies = (req) => {
+  const cookies = {};
+
+  (req.get('Cookie') || '').split(';').forEach((pair) => {
+    const separator = pair.indexOf('=');
+
+    if (separator < 0) {
+      return;
+    }
+
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+
+    // The first cookie of a name is the most specific one
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+  });
+
+  return cookies;
+};
+
+// Options shared by setting and clearing a cookie
+const cookieOptions = ({ path, httpOnly }) => ({
+  path,
+  httpOnly,
+  secure: authConfig.cookies.secure,
+  sameSite: authConfig.cookies.sameSite,
+  domain: authConfig.cookies.domain || undefined
+});
+
+const createCsrfToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Paths of the auth endpoints of every API mount, from the base paths the
+// app serves the API at
+const refreshTokenCookiePaths = req => req.app.locals.apiBasePaths.map(basePath => `${basePath}/auth`);
+
+// Set the refresh token and CSRF cookies of a session. They last as long as
+// the refresh token
+const setSessionCookies = (req, res, { refreshToken, csrfToken }) => {
+  const maxAge = ms(jwtConfig.refreshToken.expiresIn);
+
+  refreshTokenCookiePaths(req).forEach((path) => {
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, { ...cookieOptions({ path, httpOnly: true }), maxAge });
+  });
+  res.cookie(CSRF_COOKIE, csrfToken, { ...cookieOptions({ path: '/', httpOnly: false }), maxAge });
+};
+
+// Tell the browser to drop the cookies of a session
+const clearSessionCookies = (req, res) => {
+  refreshTokenCookiePaths(req).forEach((path) => {
+    res.clearCookie(REFRESH_TOKEN_COOKIE, cookieOptions({ path, httpOnly: true }));
+  });
+  res.clearCookie(CSRF_COOKIE, cookieOptions({ path: '/', httpOnly: false }));
+};
+
+// Check the CSRF header of a request against its CSRF cookie. Other sites
+// can make browsers send the cookie but cannot read it to fill in the header
+const hasValidCsrfToken = (req) => {
+  const cookie = Buffer.from(readCookies(req)[CSRF_COOKIE] || '');
+  const header = Buffer.from(req.get(CSRF_HEADER) || '');
+
+  return cookie.length > 0 && cookie.length === header.length && crypto.timingSafeEqual(cookie, header);
+};
+
+module.exports = {
+  REFRESH_TOKEN_COOKIE,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  readCookies,
+  createCsrfToken,
+  setSessionCookies,
+  clearSessionCookies,
+  hasValidCsrfToken
+};
@@ -0,0 +1,68 @@
+const ms = require('ms');
+const serverConfig = require('../config/server');
+const { logger, flushLogs } = require('./logger');
+
+// Set once shutdown begins, so readiness checks fail and clients are told
+// to reconnect elsewhere
+let shuttingDown = false;
+
+const isShuttingDown = () => shuttingDown;
+
+// Stop accepting connections and wait for in-flight requests to finish, for
+// at most `timeoutMs`; connections still open after that are destroyed.
+// Then run `cleanup`. Returns false if requests had to be cut off
+const shutdown = async (server, { timeoutMs, cleanup }) => {
+  shuttingDown = true;
+
+  let timer;
+  const drained = await Promise.race([
+    new Promise(resolve => server.close(() => resolve(true))),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+    })
+  ]);
+  clearTimeout(timer);
+
+  if (!drained) {
+    server.closeAllConnections();
+  }
+
+  await cleanup();
+  return drained;
+};
+
+// Shut the server down gracefully on SIGTERM and SIGINT, then exit. A second
+// signal exits at once
+const handleShutdownSignals = (server, { cleanup, timeout = serverConfig.shutdownTimeout }) => {
+  const timeoutMs = ms(timeout);
+
+  ['SIGTERM', 'SIGINT'].forEach(signal => {
+    process.on(signal, async () => {
+      if (shuttingDown) {
+        logger.warn(`Received ${signal} again, exiting without waiting`, { signal });
+        process.exit(1);
+      }
+
+      logger.info(`Received ${signal}, shutting down`, { signal, timeoutMs });
+
+      try {
+        const drained = await shutdown(server, { timeoutMs, cleanup });
+
+        if (drained) {
+          logger.info('Shutdown complete');
+        } else {
+          logger.warn('Shutdown timed out, open connections were closed');
+        }
+
+        await flushLogs();
+        process.exit(drained ? 0 : 1);
+      } catch (error) {
+        logger.error('Shutdown failed', { err: error });
+        await flushLogs();
+        process.exit(1);
+      }
+    });
+  });
+};
+
+module.exports = { isShuttingDown, shutdown, handleShutdownSignals };
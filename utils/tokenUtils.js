@@ -1,69 +1,285 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const ms = require('ms');
 const jwtConfig = require('../config/jwt');
+const authConfig = require('../config/auth');
 const User = require('../models/User');
+const { getSigningKey, getVerificationKey } = require('./jwtKeys');
+const { now, nowSeconds } = require('./clock');
+
+// Refresh tokens are only ever verified by this service, so their audience
+// is the issuer itself rather than the API audience of access tokens
+const refreshTokenClaims = () => ({
+  issuer: jwtConfig.issuer,
+  audience: jwtConfig.issuer
+});
+
+// Two-factor challenges get an audience of their own so that they cannot be
+// passed off as refresh tokens, which are signed with the same secret
+const twoFactorChallengeClaims = () => ({
+  issuer: jwtConfig.issuer,
+  audience: `${jwtConfig.issuer}/2fa`
+});
+
+// Expiry of a refresh token issued now. jsonwebtoken reads numbers as seconds
+const getRefreshTokenExpiry = () => {
+  const { expiresIn } = jwtConfig.refreshToken;
+  const duration = typeof expiresIn === 'number' ? expiresIn * 1000 : ms(expiresIn);
+  return new Date(now() + duration).toISOString();
+};
+
+// Generate access token carrying the user's roles and login session
+const generateAccessToken = (userId, roles = [], sessionId = null) => {
+  const { algorithm, key, kid } = getSigningKey();
 
-// Generate access token
-const generateAccessToken = (userId) => {
   return jwt.sign(
-    { userId }, 
-    jwtConfig.accessToken.secret, 
-    { expiresIn: jwtConfig.accessToken.expiresIn }
+    { userId, roles, sid: sessionId, iat: nowSeconds() }, 
+    key, 
+    {
+      algorithm,
+      ...(kid && { keyid: kid }),
+      expiresIn: jwtConfig.accessToken.expiresIn,
+      jwtid: crypto.randomUUID(),
+      issuer: jwtConfig.issuer,
+      audience: jwtConfig.audience
+    }
   );
 };
 
-// Generate refresh token
-const generateRefreshToken = (userId) => {
+// Check an access token's signature, with the key named by its `kid` header,
+// and its expiry, issuer and audience. Throws like jwt.verify
+const decodeAccessToken = (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key = decoded && getVerificationKey(decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key, {
+    // Only the configured algorithm, so a token cannot pick how it is checked
+    algorithms: [jwtConfig.accessToken.algorithm],
+    issuer: jwtConfig.issuer,
+    audience: jwtConfig.audience,
+    clockTimestamp: nowSeconds()
+  });
+};
+
+// Generate refresh token for a login session
+const generateRefreshToken = async (userId, sessionId) => {
   const refreshToken = jwt.sign(
-    { userId }, 
+    { userId, sid: sessionId, iat: nowSeconds() }, 
     jwtConfig.refreshToken.secret, 
-    { expiresIn: jwtConfig.refreshToken.expiresIn }
+    {
+      expiresIn: jwtConfig.refreshToken.expiresIn,
+      jwtid: crypto.randomUUID(),
+      ...refreshTokenClaims()
+    }
   );
+  const { exp } = jwt.decode(refreshToken);
   
   // Store the refresh token in the user's record
-  User.addRefreshToken(userId, refreshToken);
+  await User.addRefreshToken(userId, refreshToken, {
+    sessionId,
+    expiresAt: new Date(exp * 1000).toISOString()
+  });
   
   return refreshToken;
 };
 
-// Verify access token
-const verifyAccessToken = (token) => {
+// Start a login session and generate its access and refresh tokens
+const createSessionTokens = async (user, { ip, userAgent }) => {
+  const session = await User.createSession(user.id, {
+    ip,
+    userAgent,
+    expiresAt: getRefreshTokenExpiry()
+  });
+
+  return {
+    sessionId: session.id,
+    accessToken: generateAccessToken(user.id, user.roles, session.id),
+    refreshToken: await generateRefreshToken(user.id, session.id)
+  };
+};
+
+// Verify access token, including that it was not revoked
+const verifyAccessToken = async (token) => {
   try {
-    const decoded = jwt.verify(token, jwtConfig.accessToken.secret);
-    return { valid: true, expired: false, userId: decoded.userId };
+    const decoded = decodeAccessToken(token);
+
+    if (decoded.jti && await User.isAccessTokenRevoked(decoded.jti)) {
+      return { valid: false, expired: false, revoked: true, userId: null };
+    }
+
+    return {
+      valid: true,
+      expired: false,
+      revoked: false,
+      userId: decoded.userId,
+      roles: decoded.roles || [],
+      sessionId: decoded.sid || null,
+      issuedAt: decoded.iat
+    };
   } catch (error) {
     return { 
       valid: false, 
       expired: error.name === 'TokenExpiredError', 
+      revoked: false,
       userId: null 
     };
   }
 };
 
-// Verify refresh token
-const verifyRefreshToken = (token) => {
+// Revoke a single access token until it expires. Invalid tokens are ignored
+const revokeAccessToken = async (token) => {
+  try {
+    const decoded = decodeAccessToken(token);
+
+    if (decoded.jti) {
+      await User.revokeAccessToken(decoded.jti, new Date(decoded.exp * 1000).toISOString());
+    }
+  } catch (error) {
+    // Expired or invalid tokens cannot be used anyway
+  }
+};
+
+// Check a refresh token's signature and expiry and find its stored record.
+// `used` tells if it was already rotated; unlike verifyRefreshToken, this
+// does not treat that as reuse
+const lookupRefreshToken = async (token) => {
   try {
-    const decoded = jwt.verify(token, jwtConfig.refreshToken.secret);
+    const decoded = jwt.verify(token, jwtConfig.refreshToken.secret, {
+      algorithms: ['HS256'],
+      clockTimestamp: nowSeconds(),
+      ...refreshTokenClaims()
+    });
     
     // Check if the refresh token exists in the user's record
-    const isValidToken = User.hasRefreshToken(decoded.userId, token);
+    const record = await User.findRefreshToken(token);
     
-    if (!isValidToken) {
-      return { valid: false, expired: false, userId: null };
+    if (!record || record.userId !== decoded.userId) {
+      return { valid: false, expired: false, used: false, userId: null };
     }
-    
-    return { valid: true, expired: false, userId: decoded.userId };
+
+    return {
+      valid: true,
+      expired: false,
+      used: Boolean(record.used),
+      userId: record.userId,
+      sessionId: record.sessionId
+    };
   } catch (error) {
     return { 
       valid: false, 
       expired: error.name === 'TokenExpiredError', 
+      used: false,
       userId: null 
     };
   }
 };
 
+// Verify refresh token
+const verifyRefreshToken = async (token) => {
+  const { valid, expired, used, userId, sessionId } = await lookupRefreshToken(token);
+
+  if (!valid) {
+    return { valid: false, expired, reused: false, userId: null };
+  }
+
+  // A rotated token being presented again means it was stolen (or the
+  // thief already used it): revoke the whole session. The user is returned
+  // so the reuse can be audited
+  if (used) {
+    await User.deleteSession(userId, sessionId);
+    return { valid: false, expired: false, reused: true, userId };
+  }
+
+  return { valid: true, expired: false, reused: false, userId, sessionId };
+};
+
+// Rotate refresh token: invalidate the presented token and issue a new one
+// for the same session
+const rotateRefreshToken = async (token, { ip, userAgent } = {}) => {
+  const result = await verifyRefreshToken(token);
+
+  if (!result.valid) {
+    return result;
+  }
+
+  // Another request may have rotated the same token in the meantime
+  const marked = await User.markRefreshTokenUsed(token);
+
+  if (!marked) {
+    await User.deleteSession(result.userId, result.sessionId);
+    return { valid: false, expired: false, reused: true, userId: result.userId };
+  }
+
+  await User.touchSession(result.sessionId, {
+    ip,
+    userAgent,
+    expiresAt: getRefreshTokenExpiry()
+  });
+  const refreshToken = await generateRefreshToken(result.userId, result.sessionId);
+
+  return { ...result, refreshToken };
+};
+
+// Generate the short-lived token that proves a user passed the password
+// check of a login that still needs a second factor
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { userId, iat: nowSeconds() },
+    jwtConfig.refreshToken.secret,
+    {
+      expiresIn: authConfig.twoFactor.challengeExpiresIn,
+      jwtid: crypto.randomUUID(),
+      ...twoFactorChallengeClaims()
+    }
+  );
+};
+
+// Verify a two-factor challenge token, including that it was not used for
+// a login yet
+const verifyTwoFactorChallenge = async (token) => {
+  try {
+    const decoded = jwt.verify(token, jwtConfig.refreshToken.secret, {
+      algorithms: ['HS256'],
+      clockTimestamp: nowSeconds(),
+      ...twoFactorChallengeClaims()
+    });
+
+    if (await User.isTwoFactorChallengeUsed(decoded.jti)) {
+      return { valid: false, expired: false, used: true, userId: decoded.userId };
+    }
+
+    return {
+      valid: true,
+      expired: false,
+      used: false,
+      userId: decoded.userId,
+      issuedAt: decoded.iat,
+      jti: decoded.jti,
+      expiresAt: new Date(decoded.exp * 1000).toISOString()
+    };
+  } catch (error) {
+    return {
+      valid: false,
+      expired: error.name === 'TokenExpiredError',
+      used: false,
+      userId: null
+    };
+  }
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
+  createSessionTokens,
   verifyAccessToken,
-  verifyRefreshToken
-}; 
\ No newline at end of file
+  revokeAccessToken,
+  lookupRefreshToken,
+  verifyRefreshToken,
+  rotateRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+};